@@ -0,0 +1,154 @@
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const usage = `
+Replay metric history through the anomaly detector with a candidate config.
+
+Usage:
+  npm run backtest -- --service <name> [--since 24h] [--config candidate.json] [--compare other.json]
+  npm run backtest -- --file samples.json|samples.csv [--config candidate.json] [--compare other.json]
+
+Options:
+  --service   Replay stored Metric history of this service (repeatable)
+  --since     How far back to read stored history (e.g. 90m, 6h, 2d; default 24h)
+  --file      Replay samples from a JSON or CSV export instead of MongoDB
+  --config    Candidate config (AnomalyConfig fields, e.g. {"warningSigma": 3}); defaults to the environment
+  --compare   Second config to compare against --config on the same samples
+  --flap      Seconds within which a reverted status change counts as a flap (default 60)
+  --json      Print the full result as JSON
+`;
+
+const { values: args } = parseArgs({
+  options: {
+    service: { type: 'string', multiple: true },
+    since: { type: 'string', default: '24h' },
+    file: { type: 'string' },
+    config: { type: 'string' },
+    compare: { type: 'string' },
+    flap: { type: 'string', default: '60' },
+    json: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+  }
+});
+
+const parseDuration = (value) => {
+  const match = /^(\d+)(m|h|d)$/.exec(value);
+  if (!match) throw new Error(`Invalid duration "${value}" (use e.g. 90m, 6h, 2d)`);
+  const unit = { m: 60, h: 3600, d: 86400 }[match[2]];
+  return Number(match[1]) * unit * 1000;
+};
+
+const readJson = (file) => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+const loadSamples = async (parseSamples) => {
+  if (args.file) {
+    const format = path.extname(args.file).toLowerCase() === '.csv' ? 'csv' : 'json';
+    return parseSamples(fs.readFileSync(args.file, 'utf8'), format);
+  }
+
+  const { default: Metric } = await import('./models/Metric.js');
+  const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/health-guardian';
+  await mongoose.connect(MONGODB_URI);
+
+  const since = new Date(Date.now() - parseDuration(args.since));
+  const metrics = await Metric.find({
+    serviceName: { $in: args.service },
+    timestamp: { $gte: since }
+  }).sort({ timestamp: 1 }).lean();
+
+  await mongoose.disconnect();
+  return metrics;
+};
+
+const formatTime = (date) => date.toISOString().replace('T', ' ').slice(0, 19);
+
+const printRun = (label, result) => {
+  console.log(`\n=== ${label} ===`);
+  const { warmupSamples, windowSize, warningSigma, criticalSigma, minConsecutive, trendThreshold, mode } = result.config;
+  console.log(`config: ${JSON.stringify({ warmupSamples, windowSize, warningSigma, criticalSigma, minConsecutive, trendThreshold, mode })}`);
+
+  for (const service of result.services) {
+    console.log(`\n📊 ${service.serviceName}: ${service.samples} samples, ${service.alerts.length} alerts, ${service.flaps} flaps`);
+    console.log(`   time in status (s): ${JSON.stringify(service.timeInStatusSeconds)}`);
+    console.log('   timeline:');
+    for (const t of service.timeline) {
+      console.log(`     ${formatTime(t.timestamp)}  ${t.from} → ${t.to}  ${t.reason || ''}${t.details ? `: ${t.details}` : ''}`);
+    }
+    for (const shift of service.shifts) {
+      console.log(`   📐 ${formatTime(shift.timestamp)} ${shift.metric} shift ${shift.before.toFixed(2)} → ${shift.after.toFixed(2)}`);
+    }
+  }
+};
+
+const printComparison = (comparison) => {
+  console.log('\n=== Comparison (config → compare) ===');
+  for (const row of comparison) {
+    console.log(`\n📊 ${row.serviceName}`);
+    console.log(`   alerts:      ${row.alerts.baseline} → ${row.alerts.candidate}`);
+    console.log(`   flaps:       ${row.flaps.baseline} → ${row.flaps.candidate}`);
+    console.log(`   transitions: ${row.transitions.baseline} → ${row.transitions.candidate}`);
+    console.log(`   unhealthy s: ${row.unhealthySeconds.baseline} → ${row.unhealthySeconds.candidate}`);
+    for (const alert of row.onlyBaseline) {
+      console.log(`   - only config:  ${formatTime(alert.timestamp)} ${alert.status} ${alert.reason}`);
+    }
+    for (const alert of row.onlyCandidate) {
+      console.log(`   + only compare: ${formatTime(alert.timestamp)} ${alert.status} ${alert.reason}`);
+    }
+  }
+};
+
+async function backtest() {
+  try {
+    if (args.help || (!args.file && !args.service)) {
+      console.log(usage);
+      process.exit(args.help ? 0 : 1);
+    }
+
+    // Imported after dotenv.config() so the detector reads the environment
+    const { parseSamples, runBacktest, compareBacktests } = await import('./utils/backtest.js');
+    const { validateAnomalyOverrides } = await import('./services/anomalyConfigService.js');
+
+    const loadConfig = (file) => {
+      if (!file) return {};
+      const { overrides, error } = validateAnomalyOverrides(readJson(file));
+      if (error) throw new Error(`${file}: ${error}`);
+      return overrides;
+    };
+
+    const candidate = loadConfig(args.config);
+    const other = args.compare ? loadConfig(args.compare) : null;
+    const options = { flapWindowSeconds: Number(args.flap) || 60 };
+
+    const samples = await loadSamples(parseSamples);
+    if (samples.length === 0) {
+      console.error('❌ No samples to replay');
+      process.exit(1);
+    }
+
+    const result = await runBacktest(samples, candidate, options);
+    const compared = other ? await runBacktest(samples, other, options) : null;
+    const comparison = compared ? compareBacktests(result, compared) : null;
+
+    if (args.json) {
+      console.log(JSON.stringify({ result, compared, comparison }, null, 2));
+    } else {
+      printRun(args.config || 'environment defaults', result);
+      if (compared) {
+        printRun(args.compare, compared);
+        printComparison(comparison);
+      }
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Backtest failed:', error.message);
+    process.exit(1);
+  }
+}
+
+backtest();
@@ -1,11 +1,15 @@
 import cron from 'node-cron';
 import Service from '../models/Service.js';
-import Metric from '../models/Metric.js';
+import Metric, { LATENCY_PERCENTILES } from '../models/Metric.js';
 import Event from '../models/Event.js';
 import Baseline from '../models/Baseline.js';
 import Alert from '../models/Alert.js';
-import axios from 'axios';
 import { createNotificationService } from '../services/notificationService.js';
+import { getEffectiveAnomalyConfig } from '../services/anomalyConfigService.js';
+import { raiseAlert, resolveOpenAlerts, INDEPENDENT_ALERTS } from '../services/alertService.js';
+import { listDependencies, computeImpact } from '../services/dependencyGraphService.js';
+import { probeVerdict } from '../services/probeService.js';
+import { runAutoRemediation, checkRemediationDeadline } from '../services/remediationService.js';
 
 // Initialize notification service
 const notificationService = createNotificationService();
@@ -119,8 +123,9 @@ const evaluateServiceHealth = async (service) => {
       ? Date.now() - service.lastHeartbeat.getTime()
       : Infinity;
 
-    // Critical: No heartbeat for >60 seconds
-    if (timeSinceHeartbeat > 60000) {
+    // Critical: No heartbeat within the service's timeout (60s by default)
+    const heartbeatTimeoutMs = getEffectiveAnomalyConfig(service.name).heartbeatTimeout * 1000;
+    if (timeSinceHeartbeat > heartbeatTimeoutMs) {
       return { 
         status: 'critical', 
         reason: 'no_heartbeat',
@@ -135,19 +140,27 @@ const evaluateServiceHealth = async (service) => {
     // Use the status already set by the metrics endpoint
     // But if it's 'unknown', default to 'healthy' if heartbeat is recent
     let status = service.status;
-    if (status === 'unknown' && timeSinceHeartbeat < 60000) {
+    if (status === 'unknown' && timeSinceHeartbeat < heartbeatTimeoutMs) {
       status = 'healthy';
     }
 
+    // A failing active probe overrides what the metrics say (the agent can report while /health is down)
+    const probeFailure = probeVerdict(service);
+    if (probeFailure) {
+      status = 'critical';
+    }
+
     return {
       status: status,
-      reason: 'status_from_metrics_endpoint',
+      reason: probeFailure ? probeFailure.reason : 'status_from_metrics_endpoint',
       currentAvgLatency: service.currentMetrics?.avgLatency || 0,
       currentErrorRate: service.currentMetrics?.errorRate || 0,
       currentMemoryUsage: service.currentMetrics?.memoryUsage || 0,
       currentRequestCount: service.currentMetrics?.requestCount || 0,
       currentTotalRequests: service.currentMetrics?.totalRequests || 0,
-      metadata: service.currentMetrics?.analyzingProgress // Pass analyzing progress
+      metadata: probeFailure
+        ? { details: probeFailure.details }
+        : service.currentMetrics?.analyzingProgress // Pass analyzing progress
     };
 
   } catch (error) {
@@ -184,30 +197,14 @@ const handleStatusChange = async (service, oldStatus, newStatus, reason, metadat
 
       // Create alert for warning/critical
       if (newStatus === 'warning' || newStatus === 'critical') {
-        // Check if similar unresolved alert exists
-        const existingAlert = await Alert.findOne({
-          serviceId: service._id,
+        await raiseAlert(service, {
           alertType: reason,
-          acknowledged: false,
-          resolvedAt: null
+          severity: newStatus === 'critical' ? 'critical' : 'warning',
+          message
         });
-
-        if (!existingAlert) {
-          await Alert.create({
-            serviceId: service._id,
-            serviceName: service.name,
-            alertType: reason,
-            severity: newStatus === 'critical' ? 'critical' : 'warning',
-            message,
-            acknowledged: false
-          });
-        }
       } else if (newStatus === 'healthy') {
-        // Resolve existing alerts
-        await Alert.updateMany(
-          { serviceId: service._id, resolvedAt: null },
-          { resolvedAt: new Date() }
-        );
+        // Leak, cascading and synthetic check alerts follow their own checks, not the status
+        await resolveOpenAlerts(service, { except: INDEPENDENT_ALERTS });
       }
 
       console.log(message);
@@ -241,59 +238,53 @@ const handleStatusChange = async (service, oldStatus, newStatus, reason, metadat
   }
 };
 
-// Detect cascading failures
+// Detect cascading failures: mark every transitive dependent of a critical service at risk
 const detectCascadingFailures = async () => {
   try {
-    const authService = await Service.findOne({ name: 'auth-service' });
-    
-    if (authService && authService.status === 'critical') {
-      // Mark dependent services as at risk
-      await Service.updateMany(
-        { name: { $in: ['booking-service', 'storage-service'] } },
-        { isAtRisk: true }
-      );
-
-      // Create cascading failure alerts
-      const dependentServices = await Service.find({
-        name: { $in: ['booking-service', 'storage-service'] }
+    const services = await Service.find();
+    const impact = computeImpact(services, await listDependencies());
+
+    for (const svc of services) {
+      const { isAtRisk, rootCause } = impact.get(svc.name);
+      const previousCause = svc.isAtRisk ? svc.rootCause?.serviceName || null : null;
+      const currentCause = rootCause?.serviceName || null;
+      if (svc.isAtRisk === isAtRisk && previousCause === currentCause) continue;
+
+      await Service.updateOne({ _id: svc._id }, {
+        isAtRisk,
+        rootCause: rootCause
+          ? { ...rootCause, since: previousCause ? svc.rootCause.since : new Date() }
+          : { serviceName: null, path: undefined, since: null }
       });
 
-      for (const svc of dependentServices) {
-        const existingAlert = await Alert.findOne({
-          serviceId: svc._id,
-          alertType: 'cascading_failure',
-          resolvedAt: null
-        });
-
-        if (!existingAlert) {
-          await Alert.create({
-            serviceId: svc._id,
-            serviceName: svc.name,
-            alertType: 'cascading_failure',
-            severity: 'warning',
-            message: `⚠️ ${svc.name} at risk due to auth-service failure`,
-            acknowledged: false
-          });
-
-          await Event.create({
-            serviceId: svc._id,
-            serviceName: svc.name,
-            eventType: 'alert',
-            severity: 'warning',
-            message: `Cascading failure risk detected: auth-service is critical`,
-            metadata: { relatedService: 'auth-service' }
-          });
-        }
+      if (!isAtRisk) {
+        // Upstream recovered
+        await Alert.updateMany(
+          { serviceId: svc._id, alertType: 'cascading_failure', resolvedAt: null },
+          { resolvedAt: new Date() }
+        );
+        continue;
       }
-    } else {
-      // Clear at-risk flags
-      await Service.updateMany({}, { isAtRisk: false });
-      
-      // Resolve cascading failure alerts
-      await Alert.updateMany(
-        { alertType: 'cascading_failure', resolvedAt: null },
-        { resolvedAt: new Date() }
-      );
+
+      const chain = rootCause.path.join(' → ');
+      console.log(`🔗 ${svc.name} at risk: ${chain} (root cause: ${currentCause})`);
+
+      await raiseAlert(svc, {
+        alertType: 'cascading_failure',
+        severity: 'warning',
+        message: `⚠️ ${svc.name} at risk due to ${currentCause} failure (${chain})`
+      });
+
+      await Event.create({
+        serviceId: svc._id,
+        serviceName: svc.name,
+        eventType: 'alert',
+        severity: 'warning',
+        message: previousCause
+          ? `Cascading failure root cause moved from ${previousCause} to ${currentCause} (${chain})`
+          : `Cascading failure risk detected: ${currentCause} is critical (${chain})`,
+        metadata: { relatedService: currentCause, path: rootCause.path }
+      });
     }
   } catch (error) {
     console.error('Error detecting cascading failures:', error);
@@ -308,19 +299,14 @@ const checkAutoHealing = async (service) => {
       
       // If critical for more than 2 minutes and not already healing
       if (criticalDuration > 2 * 60 * 1000 && !service.autoHealingInProgress) {
-        console.log(`🔧 Triggering auto-healing for ${service.name} (critical for ${Math.floor(criticalDuration / 1000)}s)`);
-        
-        // Trigger auto-recovery
-        try {
-          await axios.post('http://localhost:3000/services/actions/restart', {
-            serviceId: service._id,
-            serviceName: service.name
-          });
-        } catch (error) {
-          console.error('Error triggering auto-healing:', error.message);
-        }
+        await runAutoRemediation(service);
       }
     }
+
+    // Heartbeats verify a running remediation; fail it once its deadline passes
+    if (service.autoHealingInProgress) {
+      await checkRemediationDeadline(service);
+    }
   } catch (error) {
     console.error('Error checking auto-healing:', error);
   }
@@ -349,10 +335,17 @@ const runIntelligentEvaluation = async () => {
       const oldStatus = service.status;
       const newStatus = evaluation.status;
 
+      // Tail latency only arrives with metrics; drop it once the heartbeat is gone
+      const latencyPercentiles = Object.fromEntries(LATENCY_PERCENTILES.map(field => [
+        field,
+        evaluation.reason === 'no_heartbeat' ? null : service.currentMetrics?.[field] ?? null
+      ]));
+
       // Update service
       service.status = newStatus;
       service.currentMetrics = {
         avgLatency: evaluation.currentAvgLatency || 0,
+        ...latencyPercentiles,
         errorRate: evaluation.currentErrorRate || 0,
         uptime: service.lastHeartbeat ? Date.now() - service.lastHeartbeat.getTime() : 0,
         memoryUsage: evaluation.currentMemoryUsage || 0,
@@ -381,7 +374,7 @@ const runIntelligentEvaluation = async () => {
               'critical',
               '🛑 Service Stopped',
               {
-                message: `${service.name} has stopped responding. No heartbeat received for >60 seconds.`,
+                message: `${service.name} has stopped responding. No heartbeat received for >${getEffectiveAnomalyConfig(service.name).heartbeatTimeout} seconds.`,
                 ...service.currentMetrics
               }
             );
@@ -0,0 +1,141 @@
+import cron from 'node-cron';
+import Service from '../models/Service.js';
+import Metric from '../models/Metric.js';
+import Event from '../models/Event.js';
+import Alert from '../models/Alert.js';
+import { projectMemoryExhaustion } from '../utils/memoryTrend.js';
+import { serviceWindows } from '../services/ingestionService.js';
+import { createNotificationService } from '../services/notificationService.js';
+import { raiseAlert } from '../services/alertService.js';
+
+// Initialize notification service
+const notificationService = createNotificationService();
+
+const config = {
+  ceilingMb: parseFloat(process.env.MEMORY_CEILING_MB) || 512,
+  windowMinutes: parseInt(process.env.MEMORY_LEAK_WINDOW_MINUTES) || 120,
+  minSpanMinutes: parseInt(process.env.MEMORY_LEAK_MIN_MINUTES) || 20,
+  minSlopeMbPerHour: parseFloat(process.env.MEMORY_LEAK_MIN_SLOPE) || 5,
+  minRSquared: parseFloat(process.env.MEMORY_LEAK_MIN_R2) || 0.8,
+  horizonHours: parseFloat(process.env.MEMORY_LEAK_HORIZON_HOURS) || 24,
+};
+
+// Per-minute memory averages smooth out GC sawtooth between heartbeats
+const loadMemorySeries = async (service, since) => {
+  const buckets = await Metric.aggregate([
+    { $match: { serviceId: service._id, timestamp: { $gte: since }, memoryUsage: { $gt: 0 } } },
+    {
+      $group: {
+        _id: { $subtract: [{ $toLong: '$timestamp' }, { $mod: [{ $toLong: '$timestamp' }, 60000] }] },
+        memoryUsage: { $avg: '$memoryUsage' }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  return buckets.map(b => ({ timestamp: new Date(b._id), memoryUsage: b.memoryUsage }));
+};
+
+const formatDuration = (ms) => {
+  const minutes = Math.max(0, Math.round(ms / 60000));
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  return `${hours}h ${minutes % 60}m`;
+};
+
+// Analyze one service and raise/resolve its leak alert
+const analyzeService = async (service) => {
+  // Only look at memory since the last restart: a restart resets the heap
+  const windowStart = Date.now() - config.windowMinutes * 60 * 1000;
+  const restartedAt = serviceWindows[service.name]?.startTime || 0;
+  const since = new Date(Math.max(windowStart, restartedAt));
+
+  const series = await loadMemorySeries(service, since);
+  const forecast = projectMemoryExhaustion(series, config);
+
+  service.memoryForecast = forecast
+    ? { ...forecast, updatedAt: new Date() }
+    : { leakSuspected: false, ceilingMb: config.ceilingMb, updatedAt: new Date() };
+  await service.save();
+
+  const openAlert = await Alert.findOne({
+    serviceId: service._id,
+    alertType: 'memory_leak_suspected',
+    resolvedAt: null
+  });
+
+  if (!forecast?.leakSuspected) {
+    if (openAlert) {
+      openAlert.resolvedAt = new Date();
+      await openAlert.save();
+      console.log(`✅ Memory trend of ${service.name} back to normal`);
+    }
+    return;
+  }
+
+  if (openAlert) return;
+
+  const timeLeft = formatDuration(forecast.projectedExhaustionAt.getTime() - Date.now());
+  const details = `+${forecast.slopeMbPerHour.toFixed(1)}MB/h over ${forecast.windowMinutes}m ` +
+    `(R²=${forecast.rSquared.toFixed(2)}), ${config.ceilingMb}MB ceiling reached in ~${timeLeft} ` +
+    `at ${forecast.projectedExhaustionAt.toISOString()}`;
+  const message = `🧠 Memory leak suspected in ${service.name}: ${details}`;
+
+  await raiseAlert(service, {
+    alertType: 'memory_leak_suspected',
+    severity: 'warning',
+    message
+  });
+
+  await Event.create({
+    serviceId: service._id,
+    serviceName: service.name,
+    eventType: 'trend_detected',
+    severity: 'warning',
+    message,
+    metadata: { reason: 'memory_leak_suspected', forecast }
+  });
+
+  console.log(message);
+
+  await notificationService.sendAlert(
+    service,
+    'warning',
+    `memory_leak_suspected: ${details}`,
+    service.currentMetrics || {}
+  );
+};
+
+// Global lock to prevent overlapping runs
+let isAnalyzing = false;
+
+const runMemoryLeakDetection = async () => {
+  if (isAnalyzing) return;
+  isAnalyzing = true;
+
+  try {
+    const services = await Service.find({ lastHeartbeat: { $ne: null } });
+
+    for (const service of services) {
+      try {
+        await analyzeService(service);
+      } catch (error) {
+        console.error(`Error analyzing memory trend for ${service.name}:`, error);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Error in memory leak detection:', error);
+  } finally {
+    isAnalyzing = false;
+  }
+};
+
+// Start the cron job
+export const startMemoryLeakDetector = () => {
+  console.log(`🧠 Starting Memory Leak Detector (${config.windowMinutes}m window, ${config.ceilingMb}MB ceiling)`);
+
+  // Re-fit once a minute: the trend only changes slowly
+  cron.schedule('0 * * * * *', runMemoryLeakDetection);
+};
+
+export default { startMemoryLeakDetector, runMemoryLeakDetection };
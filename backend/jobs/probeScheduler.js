@@ -0,0 +1,68 @@
+import cron from 'node-cron';
+import Service from '../models/Service.js';
+import Probe from '../models/Probe.js';
+import { ensureDefaultProbe, runProbe, refreshProbeStatus } from '../services/probeService.js';
+
+const isDue = (probe, now) => !probe.lastRunAt || now - probe.lastRunAt.getTime() >= probe.intervalSeconds * 1000;
+
+// Global lock to prevent overlapping runs (a slow probe can outlast the tick)
+let isProbing = false;
+
+const runDueProbes = async () => {
+  if (isProbing) return;
+  isProbing = true;
+
+  try {
+    const services = await Service.find({});
+    const servicesById = new Map(services.map(s => [String(s._id), s]));
+
+    for (const service of services) {
+      try {
+        await ensureDefaultProbe(service);
+      } catch (error) {
+        console.error(`Error creating default probe for ${service.name}:`, error);
+      }
+    }
+
+    const now = Date.now();
+    const probes = (await Probe.find({ enabled: true }))
+      .filter(probe => servicesById.has(String(probe.serviceId)) && isDue(probe, now));
+    if (probes.length === 0) return;
+
+    // Probes are independent: run them side by side so one timeout doesn't delay the rest
+    const results = await Promise.allSettled(
+      probes.map(probe => runProbe(probe, servicesById.get(String(probe.serviceId))))
+    );
+    results.forEach((result, i) => {
+      if (result.status === 'rejected') {
+        console.error(`Error running probe ${probes[i].serviceName}/${probes[i].name}:`, result.reason);
+      } else if (!result.value.success) {
+        console.log(`🩺 Probe ${probes[i].serviceName}/${probes[i].name} failed: ${result.value.error}`);
+      }
+    });
+
+    const probedServiceIds = new Set(probes.map(probe => String(probe.serviceId)));
+    for (const serviceId of probedServiceIds) {
+      const service = servicesById.get(serviceId);
+      try {
+        await refreshProbeStatus(service);
+      } catch (error) {
+        console.error(`Error updating probe status for ${service.name}:`, error);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Error in probe scheduler:', error);
+  } finally {
+    isProbing = false;
+  }
+};
+
+// Start the cron job
+export const startProbeScheduler = () => {
+  console.log('🩺 Starting Probe Scheduler');
+
+  // Check every 5 seconds which probes are due (intervals are per probe)
+  cron.schedule('*/5 * * * * *', runDueProbes);
+};
+
+export default { startProbeScheduler, runDueProbes };
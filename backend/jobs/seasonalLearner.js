@@ -0,0 +1,38 @@
+import cron from 'node-cron';
+import { learnSeasonalBaselines, loadSeasonalProfiles, seasonalConfig } from '../services/seasonalBaselineService.js';
+
+// Global lock to prevent overlapping learning runs
+let isLearning = false;
+
+const runSeasonalLearning = async () => {
+  if (isLearning) return;
+  isLearning = true;
+
+  try {
+    await learnSeasonalBaselines();
+  } catch (error) {
+    console.error('❌ Error learning seasonal baselines:', error);
+  } finally {
+    isLearning = false;
+  }
+};
+
+// Start the cron job
+export const startSeasonalLearner = async () => {
+  if (!seasonalConfig.enabled) {
+    console.log('📅 Seasonal baselines disabled');
+    return;
+  }
+
+  console.log(`📅 Starting Seasonal Learner (${seasonalConfig.lookbackDays} day lookback, ${seasonalConfig.timezone})`);
+
+  // Serve the last learned profiles right away, then refresh from history
+  const loaded = await loadSeasonalProfiles();
+  console.log(`📅 Loaded ${loaded} seasonal profiles`);
+  setTimeout(runSeasonalLearning, 10000);
+
+  // Re-learn at the start of every hour
+  cron.schedule('0 * * * *', runSeasonalLearning);
+};
+
+export default { startSeasonalLearner, runSeasonalLearning };
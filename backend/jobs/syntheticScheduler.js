@@ -0,0 +1,43 @@
+import cron from 'node-cron';
+import SyntheticCheck from '../models/SyntheticCheck.js';
+import { runSyntheticCheck } from '../services/syntheticService.js';
+
+const isDue = (check, now) => !check.lastRunAt || now - check.lastRunAt.getTime() >= check.intervalSeconds * 1000;
+
+// Global lock to prevent overlapping runs (a journey can take several step timeouts)
+let isRunning = false;
+
+const runDueChecks = async () => {
+  if (isRunning) return;
+  isRunning = true;
+
+  try {
+    const now = Date.now();
+    const checks = (await SyntheticCheck.find({ enabled: true })).filter(check => isDue(check, now));
+    if (checks.length === 0) return;
+
+    // Steps of one check run in order; separate checks run side by side
+    const results = await Promise.allSettled(checks.map(check => runSyntheticCheck(check)));
+    results.forEach((result, i) => {
+      if (result.status === 'rejected') {
+        console.error(`Error running synthetic check ${checks[i].name}:`, result.reason);
+      } else if (!result.value.success) {
+        console.log(`🧪 Synthetic check ${checks[i].name} failed at ${result.value.failedStep}: ${result.value.error}`);
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error in synthetic check scheduler:', error);
+  } finally {
+    isRunning = false;
+  }
+};
+
+// Start the cron job
+export const startSyntheticScheduler = () => {
+  console.log('🧪 Starting Synthetic Check Scheduler');
+
+  // Check every 5 seconds which checks are due (intervals are per check)
+  cron.schedule('*/5 * * * * *', runDueChecks);
+};
+
+export default { startSyntheticScheduler, runDueChecks };
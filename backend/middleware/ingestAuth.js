@@ -0,0 +1,77 @@
+import crypto from 'crypto';
+import ApiKey from '../models/ApiKey.js';
+import logger from '../utils/logger.js';
+
+// Ingestion is closed unless explicitly opened for local development
+const REQUIRE_API_KEY = process.env.INGEST_REQUIRE_API_KEY !== 'false';
+
+// Avoid a database write on every heartbeat just to track usage
+const LAST_USED_UPDATE_INTERVAL = 60 * 1000;
+
+export const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Generate a new ingestion key: "hg_" + 48 hex characters
+export const generateApiKey = () => {
+  const key = `hg_${crypto.randomBytes(24).toString('hex')}`;
+  return { key, prefix: key.substring(0, 11), keyHash: hashApiKey(key) };
+};
+
+// Read the key from X-API-Key or an "Authorization: Bearer hg_..." header
+const extractApiKey = (req) => {
+  const headerKey = req.get('x-api-key');
+  if (headerKey) return headerKey.trim();
+
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer hg_')) {
+    return authHeader.substring(7).trim();
+  }
+
+  return null;
+};
+
+export const verifyIngestKey = async (req, res, next) => {
+  try {
+    const key = extractApiKey(req);
+
+    if (!key) {
+      if (!REQUIRE_API_KEY) return next();
+
+      logger.warn('Ingestion attempt without API key', { ip: req.ip, path: req.path });
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized - No API key provided'
+      });
+    }
+
+    const apiKey = await ApiKey.findOne({ keyHash: hashApiKey(key), revokedAt: null });
+    const now = new Date();
+
+    if (!apiKey || (apiKey.expiresAt && apiKey.expiresAt <= now)) {
+      logger.warn('Invalid ingestion API key provided', { ip: req.ip, path: req.path });
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized - Invalid API key'
+      });
+    }
+
+    // Attach key scope to request
+    req.ingestKey = {
+      id: apiKey._id,
+      serviceId: apiKey.serviceId,
+      serviceName: apiKey.serviceName
+    };
+
+    if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > LAST_USED_UPDATE_INTERVAL) {
+      ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: now })
+        .catch(err => logger.error('Failed to update API key usage', { error: err.message }));
+    }
+
+    next();
+  } catch (error) {
+    logger.error('API key verification error', { error: error.message });
+    return res.status(401).json({
+      success: false,
+      message: 'Unauthorized'
+    });
+  }
+};
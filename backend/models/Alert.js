@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { incrementCounter } from '../utils/telemetry.js';
 
 const alertSchema = new mongoose.Schema({
   serviceId: {
@@ -11,9 +12,9 @@ const alertSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Reason code of the detector that raised it (e.g. latency_elevated, no_heartbeat, memory_leak_suspected)
   alertType: {
     type: String,
-    enum: ['high_latency', 'high_error_rate', 'no_heartbeat', 'trend_warning', 'cascading_failure'],
     required: true
   },
   severity: {
@@ -29,10 +30,28 @@ const alertSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  acknowledgedBy: {
+    type: String,
+    default: null
+  },
+  acknowledgedAt: {
+    type: Date,
+    default: null
+  },
   resolvedAt: {
     type: Date,
     default: null
   },
+  resolvedBy: {
+    type: String,
+    default: null
+  },
+  // Operator feedback; also stored in AlertFeedback, which outlives the alert
+  verdict: {
+    type: String,
+    enum: ['true_positive', 'false_positive', 'expected', null],
+    default: null
+  },
   timestamp: {
     type: Date,
     default: Date.now,
@@ -49,6 +68,18 @@ alertSchema.index({ severity: 1, timestamp: -1 });
 // TTL index to automatically delete resolved alerts after 7 days
 alertSchema.index({ resolvedAt: 1 }, { expireAfterSeconds: 604800, partialFilterExpression: { resolvedAt: { $ne: null } } });
 
+// Count newly created documents for the Prometheus exporter
+alertSchema.pre('save', function (next) {
+  this.$locals.wasNew = this.isNew;
+  next();
+});
+
+alertSchema.post('save', function (doc) {
+  if (doc.$locals.wasNew) {
+    incrementCounter('alertsRaised', { service: doc.serviceName, severity: doc.severity, alert_type: doc.alertType });
+  }
+});
+
 const Alert = mongoose.model('Alert', alertSchema);
 
 export default Alert;
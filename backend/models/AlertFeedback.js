@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+// Operator verdict on an alert; kept after the alert itself expires so precision can be reported over time
+const alertFeedbackSchema = new mongoose.Schema({
+  alertId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert',
+    required: true,
+    unique: true
+  },
+  serviceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: true
+  },
+  serviceName: {
+    type: String,
+    required: true
+  },
+  alertType: {
+    type: String,
+    required: true
+  },
+  severity: {
+    type: String,
+    enum: ['warning', 'critical'],
+    required: true
+  },
+  verdict: {
+    type: String,
+    enum: ['true_positive', 'false_positive', 'expected'],
+    required: true
+  },
+  note: {
+    type: String,
+    default: null
+  },
+  createdBy: {
+    type: String
+  },
+  alertRaisedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+alertFeedbackSchema.index({ serviceName: 1, alertType: 1, updatedAt: -1 });
+
+// Verdicts are only needed for the precision lookback; drop them after 90 days
+alertFeedbackSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+const AlertFeedback = mongoose.model('AlertFeedback', alertFeedbackSchema);
+
+export default AlertFeedback;
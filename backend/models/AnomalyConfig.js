@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+
+// Sigma multiplier learned from false-positive feedback, per metric
+const sigmaScale = () => ({
+  factor: { type: Number, min: 1 },
+  updatedAt: { type: Date }
+});
+
+// Per-service anomaly detection overrides; unset fields fall back to the environment defaults
+const anomalyConfigSchema = new mongoose.Schema({
+  serviceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: true,
+    unique: true
+  },
+  serviceName: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  warmupSamples: {
+    type: Number,
+    min: 1
+  },
+  windowSize: {
+    type: Number,
+    min: 2
+  },
+  warningSigma: {
+    type: Number,
+    min: 0
+  },
+  criticalSigma: {
+    type: Number,
+    min: 0
+  },
+  minConsecutive: {
+    type: Number,
+    min: 1
+  },
+  trendThreshold: {
+    type: Number,
+    min: 0
+  },
+  heartbeatTimeout: {
+    type: Number, // seconds
+    min: 1
+  },
+  mode: {
+    type: String,
+    enum: ['stddev', 'mad', 'iqr']
+  },
+  // Absolute limits that mark the service critical regardless of its baseline
+  hardLimits: {
+    latency: { type: Number, min: 0 }, // ms
+    errorRate: { type: Number, min: 0 }, // percent
+    memoryUsage: { type: Number, min: 0 } // MB
+  },
+  // SLO objectives on window statistics; replaces the ANOMALY_SLOS defaults when set
+  slos: {
+    type: [{
+      _id: false,
+      metric: { type: String, enum: ['latency', 'latencyP95', 'errorRate', 'requestCount'], required: true },
+      statistic: { type: String, enum: ['mean', 'median', 'p95', 'p99'], default: 'p95' },
+      max: { type: Number },
+      min: { type: Number },
+      severity: { type: String, enum: ['warning', 'critical'], default: 'warning' }
+    }],
+    default: undefined
+  },
+  // Widened automatically by alert feedback; keyed by metric name as used in reason codes
+  sigmaScale: {
+    latency: sigmaScale(),
+    latency_p95: sigmaScale(),
+    error_rate: sigmaScale(),
+    request_count: sigmaScale()
+  },
+  updatedBy: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+const AnomalyConfig = mongoose.model('AnomalyConfig', anomalyConfigSchema);
+
+export default AnomalyConfig;
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+const apiKeySchema = new mongoose.Schema({
+  serviceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: true,
+    index: true
+  },
+  serviceName: {
+    type: String,
+    required: true
+  },
+  label: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // First characters of the key, kept in clear text so keys can be told apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the full key - the key itself is only shown once on issue
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  rotatedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Compound index for listing active keys of a service
+apiKeySchema.index({ serviceId: 1, revokedAt: 1 });
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { incrementCounter } from '../utils/telemetry.js';
 
 const eventSchema = new mongoose.Schema({
   serviceId: {
@@ -13,7 +14,7 @@ const eventSchema = new mongoose.Schema({
   },
   eventType: {
     type: String,
-    enum: ['status_change', 'alert', 'auto_healing', 'baseline_update', 'trend_detected'],
+    enum: ['status_change', 'service_started', 'alert', 'auto_healing', 'baseline_update', 'trend_detected', 'baseline_shift', 'threshold_adjusted'],
     required: true
   },
   severity: {
@@ -45,6 +46,18 @@ eventSchema.index({ eventType: 1, timestamp: -1 });
 // TTL index to automatically delete old events after 30 days
 eventSchema.index({ timestamp: 1 }, { expireAfterSeconds: 2592000 });
 
+// Count newly created documents for the Prometheus exporter
+eventSchema.pre('save', function (next) {
+  this.$locals.wasNew = this.isNew;
+  next();
+});
+
+eventSchema.post('save', function (doc) {
+  if (doc.$locals.wasNew) {
+    incrementCounter('eventsCreated', { service: doc.serviceName, event_type: doc.eventType, severity: doc.severity });
+  }
+});
+
 const Event = mongoose.model('Event', eventSchema);
 
 export default Event;
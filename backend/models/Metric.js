@@ -1,5 +1,19 @@
 import mongoose from 'mongoose';
 
+// Tail latency fields reported by agents with a latency sketch (per send interval)
+export const LATENCY_PERCENTILES = ['latencyP50', 'latencyP90', 'latencyP95', 'latencyP99', 'latencyMax'];
+
+// Process-level stats reported by the agent's runtime monitor (per send interval)
+export const RUNTIME_FIELDS = [
+  'eventLoopDelayMean', 'eventLoopDelayP50', 'eventLoopDelayP99', 'eventLoopDelayMax',
+  'cpuPercent', 'rssMb', 'externalMb', 'activeHandles', 'gcCount', 'gcPauseMs', 'gcMaxPauseMs'
+];
+
+const runtimeSchema = new mongoose.Schema(
+  Object.fromEntries(RUNTIME_FIELDS.map(field => [field, { type: Number }])),
+  { _id: false }
+);
+
 const metricSchema = new mongoose.Schema({
   serviceId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -15,6 +29,8 @@ const metricSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Null when the sender doesn't report percentiles (older agents, OTLP)
+  ...Object.fromEntries(LATENCY_PERCENTILES.map(field => [field, { type: Number, default: null }])),
   errorRate: {
     type: Number,
     default: 0
@@ -35,6 +51,38 @@ const metricSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Per-route breakdown of the agent's send interval (Express route patterns)
+  routes: {
+    type: [{
+      _id: false,
+      method: { type: String, required: true },
+      route: { type: String, required: true },
+      requestCount: { type: Number, default: 0 },
+      errorCount: { type: Number, default: 0 },
+      avgLatency: { type: Number, default: 0 },
+      latencyP95: { type: Number, default: null },
+      latencyMax: { type: Number, default: null }
+    }],
+    default: undefined
+  },
+  // Outbound calls of the agent's send interval, per target service or host
+  dependencies: {
+    type: [{
+      _id: false,
+      target: { type: String, required: true },
+      callCount: { type: Number, default: 0 },
+      errorCount: { type: Number, default: 0 },
+      avgLatency: { type: Number, default: 0 },
+      latencyP95: { type: Number, default: null },
+      latencyMax: { type: Number, default: null }
+    }],
+    default: undefined
+  },
+  // Event loop delay (ms beyond the timer resolution), CPU %, memory (MB), handles and GC pauses
+  runtime: {
+    type: runtimeSchema,
+    default: undefined
+  },
   timestamp: {
     type: Date,
     default: Date.now,
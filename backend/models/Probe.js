@@ -0,0 +1,100 @@
+import mongoose from 'mongoose';
+
+export const PROBE_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+
+// Active HTTP check the Guardian runs against a service on a schedule
+const probeSchema = new mongoose.Schema({
+  serviceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: true,
+    index: true
+  },
+  serviceName: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  method: {
+    type: String,
+    enum: PROBE_METHODS,
+    default: 'GET'
+  },
+  // Path on the service url, unless url is set
+  path: {
+    type: String,
+    default: '/health'
+  },
+  // Absolute url (e.g. a load balancer in front of the service)
+  url: {
+    type: String,
+    default: null
+  },
+  headers: {
+    type: Map,
+    of: String,
+    default: undefined
+  },
+  body: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+  // Assertions: any listed status passes; optional substring and JSON path checks on the body
+  expectedStatus: {
+    type: [Number],
+    default: [200]
+  },
+  bodyContains: {
+    type: String,
+    default: null
+  },
+  jsonAssertions: {
+    type: [{
+      _id: false,
+      path: { type: String, required: true },
+      equals: { type: mongoose.Schema.Types.Mixed }
+    }],
+    default: undefined
+  },
+  timeoutMs: {
+    type: Number,
+    default: 5000,
+    min: 100,
+    max: 60000
+  },
+  intervalSeconds: {
+    type: Number,
+    default: 30,
+    min: 5,
+    max: 3600
+  },
+  // Consecutive failures before the probe marks the service critical
+  failureThreshold: {
+    type: Number,
+    default: 3,
+    min: 1
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Outcome of the latest run
+  lastRunAt: { type: Date, default: null },
+  lastSuccess: { type: Boolean, default: null },
+  lastStatusCode: { type: Number, default: null },
+  lastLatencyMs: { type: Number, default: null },
+  lastError: { type: String, default: null },
+  consecutiveFailures: { type: Number, default: 0 }
+}, {
+  timestamps: true
+});
+
+probeSchema.index({ serviceId: 1, name: 1 }, { unique: true });
+
+const Probe = mongoose.model('Probe', probeSchema);
+
+export default Probe;
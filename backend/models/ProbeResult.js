@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+const probeResultSchema = new mongoose.Schema({
+  probeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Probe',
+    required: true
+  },
+  serviceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: true
+  },
+  serviceName: {
+    type: String,
+    required: true
+  },
+  probeName: {
+    type: String,
+    required: true
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  statusCode: {
+    type: Number,
+    default: null
+  },
+  latencyMs: {
+    type: Number,
+    default: null
+  },
+  // First failed assertion, or the network error
+  error: {
+    type: String,
+    default: null
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false
+});
+
+probeResultSchema.index({ probeId: 1, timestamp: -1 });
+probeResultSchema.index({ serviceId: 1, timestamp: -1 });
+
+// Keep results as long as metrics (7 days)
+probeResultSchema.index({ timestamp: 1 }, { expireAfterSeconds: 604800 });
+
+const ProbeResult = mongoose.model('ProbeResult', probeResultSchema);
+
+export default ProbeResult;
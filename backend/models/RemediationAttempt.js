@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+
+// One run of a remediation executor and its verified outcome
+const remediationAttemptSchema = new mongoose.Schema({
+  serviceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: true
+  },
+  serviceName: {
+    type: String,
+    required: true
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  triggeredBy: {
+    type: String,
+    enum: ['auto', 'manual'],
+    required: true
+  },
+  requestedBy: {
+    type: String,
+    default: null
+  },
+  // running: executor working; verifying: waiting for heartbeats; then recovered or failed
+  outcome: {
+    type: String,
+    enum: ['running', 'verifying', 'recovered', 'failed'],
+    default: 'running'
+  },
+  // What the executor reported (exit code, signal sent, HTTP status) and its output
+  execution: {
+    ok: { type: Boolean },
+    detail: { type: String },
+    output: { type: String },
+    durationMs: { type: Number }
+  },
+  // Agent process before the action; a different pid afterwards means it was replaced
+  pidBefore: {
+    type: Number,
+    default: null
+  },
+  expectsRestart: {
+    type: Boolean,
+    default: true
+  },
+  restartObserved: {
+    type: Boolean,
+    default: false
+  },
+  healthyHeartbeats: {
+    type: Number,
+    default: 0
+  },
+  verifyDeadline: {
+    type: Date,
+    default: null
+  },
+  failureReason: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: false
+});
+
+remediationAttemptSchema.index({ serviceId: 1, startedAt: -1 });
+remediationAttemptSchema.index({ outcome: 1 });
+
+const RemediationAttempt = mongoose.model('RemediationAttempt', remediationAttemptSchema);
+
+export default RemediationAttempt;
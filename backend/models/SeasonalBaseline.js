@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+// Robust statistics, so an incident in the lookback doesn't become "normal"
+const metricStatsSchema = new mongoose.Schema({
+  median: { type: Number, default: 0 },
+  mad: { type: Number, default: 0 } // median absolute deviation (unscaled)
+}, { _id: false });
+
+const bucketSchema = new mongoose.Schema({
+  dayOfWeek: { type: Number, default: null }, // 0 = Sunday, null for hour-of-day buckets
+  hour: { type: Number, required: true },
+  sampleCount: { type: Number, default: 0 },
+  days: { type: Number, default: 0 }, // distinct dates that contributed samples
+  latency: metricStatsSchema,
+  errorRate: metricStatsSchema,
+  requestCount: metricStatsSchema
+}, { _id: false });
+
+const seasonalBaselineSchema = new mongoose.Schema({
+  serviceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: true
+  },
+  serviceName: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  timezone: {
+    type: String,
+    default: 'UTC'
+  },
+  hourOfWeek: [bucketSchema],
+  hourOfDay: [bucketSchema],
+  lookbackDays: {
+    type: Number,
+    default: 21
+  },
+  learnedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false
+});
+
+const SeasonalBaseline = mongoose.model('SeasonalBaseline', seasonalBaselineSchema);
+
+export default SeasonalBaseline;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { RUNTIME_FIELDS } from './Metric.js';
 
 const serviceSchema = new mongoose.Schema({
   name: {
@@ -22,6 +23,11 @@ const serviceSchema = new mongoose.Schema({
   },
   currentMetrics: {
     avgLatency: { type: Number, default: 0 },
+    latencyP50: { type: Number, default: null },
+    latencyP90: { type: Number, default: null },
+    latencyP95: { type: Number, default: null },
+    latencyP99: { type: Number, default: null },
+    latencyMax: { type: Number, default: null },
     errorRate: { type: Number, default: 0 },
     uptime: { type: Number, default: 0 },
     memoryUsage: { type: Number, default: 0 },
@@ -42,10 +48,38 @@ const serviceSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Deepest critical upstream behind isAtRisk; path runs from this service to it
+  rootCause: {
+    serviceName: { type: String, default: null },
+    path: { type: [String], default: undefined },
+    since: { type: Date, default: null }
+  },
   autoHealingInProgress: {
     type: Boolean,
     default: false
   },
+  // How this service is remediated when it stays critical (or on POST /services/actions/restart)
+  remediation: {
+    action: { type: String, default: null }, // command | signal | webhook | http
+    command: { type: String, default: null },
+    signal: { type: String, default: null },
+    pid: { type: Number, default: null }, // signal target, set by the operator
+    pidFile: { type: String, default: null }, // or read from this file when signalling
+    target: { type: String, default: null }, // or "agent": the pid the agent reports (same host only)
+    url: { type: String, default: null },
+    method: { type: String, default: null },
+    headers: { type: Map, of: String, default: undefined },
+    body: { type: mongoose.Schema.Types.Mixed, default: undefined },
+    auto: { type: Boolean, default: true },
+    updatedBy: { type: String, default: null },
+    updatedAt: { type: Date, default: null }
+  },
+  // Process that reported the latest heartbeat (restart detection; signalled only with remediation target "agent")
+  agent: {
+    pid: { type: Number },
+    hostname: { type: String },
+    updatedAt: { type: Date }
+  },
   criticalSince: {
     type: Date,
     default: null
@@ -53,6 +87,34 @@ const serviceSchema = new mongoose.Schema({
   criticalNotificationSent: {
     type: Boolean,
     default: false
+  },
+  memoryForecast: {
+    slopeMbPerHour: { type: Number },
+    rSquared: { type: Number },
+    currentMb: { type: Number },
+    ceilingMb: { type: Number },
+    windowMinutes: { type: Number },
+    sampleCount: { type: Number },
+    projectedExhaustionAt: { type: Date, default: null },
+    leakSuspected: { type: Boolean, default: false },
+    updatedAt: { type: Date }
+  },
+  // Latest runtime stats from the agent (kept outside currentMetrics, which the evaluator rewrites)
+  runtime: {
+    ...Object.fromEntries(RUNTIME_FIELDS.map(field => [field, { type: Number }])),
+    updatedAt: { type: Date }
+  },
+  // Active probe state, written by the probe scheduler
+  probeStatus: {
+    failing: { type: Boolean, default: false },
+    failingProbes: { type: [String], default: undefined },
+    lastError: { type: String, default: null },
+    checkedAt: { type: Date, default: null }
+  },
+  // Samples the agent discarded while its offline buffer was full (agent counter, resets with the agent)
+  droppedSamples: {
+    type: Number,
+    default: 0
   }
 }, {
   timestamps: true
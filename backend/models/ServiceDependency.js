@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+// Edge of the dependency graph: serviceName calls (and can be taken down by) dependsOn
+const serviceDependencySchema = new mongoose.Schema({
+  serviceName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  dependsOn: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // declared: added through the API (kept until deleted); learned: seen in agent outbound traffic
+  source: {
+    type: String,
+    enum: ['declared', 'learned'],
+    required: true
+  },
+  createdBy: {
+    type: String,
+    default: null
+  },
+  // Last time an agent reported calls over this edge (learned edges expire without traffic)
+  lastSeenAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+serviceDependencySchema.index({ serviceName: 1, dependsOn: 1 }, { unique: true });
+serviceDependencySchema.index({ dependsOn: 1 });
+
+// Learned edges disappear after 7 days without traffic; declared ones never expire
+serviceDependencySchema.index(
+  { lastSeenAt: 1 },
+  { expireAfterSeconds: 604800, partialFilterExpression: { source: 'learned' } }
+);
+
+const ServiceDependency = mongoose.model('ServiceDependency', serviceDependencySchema);
+
+export default ServiceDependency;
@@ -0,0 +1,129 @@
+import mongoose from 'mongoose';
+import { PROBE_METHODS } from './Probe.js';
+
+// One request of a journey; strings may use {{variables}} from earlier steps
+const stepSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Registered service the step calls (and the one an alert is raised on)
+  service: {
+    type: String,
+    required: true
+  },
+  method: {
+    type: String,
+    enum: PROBE_METHODS,
+    default: 'GET'
+  },
+  // Path on the service url, unless url is set
+  path: {
+    type: String,
+    default: '/'
+  },
+  url: {
+    type: String,
+    default: null
+  },
+  headers: {
+    type: Map,
+    of: String,
+    default: undefined
+  },
+  body: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+  expectedStatus: {
+    type: [Number],
+    default: [200]
+  },
+  bodyContains: {
+    type: String,
+    default: null
+  },
+  jsonAssertions: {
+    type: [{
+      _id: false,
+      path: { type: String, required: true },
+      equals: { type: mongoose.Schema.Types.Mixed }
+    }],
+    default: undefined
+  },
+  // Variables for later steps: a JSON path of the response body, or a response header
+  extract: {
+    type: [{
+      _id: false,
+      name: { type: String, required: true },
+      path: { type: String },
+      header: { type: String }
+    }],
+    default: undefined
+  },
+  timeoutMs: {
+    type: Number,
+    default: 5000,
+    min: 100,
+    max: 60000
+  }
+}, { _id: false });
+
+// Scripted multi-step journey across services, run on a schedule
+const syntheticCheckSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: null
+  },
+  steps: {
+    type: [stepSchema],
+    validate: [steps => steps.length > 0, 'a check needs at least one step']
+  },
+  // Initial variables (e.g. a test user name)
+  variables: {
+    type: Map,
+    of: String,
+    default: undefined
+  },
+  intervalSeconds: {
+    type: Number,
+    default: 60,
+    min: 10,
+    max: 86400
+  },
+  // Consecutive failed runs before an alert is raised
+  failureThreshold: {
+    type: Number,
+    default: 2,
+    min: 1
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: String,
+    default: null
+  },
+  // Outcome of the latest run
+  lastRunAt: { type: Date, default: null },
+  lastSuccess: { type: Boolean, default: null },
+  lastDurationMs: { type: Number, default: null },
+  lastFailedStep: { type: String, default: null },
+  lastFailedService: { type: String, default: null },
+  lastError: { type: String, default: null },
+  consecutiveFailures: { type: Number, default: 0 }
+}, {
+  timestamps: true
+});
+
+const SyntheticCheck = mongoose.model('SyntheticCheck', syntheticCheckSchema);
+
+export default SyntheticCheck;
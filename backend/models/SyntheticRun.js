@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+// One run of a synthetic check with the timing and outcome of every step
+const syntheticRunSchema = new mongoose.Schema({
+  checkId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SyntheticCheck',
+    required: true
+  },
+  checkName: {
+    type: String,
+    required: true
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  durationMs: {
+    type: Number,
+    required: true
+  },
+  // Name of the first step that failed (later steps are skipped)
+  failedStep: {
+    type: String,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  steps: [{
+    _id: false,
+    name: { type: String, required: true },
+    service: { type: String },
+    method: { type: String },
+    url: { type: String, default: null },
+    status: { type: String, enum: ['passed', 'failed', 'skipped'], required: true },
+    statusCode: { type: Number, default: null },
+    latencyMs: { type: Number, default: null },
+    error: { type: String, default: null }
+  }],
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false
+});
+
+syntheticRunSchema.index({ checkId: 1, timestamp: -1 });
+
+// Keep runs as long as metrics (7 days)
+syntheticRunSchema.index({ timestamp: 1 }, { expireAfterSeconds: 604800 });
+
+const SyntheticRun = mongoose.model('SyntheticRun', syntheticRunSchema);
+
+export default SyntheticRun;
@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+const windowSnapshotSchema = new mongoose.Schema({
+  serviceName: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // WindowStats.toSnapshot() per metric: { latency: {...}, errorRate: {...}, ... }
+  windows: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  startTime: {
+    type: Date,
+    default: Date.now
+  },
+  savedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false,
+  minimize: false
+});
+
+const WindowSnapshot = mongoose.model('WindowSnapshot', windowSnapshotSchema);
+
+export default WindowSnapshot;
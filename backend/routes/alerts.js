@@ -0,0 +1,145 @@
+import express from 'express';
+import Alert from '../models/Alert.js';
+import { verifyToken } from '../middleware/auth.js';
+import {
+  VERDICTS,
+  acknowledgeAlert,
+  resolveAlert,
+  getPrecisionReport,
+  feedbackConfig
+} from '../services/alertService.js';
+import logger from '../utils/logger.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+const formatAlert = (alert) => ({
+  id: alert._id,
+  serviceId: alert.serviceId,
+  serviceName: alert.serviceName,
+  alertType: alert.alertType,
+  severity: alert.severity,
+  message: alert.message,
+  timestamp: alert.timestamp,
+  acknowledged: alert.acknowledged,
+  acknowledgedBy: alert.acknowledgedBy,
+  acknowledgedAt: alert.acknowledgedAt,
+  resolvedAt: alert.resolvedAt,
+  resolvedBy: alert.resolvedBy,
+  verdict: alert.verdict
+});
+
+/**
+ * Validate the optional { verdict, note } body of an alert action
+ *
+ * Returns: { verdict, note } on success or { error }
+ */
+const parseFeedback = (body = {}, { required = false } = {}) => {
+  const { verdict, note } = body;
+  if (verdict === undefined || verdict === null) {
+    return required ? { error: `verdict is required (${VERDICTS.join(', ')})` } : { verdict: null, note: null };
+  }
+  if (!VERDICTS.includes(verdict)) {
+    return { error: `verdict must be one of ${VERDICTS.join(', ')}` };
+  }
+  if (note !== undefined && note !== null && typeof note !== 'string') {
+    return { error: 'note must be a string' };
+  }
+  return { verdict, note: note || null };
+};
+
+// GET /alerts - List alerts, newest first (PROTECTED)
+router.get('/', verifyToken, asyncHandler(async (req, res) => {
+  const { serviceName, status = 'open', verdict, limit = 100 } = req.query;
+
+  const query = {};
+  if (serviceName) query.serviceName = serviceName;
+  if (status === 'open') query.resolvedAt = null;
+  if (status === 'resolved') query.resolvedAt = { $ne: null };
+  if (verdict) query.verdict = verdict === 'none' ? null : verdict;
+
+  const alerts = await Alert.find(query)
+    .sort({ timestamp: -1 })
+    .limit(Math.min(parseInt(limit) || 100, 500));
+
+  res.json({
+    success: true,
+    count: alerts.length,
+    data: alerts.map(formatAlert)
+  });
+}));
+
+// GET /alerts/precision - Verdict counts and precision per service and reason code (PROTECTED)
+router.get('/precision', verifyToken, asyncHandler(async (req, res) => {
+  const days = parseInt(req.query.days) || feedbackConfig.lookbackDays;
+  const report = await getPrecisionReport({ days, serviceName: req.query.serviceName });
+
+  res.json({
+    success: true,
+    data: {
+      ...report,
+      days,
+      autoWiden: {
+        enabled: feedbackConfig.autoWiden,
+        minVerdicts: feedbackConfig.minVerdicts,
+        falsePositiveRatio: feedbackConfig.falsePositiveRatio,
+        widenStep: feedbackConfig.widenStep,
+        maxScale: feedbackConfig.maxScale
+      }
+    }
+  });
+}));
+
+/**
+ * Shared handler of the acknowledge / resolve / verdict actions
+ */
+const alertAction = (action, { verdictRequired = false } = {}) => asyncHandler(async (req, res) => {
+  const { verdict, note, error } = parseFeedback(req.body, { required: verdictRequired });
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error
+    });
+  }
+
+  const alert = await Alert.findById(req.params.id);
+  if (!alert) {
+    return res.status(404).json({
+      success: false,
+      error: 'Alert not found'
+    });
+  }
+
+  const { adjustment } = await action(alert, { user: req.user.email, verdict, note });
+
+  logger.info(`Alert ${alert._id} updated for ${alert.serviceName}`, {
+    alertType: alert.alertType,
+    verdict,
+    updatedBy: req.user.email
+  });
+
+  res.json({
+    success: true,
+    message: adjustment
+      ? `Alert updated; ${adjustment.metric} thresholds widened ×${adjustment.from} → ×${adjustment.to}`
+      : 'Alert updated',
+    data: {
+      alert: formatAlert(alert),
+      adjustment
+    }
+  });
+});
+
+// POST /alerts/:id/acknowledge - Acknowledge an alert, optionally with a verdict (PROTECTED)
+router.post('/:id/acknowledge', verifyToken, alertAction(acknowledgeAlert));
+
+// POST /alerts/:id/resolve - Resolve an alert, optionally with a verdict (PROTECTED)
+router.post('/:id/resolve', verifyToken, alertAction(resolveAlert));
+
+// PUT /alerts/:id/verdict - Set or change the verdict of an alert, e.g. after it auto-resolved (PROTECTED)
+router.put('/:id/verdict', verifyToken, alertAction(
+  (alert, options) => (alert.resolvedAt ? resolveAlert(alert, options) : acknowledgeAlert(alert, options)),
+  { verdictRequired: true }
+));
+
+export default router;
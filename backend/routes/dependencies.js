@@ -0,0 +1,96 @@
+import express from 'express';
+import Service from '../models/Service.js';
+import { verifyToken } from '../middleware/auth.js';
+import {
+  listDependencies,
+  declareDependency,
+  removeDependency,
+  computeImpact
+} from '../services/dependencyGraphService.js';
+import logger from '../utils/logger.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+const formatEdge = (edge) => ({
+  id: edge._id,
+  serviceName: edge.serviceName,
+  dependsOn: edge.dependsOn,
+  source: edge.source,
+  createdBy: edge.createdBy,
+  lastSeenAt: edge.lastSeenAt,
+  updatedAt: edge.updatedAt
+});
+
+// GET /dependencies - Dependency graph with current status and impact per service (PROTECTED)
+router.get('/', verifyToken, asyncHandler(async (req, res) => {
+  const [services, edges] = await Promise.all([
+    Service.find().sort({ name: 1 }),
+    listDependencies()
+  ]);
+  const impact = computeImpact(services, edges);
+
+  res.json({
+    success: true,
+    data: {
+      nodes: services.map(service => ({
+        id: service._id,
+        name: service.name,
+        status: service.status,
+        isAtRisk: impact.get(service.name).isAtRisk,
+        rootCause: impact.get(service.name).rootCause
+      })),
+      edges: edges.map(formatEdge)
+    }
+  });
+}));
+
+// POST /dependencies - Declare that serviceName depends on dependsOn (PROTECTED)
+router.post('/', verifyToken, asyncHandler(async (req, res) => {
+  const { serviceName, dependsOn } = req.body;
+
+  if (typeof serviceName !== 'string' || typeof dependsOn !== 'string' || !serviceName.trim() || !dependsOn.trim()) {
+    return res.status(400).json({
+      success: false,
+      error: 'serviceName and dependsOn are required'
+    });
+  }
+
+  if (serviceName.trim() === dependsOn.trim()) {
+    return res.status(400).json({
+      success: false,
+      error: 'A service cannot depend on itself'
+    });
+  }
+
+  const edge = await declareDependency(serviceName.trim(), dependsOn.trim(), req.user.email);
+  logger.info(`Dependency declared: ${edge.serviceName} → ${edge.dependsOn}`, { user: req.user.email });
+
+  res.status(201).json({
+    success: true,
+    message: `${edge.serviceName} now depends on ${edge.dependsOn}`,
+    data: formatEdge(edge)
+  });
+}));
+
+// DELETE /dependencies/:id - Remove an edge; learned edges come back if the traffic continues (PROTECTED)
+router.delete('/:id', verifyToken, asyncHandler(async (req, res) => {
+  const edge = await removeDependency(req.params.id);
+
+  if (!edge) {
+    return res.status(404).json({
+      success: false,
+      error: 'Dependency not found'
+    });
+  }
+
+  logger.info(`Dependency removed: ${edge.serviceName} → ${edge.dependsOn}`, { user: req.user.email });
+
+  res.json({
+    success: true,
+    message: `Removed ${edge.serviceName} → ${edge.dependsOn}`,
+    data: formatEdge(edge)
+  });
+}));
+
+export default router;
@@ -0,0 +1,91 @@
+import express from 'express';
+import Service from '../models/Service.js';
+import { ingestSample, normalizeSample } from '../services/ingestionService.js';
+import { verifyIngestKey } from '../middleware/ingestAuth.js';
+import { OtlpMetricsMapper, decodeExportMetricsRequest, encodeExportMetricsResponse } from '../utils/otlp.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+const PROTOBUF_TYPES = ['application/x-protobuf', 'application/protobuf'];
+
+// Cumulative OTLP series need state across exports
+const mapper = new OtlpMetricsMapper();
+
+// Last known totals, used to seed services that export delta temporality
+const previousTotals = {};
+
+// POST /otlp/v1/metrics - OTLP/HTTP metrics receiver (JSON and protobuf)
+router.post('/v1/metrics',
+  express.raw({ type: PROTOBUF_TYPES, limit: '5mb' }),
+  verifyIngestKey,
+  async (req, res) => {
+    const isProtobuf = PROTOBUF_TYPES.includes((req.get('content-type') || '').split(';')[0].trim());
+
+    const respond = (statusCode, result = {}) => {
+      if (isProtobuf) {
+        return res.status(statusCode).type('application/x-protobuf').send(encodeExportMetricsResponse(result));
+      }
+      const body = result.rejectedDataPoints || result.errorMessage
+        ? { partialSuccess: { rejectedDataPoints: result.rejectedDataPoints || 0, errorMessage: result.errorMessage || '' } }
+        : {};
+      return res.status(statusCode).json(body);
+    };
+
+    let request;
+    try {
+      request = isProtobuf ? decodeExportMetricsRequest(req.body) : req.body;
+    } catch (error) {
+      logger.warn('Malformed OTLP metrics payload', { error: error.message });
+      return respond(400, { errorMessage: `malformed payload: ${error.message}` });
+    }
+
+    if (!request || !Array.isArray(request.resourceMetrics)) {
+      return respond(400, { errorMessage: 'resourceMetrics is required' });
+    }
+
+    // A key only covers its own service; other resources must not move that service's series state
+    const acceptService = (serviceName) => !req.ingestKey || req.ingestKey.serviceName === serviceName;
+
+    try {
+      // Seed delta totals from the database the first time a service is seen
+      for (const resourceMetrics of request.resourceMetrics) {
+        const nameAttribute = (resourceMetrics.resource?.attributes || []).find(a => a.key === 'service.name');
+        const serviceName = nameAttribute?.value?.stringValue;
+        if (serviceName && acceptService(serviceName) && previousTotals[serviceName] === undefined) {
+          const service = await Service.findOne({ name: serviceName });
+          previousTotals[serviceName] = service?.currentMetrics?.totalRequests || 0;
+        }
+      }
+
+      const { samples, rejectedDataPoints, errors } = mapper.map(request, {
+        previousTotal: (serviceName) => previousTotals[serviceName] || 0,
+        acceptService
+      });
+
+      let rejected = rejectedDataPoints;
+
+      for (const { sample: raw, dataPoints } of samples) {
+        const { sample, error } = normalizeSample(raw);
+
+        if (error) {
+          errors.push(`${raw.serviceName}: ${error}`);
+          rejected += dataPoints;
+          continue;
+        }
+
+        await ingestSample(sample);
+        previousTotals[sample.serviceName] = sample.totalRequests;
+      }
+
+      logger.debug('OTLP metrics received', { services: samples.length, rejected });
+
+      respond(200, { rejectedDataPoints: rejected, errorMessage: [...new Set(errors)].join('; ') });
+    } catch (error) {
+      logger.error('Error ingesting OTLP metrics', { error: error.message, stack: error.stack });
+      respond(500, { errorMessage: error.message });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,150 @@
+import express from 'express';
+import Service from '../models/Service.js';
+import Probe from '../models/Probe.js';
+import { serviceWindows } from '../services/ingestionService.js';
+import { getDiagnostics } from '../utils/anomalyDetector.js';
+import { getCounterSamples } from '../utils/telemetry.js';
+import { PrometheusWriter, PROMETHEUS_CONTENT_TYPE } from '../utils/prometheus.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// Optional bearer token for scrapers (unset = open, like most exporters)
+const METRICS_BEARER_TOKEN = process.env.METRICS_BEARER_TOKEN;
+
+const STATUSES = ['healthy', 'warning', 'critical', 'analyzing', 'unknown'];
+
+const WINDOW_METRICS = {
+  latency: 'latency',
+  latencyP95: 'latency_p95',
+  errorRate: 'error_rate',
+  requestCount: 'request_count'
+};
+
+const WINDOW_STATS = {
+  mean: 'Window mean',
+  stdDev: 'Window standard deviation',
+  p95: 'Window 95th percentile',
+  p99: 'Window 99th percentile',
+  median: 'Window median',
+  mad: 'Window median absolute deviation',
+  iqr: 'Window interquartile range',
+  slope: 'Linear regression slope over the last 10 samples'
+};
+
+// Tail latency reported by the agent: [quantile label, currentMetrics field]
+const LATENCY_QUANTILES = [
+  ['0.5', 'latencyP50'],
+  ['0.9', 'latencyP90'],
+  ['0.95', 'latencyP95'],
+  ['0.99', 'latencyP99'],
+  ['1', 'latencyMax']
+];
+
+// Agent runtime stats: [Service.runtime field, metric name, help]
+const RUNTIME_GAUGES = [
+  ['eventLoopDelayP99', 'guardian_runtime_event_loop_delay_p99_ms', 'Event loop delay 99th percentile of the last agent interval in milliseconds'],
+  ['eventLoopDelayMax', 'guardian_runtime_event_loop_delay_max_ms', 'Longest event loop delay of the last agent interval in milliseconds'],
+  ['cpuPercent', 'guardian_runtime_cpu_percent', 'Process CPU usage of the last agent interval in percent of one core'],
+  ['rssMb', 'guardian_runtime_rss_mb', 'Resident set size in megabytes'],
+  ['externalMb', 'guardian_runtime_external_memory_mb', 'Memory of C++ objects bound to JavaScript (Buffers) in megabytes'],
+  ['activeHandles', 'guardian_runtime_active_handles', 'Handles and requests keeping the event loop alive'],
+  ['gcPauseMs', 'guardian_runtime_gc_pause_ms', 'Total GC pause time of the last agent interval in milliseconds']
+];
+
+const statName = (stat) => stat.replace(/[A-Z]/g, c => `_${c.toLowerCase()}`);
+
+// GET /metrics - Prometheus exposition of service health and Guardian activity
+router.get('/', async (req, res) => {
+  if (METRICS_BEARER_TOKEN && req.headers.authorization !== `Bearer ${METRICS_BEARER_TOKEN}`) {
+    return res.status(401).type('text/plain').send('Unauthorized\n');
+  }
+
+  try {
+    const services = await Service.find().sort({ name: 1 });
+    const writer = new PrometheusWriter();
+
+    writer.declare('guardian_service_status', 'gauge', 'Current service status (1 for the active status)');
+    for (const service of services) {
+      const labels = { service: service.name };
+      const metrics = service.currentMetrics || {};
+
+      for (const status of STATUSES) {
+        writer.gauge('guardian_service_status', 'Current service status (1 for the active status)',
+          { ...labels, status }, service.status === status ? 1 : 0);
+      }
+      writer.counter('guardian_agent_dropped_samples_total', 'Samples the agent discarded because its offline buffer was full',
+        labels, service.droppedSamples || 0);
+      writer.gauge('guardian_service_at_risk', 'Service is at risk due to an upstream failure', labels, service.isAtRisk ? 1 : 0);
+      writer.gauge('guardian_service_last_heartbeat_timestamp_seconds', 'Unix time of the last received heartbeat',
+        labels, service.lastHeartbeat ? service.lastHeartbeat.getTime() / 1000 : 0);
+      writer.gauge('guardian_service_latency_ms', 'Current average latency in milliseconds', labels, metrics.avgLatency || 0);
+      for (const [quantile, field] of LATENCY_QUANTILES) {
+        if (typeof metrics[field] === 'number') {
+          writer.gauge('guardian_service_latency_quantile_ms', 'Latency quantile of the last agent interval in milliseconds',
+            { ...labels, quantile }, metrics[field]);
+        }
+      }
+      writer.gauge('guardian_service_error_rate_percent', 'Current error rate in percent', labels, metrics.errorRate || 0);
+      writer.gauge('guardian_service_memory_usage_mb', 'Current heap usage in megabytes', labels, metrics.memoryUsage || 0);
+      writer.gauge('guardian_service_requests_per_minute', 'Requests handled in the last minute', labels, metrics.requestCount || 0);
+      writer.counter('guardian_service_requests_total', 'Requests handled since the service started', labels, metrics.totalRequests || 0);
+      for (const [field, name, help] of RUNTIME_GAUGES) {
+        if (typeof service.runtime?.[field] === 'number') {
+          writer.gauge(name, help, labels, service.runtime[field]);
+        }
+      }
+
+      const windows = serviceWindows[service.name];
+      if (!windows) continue;
+
+      const diagnostics = getDiagnostics(windows);
+      for (const [key, metricLabel] of Object.entries(WINDOW_METRICS)) {
+        const stats = diagnostics[key];
+        if (!stats) continue;
+        const windowLabels = { ...labels, metric: metricLabel };
+
+        for (const [stat, help] of Object.entries(WINDOW_STATS)) {
+          writer.gauge(`guardian_window_${statName(stat)}`, help, windowLabels, parseFloat(stats[stat]));
+        }
+        writer.gauge('guardian_window_samples', 'Samples currently held in the anomaly window', windowLabels, stats.samples);
+        writer.gauge('guardian_window_warmed_up', 'Anomaly window finished its warm-up phase', windowLabels, stats.warmedUp ? 1 : 0);
+      }
+    }
+
+    const probes = await Probe.find({ enabled: true, lastRunAt: { $ne: null } }).sort({ serviceName: 1, name: 1 });
+    writer.declare('guardian_probe_up', 'gauge', 'Last run of the active probe passed');
+    for (const probe of probes) {
+      const labels = { service: probe.serviceName, probe: probe.name };
+      writer.gauge('guardian_probe_up', 'Last run of the active probe passed', labels, probe.lastSuccess ? 1 : 0);
+      writer.gauge('guardian_probe_latency_ms', 'Duration of the last probe run in milliseconds', labels, probe.lastLatencyMs || 0);
+    }
+
+    writer.declare('guardian_alerts_raised_total', 'counter', 'Alerts raised since the backend started');
+    for (const { labels, value } of getCounterSamples('alertsRaised')) {
+      writer.counter('guardian_alerts_raised_total', 'Alerts raised since the backend started', labels, value);
+    }
+
+    writer.declare('guardian_events_created_total', 'counter', 'Timeline events created since the backend started');
+    for (const { labels, value } of getCounterSamples('eventsCreated')) {
+      writer.counter('guardian_events_created_total', 'Timeline events created since the backend started', labels, value);
+    }
+
+    writer.declare('guardian_notifications_sent_total', 'counter', 'Notifications delivered per channel');
+    for (const { labels, value } of getCounterSamples('notificationsSent')) {
+      writer.counter('guardian_notifications_sent_total', 'Notifications delivered per channel', labels, value);
+    }
+
+    writer.declare('guardian_notifications_failed_total', 'counter', 'Notification deliveries that failed per channel');
+    for (const { labels, value } of getCounterSamples('notificationsFailed')) {
+      writer.counter('guardian_notifications_failed_total', 'Notification deliveries that failed per channel', labels, value);
+    }
+
+    res.set('Content-Type', PROMETHEUS_CONTENT_TYPE).send(writer.render());
+  } catch (error) {
+    logger.error('Error rendering Prometheus metrics', { error: error.message, stack: error.stack });
+    res.status(500).type('text/plain').send(`Failed to render metrics: ${error.message}\n`);
+  }
+});
+
+export default router;
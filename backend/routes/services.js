@@ -3,7 +3,36 @@ import Service from '../models/Service.js';
 import Metric from '../models/Metric.js';
 import Event from '../models/Event.js';
 import Baseline from '../models/Baseline.js';
+import ApiKey from '../models/ApiKey.js';
+import Probe from '../models/Probe.js';
+import ProbeResult from '../models/ProbeResult.js';
+import RemediationAttempt from '../models/RemediationAttempt.js';
 import { verifyToken } from '../middleware/auth.js';
+import { generateApiKey } from '../middleware/ingestAuth.js';
+import AnomalyConfig from '../models/AnomalyConfig.js';
+import {
+  getAnomalyOverrides,
+  getEffectiveAnomalyConfig,
+  validateAnomalyOverrides,
+  saveAnomalyOverrides,
+  deleteAnomalyOverrides
+} from '../services/anomalyConfigService.js';
+import { getRouteBreakdown } from '../services/routeMetricsService.js';
+import { getDependencyBreakdown } from '../services/dependencyMetricsService.js';
+import {
+  validateProbe,
+  runProbe,
+  refreshProbeStatus,
+  getProbeSummary,
+  formatProbe
+} from '../services/probeService.js';
+import {
+  validateRemediation,
+  checkRemediation,
+  triggerRemediation,
+  formatRemediation,
+  formatAttempt
+} from '../services/remediationService.js';
 import logger from '../utils/logger.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 
@@ -22,6 +51,8 @@ router.get('/', verifyToken, asyncHandler(async (req, res) => {
     metrics: service.currentMetrics,
     lastHeartbeat: service.lastHeartbeat,
     isAtRisk: service.isAtRisk,
+    rootCause: service.isAtRisk ? service.rootCause : null,
+    probeStatus: service.probeStatus,
     autoHealingInProgress: service.autoHealingInProgress,
     criticalSince: service.criticalSince,
     updatedAt: service.updatedAt
@@ -34,6 +65,41 @@ router.get('/', verifyToken, asyncHandler(async (req, res) => {
   });
 }));
 
+// POST /services - Register a service so ingestion keys can be issued for it (PROTECTED)
+router.post('/', verifyToken, asyncHandler(async (req, res) => {
+  const { name, url, port } = req.body;
+
+  if (!name || !url || !port) {
+    return res.status(400).json({
+      success: false,
+      error: 'name, url and port are required'
+    });
+  }
+
+  const existing = await Service.findOne({ name });
+  if (existing) {
+    return res.status(409).json({
+      success: false,
+      error: 'Service already exists'
+    });
+  }
+
+  const service = await Service.create({ name, url, port, status: 'unknown' });
+
+  logger.info(`Service registered: ${name}`, { registeredBy: req.user.email });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      id: service._id,
+      name: service.name,
+      url: service.url,
+      port: service.port,
+      status: service.status
+    }
+  });
+}));
+
 // GET /services/:id/history - Get historical metrics and events (PROTECTED)
 router.get('/:id/history', verifyToken, asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -75,6 +141,18 @@ router.get('/:id/history', verifyToken, asyncHandler(async (req, res) => {
   // Fetch baseline
   const baseline = await Baseline.findOne({ serviceId: id });
 
+  // Per-route breakdown reported by the agent
+  const routes = await getRouteBreakdown(service._id, startTime);
+
+  // Outbound calls reported by the agent
+  const dependencies = await getDependencyBreakdown(service._id, startTime);
+
+  // Active probes with their success rate over the range
+  const probes = await getProbeSummary(service._id, startTime);
+
+  // Remediation action and the latest attempts
+  const remediationAttempts = await RemediationAttempt.find({ serviceId: service._id }).sort({ startedAt: -1 }).limit(5);
+
   res.json({
     success: true,
     data: {
@@ -82,12 +160,20 @@ router.get('/:id/history', verifyToken, asyncHandler(async (req, res) => {
         id: service._id,
         name: service.name,
         status: service.status,
-        currentMetrics: service.currentMetrics
+        currentMetrics: service.currentMetrics,
+        memoryForecast: service.memoryForecast,
+        droppedSamples: service.droppedSamples,
+        runtime: service.runtime,
+        probeStatus: service.probeStatus,
+        autoHealingInProgress: service.autoHealingInProgress
       },
       metrics: metrics.map(m => ({
         latency: m.latency,
+        latencyP95: m.latencyP95,
+        latencyP99: m.latencyP99,
         errorRate: m.errorRate,
         memoryUsage: m.memoryUsage,
+        runtime: m.runtime,
         timestamp: m.timestamp
       })),
       events: events.map(e => ({
@@ -98,6 +184,13 @@ router.get('/:id/history', verifyToken, asyncHandler(async (req, res) => {
         timestamp: e.timestamp,
         metadata: e.metadata
       })),
+      routes,
+      dependencies,
+      probes,
+      remediation: {
+        ...formatRemediation(service),
+        attempts: remediationAttempts.map(formatAttempt)
+      },
       baseline: baseline ? {
         avgLatency: baseline.avgLatency,
         stdDevLatency: baseline.stdDevLatency,
@@ -109,7 +202,450 @@ router.get('/:id/history', verifyToken, asyncHandler(async (req, res) => {
   });
 }));
 
-// POST /actions/restart - Trigger auto-recovery for a service (PROTECTED)
+const formatAnomalyConfig = (service, doc) => {
+  const effective = getEffectiveAnomalyConfig(service.name);
+  return {
+    serviceName: service.name,
+    overrides: getAnomalyOverrides(service.name),
+    effective: {
+      warmupSamples: effective.warmupSamples,
+      windowSize: effective.windowSize,
+      warningSigma: effective.warningSigma,
+      criticalSigma: effective.criticalSigma,
+      minConsecutive: effective.minConsecutive,
+      trendThreshold: effective.trendThreshold,
+      heartbeatTimeout: effective.heartbeatTimeout,
+      mode: effective.mode,
+      hardLimits: effective.hardLimits,
+      slos: effective.slos,
+      sigmaScale: getAnomalyOverrides(service.name).sigmaScale || {}
+    },
+    updatedAt: doc?.updatedAt || null,
+    updatedBy: doc?.updatedBy || null
+  };
+};
+
+// GET /services/:id/anomaly-config - Get anomaly detection overrides and effective settings (PROTECTED)
+router.get('/:id/anomaly-config', verifyToken, asyncHandler(async (req, res) => {
+  const service = await Service.findById(req.params.id);
+  if (!service) {
+    return res.status(404).json({
+      success: false,
+      error: 'Service not found'
+    });
+  }
+
+  const doc = await AnomalyConfig.findOne({ serviceId: service._id });
+
+  res.json({
+    success: true,
+    data: formatAnomalyConfig(service, doc)
+  });
+}));
+
+// PUT /services/:id/anomaly-config - Replace anomaly detection overrides, applied to the next sample (PROTECTED)
+router.put('/:id/anomaly-config', verifyToken, asyncHandler(async (req, res) => {
+  const service = await Service.findById(req.params.id);
+  if (!service) {
+    return res.status(404).json({
+      success: false,
+      error: 'Service not found'
+    });
+  }
+
+  const { overrides, error } = validateAnomalyOverrides(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error
+    });
+  }
+
+  const doc = await saveAnomalyOverrides(service, overrides, req.user.email);
+
+  logger.info(`Anomaly config updated for ${service.name}`, { updatedBy: req.user.email, overrides });
+
+  res.json({
+    success: true,
+    message: 'Anomaly configuration updated',
+    data: formatAnomalyConfig(service, doc)
+  });
+}));
+
+// DELETE /services/:id/anomaly-config - Remove overrides and fall back to defaults (PROTECTED)
+router.delete('/:id/anomaly-config', verifyToken, asyncHandler(async (req, res) => {
+  const service = await Service.findById(req.params.id);
+  if (!service) {
+    return res.status(404).json({
+      success: false,
+      error: 'Service not found'
+    });
+  }
+
+  const deleted = await deleteAnomalyOverrides(service);
+  if (!deleted) {
+    return res.status(404).json({
+      success: false,
+      error: 'Service has no anomaly config overrides'
+    });
+  }
+
+  logger.info(`Anomaly config reset to defaults for ${service.name}`, { updatedBy: req.user.email });
+
+  res.json({
+    success: true,
+    message: 'Anomaly configuration reset to defaults',
+    data: formatAnomalyConfig(service, null)
+  });
+}));
+
+const formatApiKey = (apiKey) => ({
+  id: apiKey._id,
+  serviceName: apiKey.serviceName,
+  label: apiKey.label,
+  prefix: apiKey.prefix,
+  createdAt: apiKey.createdAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  expiresAt: apiKey.expiresAt,
+  revokedAt: apiKey.revokedAt
+});
+
+// GET /services/:id/keys - List ingestion API keys of a service (PROTECTED)
+router.get('/:id/keys', verifyToken, asyncHandler(async (req, res) => {
+  const service = await Service.findById(req.params.id);
+  if (!service) {
+    return res.status(404).json({
+      success: false,
+      error: 'Service not found'
+    });
+  }
+
+  const keys = await ApiKey.find({ serviceId: service._id }).sort({ createdAt: -1 });
+
+  res.json({
+    success: true,
+    count: keys.length,
+    data: keys.map(formatApiKey)
+  });
+}));
+
+// POST /services/:id/keys - Issue a new ingestion API key (PROTECTED)
+router.post('/:id/keys', verifyToken, asyncHandler(async (req, res) => {
+  const service = await Service.findById(req.params.id);
+  if (!service) {
+    return res.status(404).json({
+      success: false,
+      error: 'Service not found'
+    });
+  }
+
+  const { key, prefix, keyHash } = generateApiKey();
+  const apiKey = await ApiKey.create({
+    serviceId: service._id,
+    serviceName: service.name,
+    label: req.body.label,
+    prefix,
+    keyHash
+  });
+
+  logger.info(`Ingestion API key issued for ${service.name}`, { keyId: apiKey._id, issuedBy: req.user.email });
+
+  // The plain key is only ever returned here
+  res.status(201).json({
+    success: true,
+    data: { ...formatApiKey(apiKey), key }
+  });
+}));
+
+// POST /services/:id/keys/:keyId/rotate - Replace a key, optionally keeping the old one valid for a grace period (PROTECTED)
+router.post('/:id/keys/:keyId/rotate', verifyToken, asyncHandler(async (req, res) => {
+  const { graceSeconds = 0 } = req.body;
+  const oldKey = await ApiKey.findOne({ _id: req.params.keyId, serviceId: req.params.id, revokedAt: null });
+
+  if (!oldKey) {
+    return res.status(404).json({
+      success: false,
+      error: 'API key not found'
+    });
+  }
+
+  const { key, prefix, keyHash } = generateApiKey();
+  const apiKey = await ApiKey.create({
+    serviceId: oldKey.serviceId,
+    serviceName: oldKey.serviceName,
+    label: oldKey.label,
+    prefix,
+    keyHash,
+    rotatedFrom: oldKey._id
+  });
+
+  const grace = Math.max(0, Number(graceSeconds) || 0);
+  if (grace > 0) {
+    oldKey.expiresAt = new Date(Date.now() + grace * 1000);
+  } else {
+    oldKey.revokedAt = new Date();
+  }
+  await oldKey.save();
+
+  logger.info(`Ingestion API key rotated for ${oldKey.serviceName}`, {
+    oldKeyId: oldKey._id,
+    newKeyId: apiKey._id,
+    graceSeconds: grace,
+    rotatedBy: req.user.email
+  });
+
+  res.status(201).json({
+    success: true,
+    data: { ...formatApiKey(apiKey), key, previousKey: formatApiKey(oldKey) }
+  });
+}));
+
+// DELETE /services/:id/keys/:keyId - Revoke an ingestion API key (PROTECTED)
+router.delete('/:id/keys/:keyId', verifyToken, asyncHandler(async (req, res) => {
+  const apiKey = await ApiKey.findOne({ _id: req.params.keyId, serviceId: req.params.id });
+
+  if (!apiKey) {
+    return res.status(404).json({
+      success: false,
+      error: 'API key not found'
+    });
+  }
+
+  if (!apiKey.revokedAt) {
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+    logger.info(`Ingestion API key revoked for ${apiKey.serviceName}`, { keyId: apiKey._id, revokedBy: req.user.email });
+  }
+
+  res.json({
+    success: true,
+    data: formatApiKey(apiKey)
+  });
+}));
+
+// GET /services/:id/probes - List active probes with success rate over the last hour (PROTECTED)
+router.get('/:id/probes', verifyToken, asyncHandler(async (req, res) => {
+  const service = await Service.findById(req.params.id);
+  if (!service) {
+    return res.status(404).json({
+      success: false,
+      error: 'Service not found'
+    });
+  }
+
+  const probes = await getProbeSummary(service._id, new Date(Date.now() - 60 * 60 * 1000));
+
+  res.json({
+    success: true,
+    count: probes.length,
+    data: probes
+  });
+}));
+
+// POST /services/:id/probes - Add an active probe (PROTECTED)
+router.post('/:id/probes', verifyToken, asyncHandler(async (req, res) => {
+  const service = await Service.findById(req.params.id);
+  if (!service) {
+    return res.status(404).json({
+      success: false,
+      error: 'Service not found'
+    });
+  }
+
+  const { probe: fields, error } = validateProbe(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error
+    });
+  }
+
+  const existing = await Probe.findOne({ serviceId: service._id, name: fields.name });
+  if (existing) {
+    return res.status(409).json({
+      success: false,
+      error: 'Probe already exists'
+    });
+  }
+
+  const probe = await Probe.create({ ...fields, serviceId: service._id, serviceName: service.name });
+
+  logger.info(`Probe ${probe.name} added to ${service.name}`, { createdBy: req.user.email });
+
+  res.status(201).json({
+    success: true,
+    data: formatProbe(probe)
+  });
+}));
+
+// PUT /services/:id/probes/:probeId - Update an active probe (PROTECTED)
+router.put('/:id/probes/:probeId', verifyToken, asyncHandler(async (req, res) => {
+  const probe = await Probe.findOne({ _id: req.params.probeId, serviceId: req.params.id });
+  if (!probe) {
+    return res.status(404).json({
+      success: false,
+      error: 'Probe not found'
+    });
+  }
+
+  const { probe: fields, error } = validateProbe(req.body, { partial: true });
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error
+    });
+  }
+
+  if (fields.name && fields.name !== probe.name) {
+    const existing = await Probe.findOne({ serviceId: probe.serviceId, name: fields.name });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: 'Probe already exists'
+      });
+    }
+  }
+
+  probe.set(fields);
+  await probe.save();
+
+  // Disabling a probe or raising its threshold can clear a failing status
+  const service = await Service.findById(probe.serviceId);
+  if (service) await refreshProbeStatus(service);
+
+  logger.info(`Probe ${probe.name} updated for ${probe.serviceName}`, { updatedBy: req.user.email, fields: Object.keys(fields) });
+
+  res.json({
+    success: true,
+    data: formatProbe(probe)
+  });
+}));
+
+// DELETE /services/:id/probes/:probeId - Remove an active probe (PROTECTED)
+router.delete('/:id/probes/:probeId', verifyToken, asyncHandler(async (req, res) => {
+  const probe = await Probe.findOneAndDelete({ _id: req.params.probeId, serviceId: req.params.id });
+  if (!probe) {
+    return res.status(404).json({
+      success: false,
+      error: 'Probe not found'
+    });
+  }
+
+  // A deleted probe must not keep the service marked as failing
+  const service = await Service.findById(probe.serviceId);
+  if (service) await refreshProbeStatus(service);
+
+  logger.info(`Probe ${probe.name} removed from ${probe.serviceName}`, { deletedBy: req.user.email });
+
+  res.json({
+    success: true,
+    message: 'Probe deleted'
+  });
+}));
+
+// POST /services/:id/probes/:probeId/run - Run a probe now (PROTECTED)
+router.post('/:id/probes/:probeId/run', verifyToken, asyncHandler(async (req, res) => {
+  const [service, probe] = await Promise.all([
+    Service.findById(req.params.id),
+    Probe.findOne({ _id: req.params.probeId, serviceId: req.params.id })
+  ]);
+  if (!service || !probe) {
+    return res.status(404).json({
+      success: false,
+      error: 'Probe not found'
+    });
+  }
+
+  const result = await runProbe(probe, service);
+  await refreshProbeStatus(service);
+
+  res.json({
+    success: true,
+    data: { ...result, probe: formatProbe(probe) }
+  });
+}));
+
+// GET /services/:id/probes/:probeId/results - Recent runs of a probe (PROTECTED)
+router.get('/:id/probes/:probeId/results', verifyToken, asyncHandler(async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+  const results = await ProbeResult.find({ probeId: req.params.probeId, serviceId: req.params.id })
+    .sort({ timestamp: -1 })
+    .limit(limit);
+
+  res.json({
+    success: true,
+    count: results.length,
+    data: results.map(r => ({
+      success: r.success,
+      statusCode: r.statusCode,
+      latencyMs: r.latencyMs,
+      error: r.error,
+      timestamp: r.timestamp
+    }))
+  });
+}));
+
+// GET /services/:id/remediation - Remediation action and recent attempts (PROTECTED)
+router.get('/:id/remediation', verifyToken, asyncHandler(async (req, res) => {
+  const service = await Service.findById(req.params.id);
+  if (!service) {
+    return res.status(404).json({
+      success: false,
+      error: 'Service not found'
+    });
+  }
+
+  const attempts = await RemediationAttempt.find({ serviceId: service._id }).sort({ startedAt: -1 }).limit(20);
+
+  res.json({
+    success: true,
+    data: {
+      ...formatRemediation(service),
+      attempts: attempts.map(formatAttempt)
+    }
+  });
+}));
+
+// PUT /services/:id/remediation - Choose how the service is remediated (PROTECTED)
+router.put('/:id/remediation', verifyToken, asyncHandler(async (req, res) => {
+  const service = await Service.findById(req.params.id);
+  if (!service) {
+    return res.status(404).json({
+      success: false,
+      error: 'Service not found'
+    });
+  }
+
+  const { remediation, error } = validateRemediation(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error
+    });
+  }
+
+  // e.g. a webhook the service doesn't implement
+  const checkError = await checkRemediation(service, remediation);
+  if (checkError) {
+    return res.status(400).json({
+      success: false,
+      error: checkError
+    });
+  }
+
+  service.remediation = { ...remediation, updatedBy: req.user.email, updatedAt: new Date() };
+  await service.save();
+
+  logger.info(`Remediation for ${service.name} set to ${remediation.action || 'none'}`, { updatedBy: req.user.email });
+
+  res.json({
+    success: true,
+    message: remediation.action ? `Remediation for ${service.name}: ${remediation.action}` : `Remediation disabled for ${service.name}`,
+    data: formatRemediation(service)
+  });
+}));
+
+// POST /actions/restart - Run the service's remediation action now; heartbeats verify the outcome (PROTECTED)
 router.post('/actions/restart', verifyToken, asyncHandler(async (req, res) => {
   const { serviceId, serviceName } = req.body;
 
@@ -132,64 +668,31 @@ router.post('/actions/restart', verifyToken, asyncHandler(async (req, res) => {
     });
   }
 
-  // Mark auto-healing in progress
-  service.autoHealingInProgress = true;
-  await service.save();
-
-  // Log auto-healing event
-  await Event.create({
-    serviceId: service._id,
-    serviceName: service.name,
-    eventType: 'auto_healing',
-    severity: 'warning',
-    message: `Auto-healing initiated for ${service.name}`,
-    metadata: {
-      action: 'restart',
-      triggeredBy: 'manual_request',
-      requestedBy: req.user.email
-    }
+  const { attempt, error, statusCode } = await triggerRemediation(service, {
+    triggeredBy: 'manual',
+    requestedBy: req.user.email
   });
 
-  logger.info(`Auto-healing triggered for ${service.name}`, { 
-    triggeredBy: req.user.email 
-  });
-
-  // Simulate recovery after 10 seconds
-  setTimeout(async () => {
-    try {
-      const svc = await Service.findById(service._id);
-      if (svc) {
-        svc.autoHealingInProgress = false;
-        svc.criticalSince = null;
-        await svc.save();
-
-        await Event.create({
-          serviceId: svc._id,
-          serviceName: svc.name,
-          eventType: 'auto_healing',
-          severity: 'info',
-          message: `Auto-healing completed for ${svc.name}`,
-          metadata: {
-            action: 'restart_complete',
-            duration: '10s'
-          }
-        });
-
-        logger.info(`Auto-healing completed for ${svc.name}`);
-      }
-    } catch (err) {
-      logger.error('Error completing auto-healing', { error: err.message });
-    }
-  }, 10000);
+  if (error) {
+    return res.status(statusCode).json({
+      success: false,
+      error
+    });
+  }
 
-  res.json({
+  // The executor already ran; a failed attempt means it could not even start the remediation
+  if (attempt.outcome === 'failed') {
+    return res.status(502).json({
+      success: false,
+      error: `Remediation failed for ${service.name}: ${attempt.failureReason}`,
+      data: formatAttempt(attempt)
+    });
+  }
+
+  res.status(202).json({
     success: true,
-    message: `Auto-healing initiated for ${service.name}`,
-    data: {
-      serviceId: service._id,
-      serviceName: service.name,
-      estimatedRecoveryTime: '10s'
-    }
+    message: `Remediation (${attempt.action}) started for ${service.name}, verifying with the next heartbeats`,
+    data: formatAttempt(attempt)
   });
 }));
 
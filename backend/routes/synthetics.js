@@ -0,0 +1,161 @@
+import express from 'express';
+import SyntheticCheck from '../models/SyntheticCheck.js';
+import SyntheticRun from '../models/SyntheticRun.js';
+import { verifyToken } from '../middleware/auth.js';
+import {
+  validateSyntheticCheck,
+  runSyntheticCheck,
+  resolveSyntheticAlerts,
+  getRunStats,
+  formatCheck,
+  formatRun
+} from '../services/syntheticService.js';
+import logger from '../utils/logger.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// GET /synthetics - List synthetic checks with their latest run and 24h success rate (PROTECTED)
+router.get('/', verifyToken, asyncHandler(async (req, res) => {
+  const checks = await SyntheticCheck.find().sort({ name: 1 });
+  const [stats, lastRuns] = await Promise.all([
+    getRunStats(new Date(Date.now() - DAY_MS)),
+    Promise.all(checks.map(check => SyntheticRun.findOne({ checkId: check._id }).sort({ timestamp: -1 })))
+  ]);
+
+  res.json({
+    success: true,
+    count: checks.length,
+    data: checks.map((check, i) => ({
+      ...formatCheck(check),
+      stats: stats.get(String(check._id)) || { runs: 0, successRate: null, avgDurationMs: null },
+      lastRun: lastRuns[i] ? formatRun(lastRuns[i]) : null
+    }))
+  });
+}));
+
+// POST /synthetics - Create a synthetic check (PROTECTED)
+router.post('/', verifyToken, asyncHandler(async (req, res) => {
+  const { check: fields, error } = validateSyntheticCheck(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error
+    });
+  }
+
+  const existing = await SyntheticCheck.findOne({ name: fields.name });
+  if (existing) {
+    return res.status(409).json({
+      success: false,
+      error: 'Synthetic check already exists'
+    });
+  }
+
+  const check = await SyntheticCheck.create({ ...fields, createdBy: req.user.email });
+
+  logger.info(`Synthetic check created: ${check.name}`, { steps: check.steps.length, createdBy: req.user.email });
+
+  res.status(201).json({
+    success: true,
+    data: formatCheck(check)
+  });
+}));
+
+// PUT /synthetics/:id - Update a synthetic check (PROTECTED)
+router.put('/:id', verifyToken, asyncHandler(async (req, res) => {
+  const check = await SyntheticCheck.findById(req.params.id);
+  if (!check) {
+    return res.status(404).json({
+      success: false,
+      error: 'Synthetic check not found'
+    });
+  }
+
+  const { check: fields, error } = validateSyntheticCheck(req.body, { partial: true });
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error
+    });
+  }
+
+  if (fields.name && fields.name !== check.name) {
+    const existing = await SyntheticCheck.findOne({ name: fields.name });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: 'Synthetic check already exists'
+      });
+    }
+  }
+
+  check.set(fields);
+  await check.save();
+
+  // A disabled check no longer holds its alert open
+  if (fields.enabled === false) await resolveSyntheticAlerts();
+
+  logger.info(`Synthetic check updated: ${check.name}`, { updatedBy: req.user.email, fields: Object.keys(fields) });
+
+  res.json({
+    success: true,
+    data: formatCheck(check)
+  });
+}));
+
+// DELETE /synthetics/:id - Delete a synthetic check and resolve its alert (PROTECTED)
+router.delete('/:id', verifyToken, asyncHandler(async (req, res) => {
+  const check = await SyntheticCheck.findByIdAndDelete(req.params.id);
+  if (!check) {
+    return res.status(404).json({
+      success: false,
+      error: 'Synthetic check not found'
+    });
+  }
+
+  await resolveSyntheticAlerts();
+
+  logger.info(`Synthetic check deleted: ${check.name}`, { deletedBy: req.user.email });
+
+  res.json({
+    success: true,
+    message: `Deleted ${check.name}`
+  });
+}));
+
+// POST /synthetics/:id/run - Run a synthetic check now (PROTECTED)
+router.post('/:id/run', verifyToken, asyncHandler(async (req, res) => {
+  const check = await SyntheticCheck.findById(req.params.id);
+  if (!check) {
+    return res.status(404).json({
+      success: false,
+      error: 'Synthetic check not found'
+    });
+  }
+
+  const run = await runSyntheticCheck(check);
+
+  res.json({
+    success: true,
+    data: formatRun(run)
+  });
+}));
+
+// GET /synthetics/:id/runs - Recent runs with per-step timings (PROTECTED)
+router.get('/:id/runs', verifyToken, asyncHandler(async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+  const runs = await SyntheticRun.find({ checkId: req.params.id })
+    .sort({ timestamp: -1 })
+    .limit(limit);
+
+  res.json({
+    success: true,
+    count: runs.length,
+    data: runs.map(formatRun)
+  });
+}));
+
+export default router;
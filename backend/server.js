@@ -5,7 +5,20 @@ import connectDB from './config/database.js';
 import metricsRoutes from './routes/metrics.js';
 import servicesRoutes from './routes/services.js';
 import authRoutes from './routes/auth.js';
+import prometheusRoutes from './routes/prometheus.js';
+import otlpRoutes from './routes/otlp.js';
+import alertsRoutes from './routes/alerts.js';
+import dependenciesRoutes from './routes/dependencies.js';
+import syntheticsRoutes from './routes/synthetics.js';
 import { startIntelligentEvaluator } from './jobs/intelligentEvaluator.js';
+import { startSeasonalLearner } from './jobs/seasonalLearner.js';
+import { startMemoryLeakDetector } from './jobs/memoryLeakDetector.js';
+import { startProbeScheduler } from './jobs/probeScheduler.js';
+import { startSyntheticScheduler } from './jobs/syntheticScheduler.js';
+import { restoreWindows, startWindowSnapshots, stopWindowSnapshots } from './services/windowPersistence.js';
+import { loadAnomalyConfigs } from './services/anomalyConfigService.js';
+import { anomalyConfig } from './utils/anomalyDetector.js';
+import { seedDeclaredDependencies } from './services/dependencyGraphService.js';
 import logger from './utils/logger.js';
 import { errorHandler } from './middleware/errorHandler.js';
 import Service from './models/Service.js';
@@ -17,6 +30,10 @@ const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
+// OTLP/JSON exports are several times larger than protobuf; parsed here so the default limit below doesn't reject them
+app.use('/otlp/v1/metrics', express.json({ limit: '5mb' }));
+// Agents flush up to MAX_BATCH_SIZE buffered samples (~1 KB each with routes and runtime stats)
+app.use('/ingest/metrics/batch', express.json({ limit: '5mb' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -38,16 +55,30 @@ app.get('/', (req, res) => {
     endpoints: {
       auth: '/auth/login',
       metrics: '/ingest/metrics',
+      metricsBatch: '/ingest/metrics/batch',
+      otlpMetrics: '/otlp/v1/metrics',
       services: '/services',
       serviceHistory: '/services/:id/history',
-      autoRestart: '/actions/restart'
+      serviceProbes: '/services/:id/probes',
+      serviceRemediation: '/services/:id/remediation',
+      autoRestart: '/actions/restart',
+      alerts: '/alerts',
+      alertPrecision: '/alerts/precision',
+      dependencies: '/dependencies',
+      synthetics: '/synthetics',
+      prometheus: '/metrics'
     }
   });
 });
 
 app.use('/auth', authRoutes);
 app.use('/ingest', metricsRoutes);
+app.use('/otlp', otlpRoutes);
 app.use('/services', servicesRoutes);
+app.use('/alerts', alertsRoutes);
+app.use('/dependencies', dependenciesRoutes);
+app.use('/synthetics', syntheticsRoutes);
+app.use('/metrics', prometheusRoutes);
 
 // Error handling middleware (must be after routes)
 app.use(errorHandler);
@@ -72,6 +103,26 @@ const startServer = async () => {
     await Service.updateMany({}, { status: 'unknown' });
     logger.info('Reset all service statuses to unknown');
 
+    // Load per-service anomaly overrides before accepting metrics
+    await loadAnomalyConfigs();
+    logger.info('Anomaly detection config', {
+      warmupSamples: anomalyConfig.warmupSamples,
+      warningSigma: anomalyConfig.warningSigma,
+      criticalSigma: anomalyConfig.criticalSigma,
+      minConsecutive: anomalyConfig.minConsecutive,
+      mode: anomalyConfig.mode
+    });
+
+    // Declared dependency edges from SERVICE_DEPENDENCIES (cascading failure detection)
+    await seedDeclaredDependencies();
+
+    // Rehydrate learned anomaly windows before accepting metrics
+    await restoreWindows();
+    startWindowSnapshots();
+
+    // Load seasonal profiles before the first samples are judged
+    await startSeasonalLearner();
+
     // Start the Express server
     app.listen(PORT, () => {
       logger.info(`Health Guardian Backend running on port ${PORT}`);
@@ -82,6 +133,15 @@ const startServer = async () => {
     // Start intelligent evaluator cron job
     startIntelligentEvaluator();
 
+    // Start long-horizon memory trend analysis
+    startMemoryLeakDetector();
+
+    // Start active HTTP probes against each service
+    startProbeScheduler();
+
+    // Start scripted multi-step journeys
+    startSyntheticScheduler();
+
   } catch (error) {
     logger.error('Failed to start server', { error: error.message, stack: error.stack });
     process.exit(1);
@@ -89,15 +149,18 @@ const startServer = async () => {
 };
 
 // Handle graceful shutdown
-process.on('SIGINT', async () => {
+const shutdown = async () => {
   logger.info('Shutting down gracefully...');
+  try {
+    await stopWindowSnapshots();
+  } catch (error) {
+    logger.error('Failed to snapshot anomaly windows on shutdown', { error: error.message });
+  }
   process.exit(0);
-});
+};
 
-process.on('SIGTERM', async () => {
-  logger.info('Shutting down gracefully...');
-  process.exit(0);
-});
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
 
 startServer();
 
@@ -0,0 +1,269 @@
+/**
+ * Alert Service
+ *
+ * Alert lifecycle and the operator feedback loop:
+ * - One open alert per service and reason code
+ * - Acknowledge / resolve with a verdict: true_positive, false_positive or expected
+ * - Precision per service and per reason code from stored verdicts
+ * - Auto-widening: when a sigma reason code keeps producing false positives,
+ *   its metric's sigma thresholds are multiplied by widenStep (up to maxScale)
+ *
+ * "expected" marks a real but planned condition (deploy, load test); it counts
+ * neither for nor against the detector.
+ */
+
+import Alert from '../models/Alert.js';
+import AlertFeedback from '../models/AlertFeedback.js';
+import Event from '../models/Event.js';
+import Service from '../models/Service.js';
+import { metricForReason } from '../utils/anomalyDetector.js';
+import { getSigmaScale, saveSigmaScale, getAnomalyOverrides } from './anomalyConfigService.js';
+import logger from '../utils/logger.js';
+
+export const VERDICTS = ['true_positive', 'false_positive', 'expected'];
+
+// Alerts with their own lifecycle (leak trend, upstream failure, probes), not resolved by a healthy status
+export const INDEPENDENT_ALERTS = ['memory_leak_suspected', 'cascading_failure', 'synthetic_failed'];
+
+const config = {
+  autoWiden: process.env.FEEDBACK_AUTO_WIDEN !== 'false',
+  minVerdicts: parseInt(process.env.FEEDBACK_MIN_VERDICTS) || 5,
+  falsePositiveRatio: parseFloat(process.env.FEEDBACK_FALSE_POSITIVE_RATIO) || 0.5,
+  widenStep: parseFloat(process.env.FEEDBACK_WIDEN_STEP) || 1.2,
+  maxScale: parseFloat(process.env.FEEDBACK_MAX_SCALE) || 2,
+  lookbackDays: parseInt(process.env.FEEDBACK_LOOKBACK_DAYS) || 14,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Raise an alert unless one with the same reason is still open
+ *
+ * Returns: the new alert, or null when an open one exists
+ */
+export async function raiseAlert(service, { alertType, severity, message, timestamp = new Date() }) {
+  const existing = await Alert.findOne({ serviceId: service._id, alertType, resolvedAt: null });
+  if (existing) return null;
+
+  return Alert.create({
+    serviceId: service._id,
+    serviceName: service.name,
+    alertType,
+    severity,
+    message,
+    acknowledged: false,
+    timestamp
+  });
+}
+
+/**
+ * Resolve all open alerts of a service, except the given reason codes
+ */
+export async function resolveOpenAlerts(service, { except = [] } = {}) {
+  return Alert.updateMany(
+    { serviceId: service._id, resolvedAt: null, alertType: { $nin: except } },
+    { resolvedAt: new Date() }
+  );
+}
+
+/**
+ * Count verdicts into { truePositive, falsePositive, expected, total, precision }
+ *
+ * Precision is TP / (TP + FP); null until there is at least one of either
+ */
+const summarize = (counts) => {
+  const truePositive = counts.true_positive || 0;
+  const falsePositive = counts.false_positive || 0;
+  const expected = counts.expected || 0;
+  const judged = truePositive + falsePositive;
+  return {
+    truePositive,
+    falsePositive,
+    expected,
+    total: judged + expected,
+    precision: judged > 0 ? Number((truePositive / judged).toFixed(3)) : null
+  };
+};
+
+/**
+ * Widen the sigma thresholds behind a reason code when its verdicts are mostly false positives
+ *
+ * Only verdicts given since the last widening of the metric count, so one
+ * batch of feedback widens once.
+ *
+ * Returns: { metric, from, to, falsePositives, judged } or null
+ */
+async function widenFromFeedback(alert) {
+  if (!config.autoWiden) return null;
+
+  const metric = metricForReason(alert.alertType);
+  if (!metric) return null;
+
+  const service = await Service.findById(alert.serviceId);
+  if (!service) return null;
+
+  const current = await getSigmaScale(service, metric);
+  const lookbackStart = new Date(Date.now() - config.lookbackDays * DAY_MS);
+  const since = current.updatedAt && current.updatedAt > lookbackStart ? current.updatedAt : lookbackStart;
+
+  const feedback = await AlertFeedback.find({
+    serviceName: service.name,
+    alertType: alert.alertType,
+    updatedAt: { $gte: since }
+  }).lean();
+
+  const counts = {};
+  for (const { verdict } of feedback) {
+    counts[verdict] = (counts[verdict] || 0) + 1;
+  }
+  const { truePositive, falsePositive } = summarize(counts);
+  const judged = truePositive + falsePositive;
+
+  if (judged < config.minVerdicts || falsePositive / judged < config.falsePositiveRatio) return null;
+
+  const factor = Math.min(Number((current.factor * config.widenStep).toFixed(2)), config.maxScale);
+  if (factor <= current.factor) return null;
+
+  await saveSigmaScale(service, metric, factor);
+
+  const adjustment = { metric, reason: alert.alertType, from: current.factor, to: factor, falsePositives: falsePositive, judged };
+
+  await Event.create({
+    serviceId: service._id,
+    serviceName: service.name,
+    eventType: 'threshold_adjusted',
+    severity: 'info',
+    message: `🎚️ Widened ${metric} thresholds ×${current.factor} → ×${factor}: ` +
+      `${falsePositive}/${judged} ${alert.alertType} alerts marked false positive`,
+    metadata: adjustment
+  });
+
+  logger.info(`Widened ${metric} thresholds for ${service.name} from feedback`, adjustment);
+  return adjustment;
+}
+
+/**
+ * Store the verdict of an alert (replacing an earlier one) and apply auto-widening
+ *
+ * Returns: the widening adjustment, or null
+ */
+async function recordVerdict(alert, verdict, user, note) {
+  alert.verdict = verdict;
+
+  await AlertFeedback.findOneAndUpdate(
+    { alertId: alert._id },
+    {
+      alertId: alert._id,
+      serviceId: alert.serviceId,
+      serviceName: alert.serviceName,
+      alertType: alert.alertType,
+      severity: alert.severity,
+      verdict,
+      note: note || null,
+      createdBy: user,
+      alertRaisedAt: alert.timestamp
+    },
+    { upsert: true, new: true, runValidators: true }
+  );
+
+  if (verdict !== 'false_positive') return null;
+  return widenFromFeedback(alert);
+}
+
+/**
+ * Acknowledge an alert, optionally with a verdict
+ *
+ * Returns: { alert, adjustment }
+ */
+export async function acknowledgeAlert(alert, { user, verdict, note } = {}) {
+  alert.acknowledged = true;
+  alert.acknowledgedBy = user;
+  alert.acknowledgedAt = new Date();
+
+  const adjustment = verdict ? await recordVerdict(alert, verdict, user, note) : null;
+  await alert.save();
+  return { alert, adjustment };
+}
+
+/**
+ * Resolve an alert, optionally with a verdict
+ *
+ * Already resolved alerts keep their resolution time; only the verdict changes.
+ *
+ * Returns: { alert, adjustment }
+ */
+export async function resolveAlert(alert, { user, verdict, note } = {}) {
+  if (!alert.resolvedAt) {
+    alert.resolvedAt = new Date();
+    alert.resolvedBy = user;
+  }
+  if (!alert.acknowledged) {
+    alert.acknowledged = true;
+    alert.acknowledgedBy = user;
+    alert.acknowledgedAt = new Date();
+  }
+
+  const adjustment = verdict ? await recordVerdict(alert, verdict, user, note) : null;
+  await alert.save();
+  return { alert, adjustment };
+}
+
+/**
+ * Precision report from the verdicts of the last `days` days
+ *
+ * Returns: { since, services: [{ serviceName, ...summary, sigmaScale, reasons: [...] }], reasons: [...] }
+ */
+export async function getPrecisionReport({ days = config.lookbackDays, serviceName } = {}) {
+  const since = new Date(Date.now() - days * DAY_MS);
+  const match = { updatedAt: { $gte: since } };
+  if (serviceName) match.serviceName = serviceName;
+
+  const groups = await AlertFeedback.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { serviceName: '$serviceName', alertType: '$alertType', verdict: '$verdict' },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  // serviceName -> { counts, reasons: alertType -> counts }
+  const byService = new Map();
+  // alertType -> counts, across services
+  const byReason = new Map();
+
+  const add = (counts, verdict, count) => {
+    counts[verdict] = (counts[verdict] || 0) + count;
+  };
+
+  for (const { _id: { serviceName: name, alertType, verdict }, count } of groups) {
+    if (!byService.has(name)) byService.set(name, { counts: {}, reasons: new Map() });
+    const service = byService.get(name);
+    if (!service.reasons.has(alertType)) service.reasons.set(alertType, {});
+    if (!byReason.has(alertType)) byReason.set(alertType, {});
+
+    add(service.counts, verdict, count);
+    add(service.reasons.get(alertType), verdict, count);
+    add(byReason.get(alertType), verdict, count);
+  }
+
+  const services = [...byService.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([name, { counts, reasons }]) => ({
+      serviceName: name,
+      ...summarize(counts),
+      sigmaScale: getAnomalyOverrides(name).sigmaScale || {},
+      reasons: [...reasons.entries()]
+        .map(([reason, reasonCounts]) => ({ reason, metric: metricForReason(reason), ...summarize(reasonCounts) }))
+        .sort((a, b) => b.total - a.total)
+    }));
+
+  const reasons = [...byReason.entries()]
+    .map(([reason, counts]) => ({ reason, metric: metricForReason(reason), ...summarize(counts) }))
+    .sort((a, b) => b.total - a.total);
+
+  return { since, services, reasons };
+}
+
+export { config as feedbackConfig };
@@ -0,0 +1,213 @@
+/**
+ * Anomaly Config Service
+ *
+ * Per-service anomaly detection overrides stored in MongoDB:
+ * - Cached in memory for the ingestion hot path
+ * - Cache updated on every write, so changes apply to the next sample
+ * - Unset fields fall back to the environment defaults (anomalyConfig)
+ * - sigmaScale is written by alert feedback, not by the config API
+ */
+
+import AnomalyConfig from '../models/AnomalyConfig.js';
+import { resolveServiceConfig, parseSlo, METRIC_DEFINITIONS } from '../utils/anomalyDetector.js';
+import logger from '../utils/logger.js';
+
+// Fields a client may override
+const NUMERIC_FIELDS = ['warmupSamples', 'windowSize', 'warningSigma', 'criticalSigma', 'minConsecutive', 'trendThreshold', 'heartbeatTimeout'];
+const INTEGER_FIELDS = ['warmupSamples', 'windowSize', 'minConsecutive', 'heartbeatTimeout'];
+const HARD_LIMIT_FIELDS = ['latency', 'errorRate', 'memoryUsage'];
+const MODES = ['stddev', 'mad', 'iqr'];
+const SIGMA_SCALE_METRICS = METRIC_DEFINITIONS.map(({ name }) => name);
+
+// serviceName -> overrides (plain object)
+const overridesCache = new Map();
+
+const toOverrides = (doc) => {
+  const overrides = {};
+  for (const field of [...NUMERIC_FIELDS, 'mode']) {
+    if (doc[field] !== undefined && doc[field] !== null) overrides[field] = doc[field];
+  }
+  const hardLimits = {};
+  for (const field of HARD_LIMIT_FIELDS) {
+    const value = doc.hardLimits?.[field];
+    if (value !== undefined && value !== null) hardLimits[field] = value;
+  }
+  if (Object.keys(hardLimits).length > 0) overrides.hardLimits = hardLimits;
+  const sigmaScale = {};
+  for (const metric of SIGMA_SCALE_METRICS) {
+    const factor = doc.sigmaScale?.[metric]?.factor;
+    if (factor !== undefined && factor !== null) sigmaScale[metric] = factor;
+  }
+  if (Object.keys(sigmaScale).length > 0) overrides.sigmaScale = sigmaScale;
+  if (Array.isArray(doc.slos)) {
+    overrides.slos = doc.slos.map(slo => parseSlo(typeof slo.toObject === 'function' ? slo.toObject() : slo).slo).filter(Boolean);
+  }
+  return overrides;
+};
+
+/**
+ * Load all stored overrides into the cache (startup)
+ */
+export async function loadAnomalyConfigs() {
+  const docs = await AnomalyConfig.find();
+  overridesCache.clear();
+  for (const doc of docs) {
+    overridesCache.set(doc.serviceName, toOverrides(doc));
+  }
+  logger.info(`Loaded anomaly config overrides for ${docs.length} services`);
+  return docs.length;
+}
+
+/**
+ * Stored overrides of a service ({} when it has none)
+ */
+export function getAnomalyOverrides(serviceName) {
+  return overridesCache.get(serviceName) || {};
+}
+
+/**
+ * Effective settings of a service (defaults with overrides applied)
+ */
+export function getEffectiveAnomalyConfig(serviceName) {
+  return resolveServiceConfig(getAnomalyOverrides(serviceName));
+}
+
+/**
+ * Validate a request body against the effective config it would produce
+ *
+ * Returns: { overrides } on success or { error }
+ */
+export function validateAnomalyOverrides(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'body must be an object' };
+  }
+
+  const overrides = {};
+
+  for (const field of NUMERIC_FIELDS) {
+    const value = body[field];
+    if (value === undefined || value === null) continue;
+    if (typeof value !== 'number' || !isFinite(value) || value < 0) {
+      return { error: `${field} must be a non-negative number` };
+    }
+    if (INTEGER_FIELDS.includes(field) && (!Number.isInteger(value) || value < 1)) {
+      return { error: `${field} must be a positive integer` };
+    }
+    overrides[field] = value;
+  }
+
+  if (body.mode !== undefined && body.mode !== null) {
+    if (!MODES.includes(body.mode)) {
+      return { error: `mode must be one of ${MODES.join(', ')}` };
+    }
+    overrides.mode = body.mode;
+  }
+
+  if (body.hardLimits !== undefined && body.hardLimits !== null) {
+    if (typeof body.hardLimits !== 'object' || Array.isArray(body.hardLimits)) {
+      return { error: 'hardLimits must be an object' };
+    }
+    const hardLimits = {};
+    for (const field of HARD_LIMIT_FIELDS) {
+      const value = body.hardLimits[field];
+      if (value === undefined || value === null) continue;
+      if (typeof value !== 'number' || !isFinite(value) || value < 0) {
+        return { error: `hardLimits.${field} must be a non-negative number` };
+      }
+      hardLimits[field] = value;
+    }
+    if (Object.keys(hardLimits).length > 0) overrides.hardLimits = hardLimits;
+  }
+
+  if (body.slos !== undefined && body.slos !== null) {
+    if (!Array.isArray(body.slos)) {
+      return { error: 'slos must be an array' };
+    }
+    const slos = [];
+    for (const [index, raw] of body.slos.entries()) {
+      const { slo, error } = parseSlo(raw);
+      if (error) {
+        return { error: `slos[${index}]: ${error}` };
+      }
+      slos.push(slo);
+    }
+    overrides.slos = slos;
+  }
+
+  const effective = resolveServiceConfig(overrides);
+  if (effective.windowSize < effective.warmupSamples) {
+    return { error: `windowSize (${effective.windowSize}) must be at least warmupSamples (${effective.warmupSamples})` };
+  }
+  if (effective.criticalSigma < effective.warningSigma) {
+    return { error: `criticalSigma (${effective.criticalSigma}) must be at least warningSigma (${effective.warningSigma})` };
+  }
+
+  return { overrides };
+}
+
+/**
+ * Replace the overrides of a service
+ */
+export async function saveAnomalyOverrides(service, overrides, updatedBy) {
+  const doc = await AnomalyConfig.findOneAndUpdate(
+    { serviceId: service._id },
+    {
+      serviceId: service._id,
+      serviceName: service.name,
+      ...Object.fromEntries(NUMERIC_FIELDS.map(field => [field, overrides[field] ?? null])),
+      mode: overrides.mode ?? null,
+      hardLimits: overrides.hardLimits || {},
+      slos: overrides.slos ?? null,
+      updatedBy
+    },
+    { upsert: true, new: true, runValidators: true }
+  );
+
+  overridesCache.set(service.name, toOverrides(doc));
+  return doc;
+}
+
+/**
+ * Feedback sigma multiplier of one metric ({ factor: 1, updatedAt: null } when never widened)
+ */
+export async function getSigmaScale(service, metric) {
+  const doc = await AnomalyConfig.findOne({ serviceId: service._id });
+  const scale = doc?.sigmaScale?.[metric];
+  return {
+    factor: scale?.factor || 1,
+    updatedAt: scale?.updatedAt || null
+  };
+}
+
+/**
+ * Set the feedback sigma multiplier of one metric, keeping all other overrides
+ *
+ * @param {object} service - Service document
+ * @param {string} metric - Metric name as used in reason codes (latency, error_rate, request_count)
+ * @param {number} factor - Multiplier applied to warningSigma and criticalSigma (>= 1)
+ */
+export async function saveSigmaScale(service, metric, factor) {
+  const doc = await AnomalyConfig.findOneAndUpdate(
+    { serviceId: service._id },
+    {
+      $set: {
+        serviceName: service.name,
+        [`sigmaScale.${metric}.factor`]: factor,
+        [`sigmaScale.${metric}.updatedAt`]: new Date()
+      }
+    },
+    { upsert: true, new: true, runValidators: true }
+  );
+
+  overridesCache.set(service.name, toOverrides(doc));
+  return doc;
+}
+
+/**
+ * Remove the overrides of a service (back to defaults)
+ */
+export async function deleteAnomalyOverrides(service) {
+  const { deletedCount } = await AnomalyConfig.deleteOne({ serviceId: service._id });
+  overridesCache.delete(service.name);
+  return deletedCount > 0;
+}
@@ -0,0 +1,193 @@
+/**
+ * Dependency Graph Service
+ *
+ * Which service depends on which, and what a failure takes down:
+ * - Edges declared through the API, seeded from SERVICE_DEPENDENCIES, or
+ *   learned from the outbound calls agents report
+ * - A critical service puts every transitive dependent at risk
+ * - The root cause of an at-risk service is its deepest critical upstream,
+ *   so A → B → C with B and C critical points at C
+ */
+
+import ServiceDependency from '../models/ServiceDependency.js';
+import Service from '../models/Service.js';
+import logger from '../utils/logger.js';
+
+// A learned edge is written at most once per interval (agents report every 2 seconds)
+const LEARN_INTERVAL_MS = 60 * 1000;
+// How long the target -> service name lookup is reused
+const TARGET_LOOKUP_TTL_MS = 60 * 1000;
+
+// "serviceName->dependsOn" -> last write (ms)
+const lastLearnedAt = new Map();
+let targetLookup = { loadedAt: 0, byTarget: new Map() };
+
+/**
+ * Parse SERVICE_DEPENDENCIES ("booking-service->auth-service,storage-service->auth-service")
+ *
+ * Returns: [{ serviceName, dependsOn }]
+ */
+export const parseDependencyList = (value) => (value || '')
+  .split(',')
+  .map(pair => pair.split('->').map(part => part.trim()))
+  .filter(([serviceName, dependsOn]) => serviceName && dependsOn && serviceName !== dependsOn)
+  .map(([serviceName, dependsOn]) => ({ serviceName, dependsOn }));
+
+/**
+ * Create the declared edges from SERVICE_DEPENDENCIES that don't exist yet (startup)
+ */
+export async function seedDeclaredDependencies(value = process.env.SERVICE_DEPENDENCIES) {
+  const edges = parseDependencyList(value);
+  for (const { serviceName, dependsOn } of edges) {
+    await ServiceDependency.findOneAndUpdate(
+      { serviceName, dependsOn },
+      { $setOnInsert: { source: 'declared', createdBy: 'SERVICE_DEPENDENCIES' } },
+      { upsert: true }
+    );
+  }
+  if (edges.length > 0) {
+    logger.info(`Seeded ${edges.length} declared service dependencies`);
+  }
+  return edges.length;
+}
+
+export async function listDependencies() {
+  return ServiceDependency.find().sort({ serviceName: 1, dependsOn: 1 });
+}
+
+/**
+ * Declare that serviceName depends on dependsOn (turns a learned edge into a declared one)
+ */
+export async function declareDependency(serviceName, dependsOn, createdBy = null) {
+  return ServiceDependency.findOneAndUpdate(
+    { serviceName, dependsOn },
+    { $set: { source: 'declared', createdBy } },
+    { upsert: true, new: true }
+  );
+}
+
+export async function removeDependency(id) {
+  const edge = await ServiceDependency.findById(id);
+  if (!edge) return null;
+  await ServiceDependency.deleteOne({ _id: edge._id });
+  lastLearnedAt.delete(`${edge.serviceName}->${edge.dependsOn}`);
+  return edge;
+}
+
+// Map agent dependency targets (service names or host[:port]) to registered services
+const getTargetLookup = async () => {
+  if (Date.now() - targetLookup.loadedAt < TARGET_LOOKUP_TTL_MS) return targetLookup.byTarget;
+
+  const services = await Service.find({}, 'name url port');
+  const byTarget = new Map();
+  const hostOwners = new Map(); // host -> Set of service names
+
+  for (const service of services) {
+    byTarget.set(service.name, service.name);
+
+    const hosts = [`localhost:${service.port}`, `127.0.0.1:${service.port}`];
+    try {
+      hosts.push(new URL(service.url).host);
+    } catch {
+      // Unparseable url: only the port-based hosts apply
+    }
+    for (const host of hosts) {
+      if (!hostOwners.has(host)) hostOwners.set(host, new Set());
+      hostOwners.get(host).add(service.name);
+    }
+  }
+
+  // Hosts shared by several services (e.g. the default port) can't name a dependency
+  for (const [host, owners] of hostOwners) {
+    if (owners.size === 1 && !byTarget.has(host)) byTarget.set(host, [...owners][0]);
+  }
+
+  targetLookup = { loadedAt: Date.now(), byTarget };
+  return byTarget;
+};
+
+/**
+ * Record edges from the outbound calls in an agent sample
+ *
+ * Only targets that resolve to a registered service become edges;
+ * external hosts (payment providers, S3...) stay in the per-service breakdown.
+ *
+ * @param {string} serviceName - Service that made the calls
+ * @param {Array} dependencies - Sample dependencies ([{ target, callCount, ... }])
+ * @returns {number} Edges written
+ */
+export async function learnFromTraffic(serviceName, dependencies = []) {
+  if (dependencies.length === 0) return 0;
+
+  const byTarget = await getTargetLookup();
+  const now = Date.now();
+  let written = 0;
+
+  for (const { target, callCount } of dependencies) {
+    const dependsOn = byTarget.get(target);
+    if (!dependsOn || dependsOn === serviceName || !callCount) continue;
+
+    const key = `${serviceName}->${dependsOn}`;
+    if (now - (lastLearnedAt.get(key) || 0) < LEARN_INTERVAL_MS) continue;
+    lastLearnedAt.set(key, now);
+
+    const existing = await ServiceDependency.findOneAndUpdate(
+      { serviceName, dependsOn },
+      { $set: { lastSeenAt: new Date(now) }, $setOnInsert: { source: 'learned' } },
+      { upsert: true }
+    );
+    if (!existing) {
+      logger.info(`Learned dependency ${serviceName} → ${dependsOn} from agent traffic`);
+    }
+    written++;
+  }
+
+  return written;
+}
+
+/**
+ * Propagate critical status through the graph
+ *
+ * @param {Array} services - [{ name, status }]
+ * @param {Array} edges - [{ serviceName, dependsOn }]
+ * @returns {Map} name -> { isAtRisk, rootCause: { serviceName, path } | null }
+ *   path runs from the service itself to the root cause
+ */
+export function computeImpact(services, edges) {
+  const upstreams = new Map();
+  for (const { serviceName, dependsOn } of [...edges].sort((a, b) => a.dependsOn.localeCompare(b.dependsOn))) {
+    if (!upstreams.has(serviceName)) upstreams.set(serviceName, []);
+    upstreams.get(serviceName).push(dependsOn);
+  }
+
+  const critical = new Set(services.filter(s => s.status === 'critical').map(s => s.name));
+  const impact = new Map();
+
+  for (const { name } of services) {
+    // Breadth-first over upstreams; the last critical service reached is the deepest
+    const paths = new Map([[name, [name]]]);
+    const queue = [name];
+    let rootCausePath = null;
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+      for (const upstream of upstreams.get(current) || []) {
+        if (paths.has(upstream)) continue; // cycles and diamonds
+        const path = [...paths.get(current), upstream];
+        paths.set(upstream, path);
+        queue.push(upstream);
+
+        if (critical.has(upstream) && (!rootCausePath || path.length > rootCausePath.length)) {
+          rootCausePath = path;
+        }
+      }
+    }
+
+    impact.set(name, {
+      isAtRisk: rootCausePath !== null,
+      rootCause: rootCausePath ? { serviceName: rootCausePath[rootCausePath.length - 1], path: rootCausePath } : null
+    });
+  }
+
+  return impact;
+}
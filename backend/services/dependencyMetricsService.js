@@ -0,0 +1,75 @@
+/**
+ * Dependency Metrics Service
+ *
+ * Breakdown of the outbound calls a service reported in a time range:
+ * - Call and error totals per target (service name or host)
+ * - Call-weighted average latency over the range and over the last few minutes
+ * - Peak p95 (the worst send interval)
+ * - Slowness flag when the recent average is well above the range average
+ */
+
+import Metric from '../models/Metric.js';
+
+// Rows returned to the dashboard
+const MAX_DEPENDENCIES = 100;
+
+// "Recent" part of the range compared against the whole range
+const RECENT_WINDOW_MS = 5 * 60 * 1000;
+
+// Recent latency must be this many times the range average, and this much slower in absolute terms
+const SLOW_RATIO = 2;
+const SLOW_MIN_DELTA_MS = 50;
+
+const weightedAvg = (total, count) => (count > 0 ? Math.round(total / count) : 0);
+
+/**
+ * Aggregate stored outbound stats of a service since a point in time
+ *
+ * @param {ObjectId} serviceId - Service document id
+ * @param {Date} since - Start of the range
+ * @returns {Array} [{ target, callCount, errorCount, errorRate, avgLatency, recentAvgLatency, peakLatencyP95, slow, lastSeen }]
+ */
+export async function getDependencyBreakdown(serviceId, since) {
+  const recentSince = new Date(Math.max(since.getTime(), Date.now() - RECENT_WINDOW_MS));
+  const isRecent = { $gte: ['$timestamp', recentSince] };
+
+  const groups = await Metric.aggregate([
+    { $match: { serviceId, timestamp: { $gte: since }, 'dependencies.0': { $exists: true } } },
+    { $unwind: '$dependencies' },
+    {
+      $group: {
+        _id: '$dependencies.target',
+        callCount: { $sum: '$dependencies.callCount' },
+        errorCount: { $sum: '$dependencies.errorCount' },
+        latencyTotal: { $sum: { $multiply: ['$dependencies.avgLatency', '$dependencies.callCount'] } },
+        recentCallCount: { $sum: { $cond: [isRecent, '$dependencies.callCount', 0] } },
+        recentLatencyTotal: {
+          $sum: { $cond: [isRecent, { $multiply: ['$dependencies.avgLatency', '$dependencies.callCount'] }, 0] }
+        },
+        peakLatencyP95: { $max: '$dependencies.latencyP95' },
+        lastSeen: { $max: '$timestamp' }
+      }
+    },
+    { $sort: { callCount: -1 } },
+    { $limit: MAX_DEPENDENCIES }
+  ]);
+
+  return groups.map(g => {
+    const avgLatency = weightedAvg(g.latencyTotal, g.callCount);
+    const recentAvgLatency = g.recentCallCount > 0 ? weightedAvg(g.recentLatencyTotal, g.recentCallCount) : null;
+
+    return {
+      target: g._id,
+      callCount: g.callCount,
+      errorCount: g.errorCount,
+      errorRate: g.callCount > 0 ? Math.round((g.errorCount / g.callCount) * 10000) / 100 : 0,
+      avgLatency,
+      recentAvgLatency,
+      peakLatencyP95: g.peakLatencyP95 ?? null,
+      slow: recentAvgLatency !== null
+        && recentAvgLatency >= avgLatency * SLOW_RATIO
+        && recentAvgLatency - avgLatency >= SLOW_MIN_DELTA_MS,
+      lastSeen: g.lastSeen
+    };
+  });
+}
@@ -0,0 +1,549 @@
+/**
+ * Ingestion Service
+ *
+ * Runs metric samples through the health pipeline shared by every
+ * ingestion route:
+ * - Auto-registration of unknown services
+ * - Adaptive anomaly windows (WindowStats)
+ * - Status change events, alerts and notifications
+ * - Metric persistence
+ */
+
+import Service from '../models/Service.js';
+import Metric, { LATENCY_PERCENTILES, RUNTIME_FIELDS } from '../models/Metric.js';
+import Event from '../models/Event.js';
+import { evaluateService, WindowStats, getDiagnostics, METRIC_DEFINITIONS } from '../utils/anomalyDetector.js';
+import { createNotificationService } from './notificationService.js';
+import { getSeasonalExpectation } from './seasonalBaselineService.js';
+import { getAnomalyOverrides, getEffectiveAnomalyConfig } from './anomalyConfigService.js';
+import { raiseAlert, resolveOpenAlerts, INDEPENDENT_ALERTS } from './alertService.js';
+import { learnFromTraffic } from './dependencyGraphService.js';
+import { probeVerdict } from './probeService.js';
+import { observeHeartbeat } from './remediationService.js';
+import logger from '../utils/logger.js';
+
+// Initialize notification service
+const notificationService = createNotificationService();
+
+// Store WindowStats for each service
+const serviceWindows = {};
+
+// Samples older than this are rejected (Metric documents expire after 7 days)
+const MAX_SAMPLE_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Route cardinality accepted per sample (the agent caps itself at 50 by default)
+const MAX_ROUTES_PER_SAMPLE = 100;
+// Outbound targets accepted per sample (the agent uses the same cap as for routes)
+const MAX_DEPENDENCIES_PER_SAMPLE = 100;
+
+// Tolerated clock skew for client timestamps that are ahead of the server
+const MAX_CLOCK_SKEW_MS = 60 * 1000;
+
+const statusMap = {
+  healthy: 'healthy',
+  degraded: 'warning',
+  unhealthy: 'critical',
+  learning: 'analyzing' // Show analyzing during warm-up
+};
+
+const SHIFT_UNITS = { latency: 'ms', latencyP95: 'ms', errorRate: '%', requestCount: ' req/min' };
+
+const emoji = { healthy: '🟢', warning: '🟡', critical: '🔴', analyzing: '🔵', unknown: '⚪' };
+const severityMap = {
+  critical: 'critical',
+  warning: 'warning',
+  healthy: 'info',
+  analyzing: 'info'
+};
+
+/**
+ * Parse a client timestamp (ISO string or epoch milliseconds)
+ *
+ * Returns a Date, or null when the value is missing or invalid
+ */
+const parseTimestamp = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Validate the optional per-route breakdown of a sample
+ *
+ * Returns: an error message, or null when valid
+ */
+const validateRoutes = (routes) => {
+  if (!Array.isArray(routes)) return 'routes must be an array';
+  if (routes.length > MAX_ROUTES_PER_SAMPLE) return `routes must have at most ${MAX_ROUTES_PER_SAMPLE} entries`;
+
+  for (const [index, entry] of routes.entries()) {
+    if (!entry || typeof entry !== 'object') return `routes[${index}] must be an object`;
+    if (typeof entry.method !== 'string' || typeof entry.route !== 'string' || !entry.route || entry.route.length > 200) {
+      return `routes[${index}] needs a method and a route (max 200 characters)`;
+    }
+    for (const field of ['requestCount', 'errorCount', 'avgLatency', 'latencyP95', 'latencyMax']) {
+      const value = entry[field];
+      if (value === undefined || value === null) continue;
+      if (typeof value !== 'number' || !isFinite(value) || value < 0) {
+        return `routes[${index}].${field} must be a non-negative number`;
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Validate the optional outbound call breakdown of a sample
+ *
+ * Returns: an error message, or null when valid
+ */
+const validateDependencies = (dependencies) => {
+  if (!Array.isArray(dependencies)) return 'dependencies must be an array';
+  if (dependencies.length > MAX_DEPENDENCIES_PER_SAMPLE) {
+    return `dependencies must have at most ${MAX_DEPENDENCIES_PER_SAMPLE} entries`;
+  }
+
+  for (const [index, entry] of dependencies.entries()) {
+    if (!entry || typeof entry !== 'object') return `dependencies[${index}] must be an object`;
+    if (typeof entry.target !== 'string' || !entry.target || entry.target.length > 200) {
+      return `dependencies[${index}] needs a target (max 200 characters)`;
+    }
+    for (const field of ['callCount', 'errorCount', 'avgLatency', 'latencyP95', 'latencyMax']) {
+      const value = entry[field];
+      if (value === undefined || value === null) continue;
+      if (typeof value !== 'number' || !isFinite(value) || value < 0) {
+        return `dependencies[${index}].${field} must be a non-negative number`;
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Validate the optional runtime stats of a sample (all fields optional, non-negative)
+ *
+ * Returns: an error message, or null when valid
+ */
+const validateRuntime = (runtime) => {
+  if (typeof runtime !== 'object' || Array.isArray(runtime)) return 'runtime must be an object';
+
+  for (const field of RUNTIME_FIELDS) {
+    const value = runtime[field];
+    if (value === undefined || value === null) continue;
+    if (typeof value !== 'number' || !isFinite(value) || value < 0) {
+      return `runtime.${field} must be a non-negative number`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Validate a raw sample and resolve its timestamp
+ *
+ * Returns: { sample } on success or { error } describing the rejection
+ */
+export function normalizeSample(raw, { requireTimestamp = false } = {}) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: 'sample must be an object' };
+  }
+
+  if (!raw.serviceName || raw.latency === undefined) {
+    return { error: 'serviceName and latency are required' };
+  }
+
+  if (typeof raw.latency !== 'number' || isNaN(raw.latency)) {
+    return { error: 'latency must be a number' };
+  }
+
+  for (const field of [...LATENCY_PERCENTILES, 'droppedSamples']) {
+    const value = raw[field];
+    if (value !== undefined && value !== null && (typeof value !== 'number' || !isFinite(value) || value < 0)) {
+      return { error: `${field} must be a non-negative number` };
+    }
+  }
+
+  if (raw.routes !== undefined && raw.routes !== null) {
+    const routesError = validateRoutes(raw.routes);
+    if (routesError) {
+      return { error: routesError };
+    }
+  }
+
+  if (raw.dependencies !== undefined && raw.dependencies !== null) {
+    const dependenciesError = validateDependencies(raw.dependencies);
+    if (dependenciesError) {
+      return { error: dependenciesError };
+    }
+  }
+
+  if (raw.runtime !== undefined && raw.runtime !== null) {
+    const runtimeError = validateRuntime(raw.runtime);
+    if (runtimeError) {
+      return { error: runtimeError };
+    }
+  }
+
+  if (raw.pid !== undefined && raw.pid !== null && (!Number.isInteger(raw.pid) || raw.pid <= 1)) {
+    return { error: 'pid must be an integer above 1' };
+  }
+
+  if (raw.hostname !== undefined && raw.hostname !== null && (typeof raw.hostname !== 'string' || raw.hostname.length > 255)) {
+    return { error: 'hostname must be a string (max 255 characters)' };
+  }
+
+  let timestamp = parseTimestamp(raw.timestamp);
+
+  if (raw.timestamp !== undefined && !timestamp) {
+    return { error: 'timestamp is not a valid date' };
+  }
+
+  if (!timestamp) {
+    if (requireTimestamp) {
+      return { error: 'timestamp is required' };
+    }
+    timestamp = new Date();
+  }
+
+  const now = Date.now();
+  if (timestamp.getTime() > now + MAX_CLOCK_SKEW_MS) {
+    return { error: 'timestamp is in the future' };
+  }
+  if (timestamp.getTime() < now - MAX_SAMPLE_AGE_MS) {
+    return { error: 'timestamp is older than the metrics retention period' };
+  }
+
+  return { sample: { ...raw, timestamp } };
+}
+
+/**
+ * Find a service by name, auto-registering it on first contact
+ */
+const findOrRegisterService = async (serviceName) => {
+  let service = await Service.findOne({ name: serviceName });
+
+  if (!service) {
+    // Auto-register new service
+    const portMap = {
+      'auth-service': 3001,
+      'booking-service': 3002,
+      'storage-service': 3003
+    };
+
+    service = await Service.create({
+      name: serviceName,
+      url: `http://localhost:${portMap[serviceName] || 3000}`,
+      port: portMap[serviceName] || 3000,
+      status: 'unknown'
+    });
+
+    logger.info(`Auto-registered new service: ${serviceName}`);
+  }
+
+  return service;
+};
+
+/**
+ * Ingest a single validated sample
+ *
+ * @param {object} sample - Output of normalizeSample (timestamp is a Date)
+ * @param {object} options
+ * @param {boolean} options.notify - Send warning/critical notifications for this sample
+ * @returns {object} { service, metric, newStatus, detectedStatus, diagnostics }
+ */
+export async function ingestSample(sample, { notify = true } = {}) {
+  const { serviceName, latency, errorRate, statusCode, memoryUsage, requestCount, totalRequests, routes, dependencies, runtime, droppedSamples, pid, hostname, timestamp } = sample;
+  const latencyPercentiles = Object.fromEntries(LATENCY_PERCENTILES.map(field => [field, sample[field] ?? null]));
+  // Only known fields are kept; unknown keys from newer agents are ignored
+  const runtimeStats = runtime
+    ? Object.fromEntries(RUNTIME_FIELDS.filter(field => typeof runtime[field] === 'number').map(field => [field, runtime[field]]))
+    : null;
+
+  const service = await findOrRegisterService(serviceName);
+
+  // If this is the first metrics received for the service, record a start event
+  if (!service.lastHeartbeat) {
+    await Event.create({
+      serviceId: service._id,
+      serviceName: service.name,
+      eventType: 'service_started',
+      severity: 'info',
+      message: `✅ Service ${service.name} started`,
+      metadata: {}
+    });
+  }
+
+  // Per-service settings are re-read for every sample so API changes apply immediately
+  const overrides = getAnomalyOverrides(serviceName);
+  const config = getEffectiveAnomalyConfig(serviceName);
+
+  // Initialize WindowStats for new services OR if service restarted (totalRequests reset)
+  const isRestart = totalRequests < (service.currentMetrics?.totalRequests || 0);
+
+  if (!serviceWindows[serviceName] || isRestart) {
+    if (isRestart) {
+      logger.info(`Detected service restart for ${serviceName} - Resetting baseline`);
+    }
+
+    // 60 samples = 2 mins (must be >= warmupSamples)
+    serviceWindows[serviceName] = {
+      ...Object.fromEntries(METRIC_DEFINITIONS.map(({ key }) => [key, new WindowStats(config.windowSize, config.warmupSamples)])),
+      startTime: Date.now() // Track when service started for accurate timer
+    };
+    logger.info(`Initialized anomaly detection windows for ${serviceName}`);
+
+    // Send Telegram notification for service start/restart
+    await notificationService.sendAlert(
+      service,
+      'info',
+      '🚀 Service Started',
+      {
+        message: `${serviceName} has started and is now being monitored.`,
+        status: 'analyzing'
+      }
+    );
+  }
+
+  // Get current metrics
+  const currentMetrics = {
+    latency: latency || 0,
+    errorRate: errorRate || 0,
+    requestCount: requestCount || 0,
+    memoryUsage: memoryUsage || 0,
+    totalRequests: totalRequests || 0,
+    latencyP95: latencyPercentiles.latencyP95
+  };
+
+  // Evaluate service health using smart anomaly detection
+  const windows = serviceWindows[serviceName];
+  for (const { key } of METRIC_DEFINITIONS) {
+    // Windows restored from a snapshot may predate a metric
+    windows[key] ??= new WindowStats(config.windowSize, config.warmupSamples);
+    windows[key].configure({ maxSize: config.windowSize, warmupSamples: config.warmupSamples });
+  }
+  const seasonal = getSeasonalExpectation(serviceName, timestamp);
+  const evaluated = evaluateService(currentMetrics, windows, { seasonal, serviceName, overrides, timestamp });
+
+  // A failing active probe outranks the metrics: the agent can keep reporting while /health is down
+  const probeFailure = probeVerdict(service);
+  const detectedStatus = probeFailure && evaluated.status !== 'unhealthy'
+    ? { ...evaluated, ...probeFailure }
+    : evaluated;
+
+  // Map detected status to Service model status
+  const newStatus = statusMap[detectedStatus.status] || 'unknown';
+  const oldStatus = service.status;
+
+  // Get diagnostics for logging and events
+  const diagnostics = getDiagnostics(windows);
+
+  // Only create event if status actually changed
+  if (oldStatus !== newStatus) {
+    // Format reason for display
+    const reasonText = detectedStatus.reason ? ` (${detectedStatus.reason})` : '';
+    const detailsText = detectedStatus.details ? `: ${detectedStatus.details}` : '';
+
+    await Event.create({
+      serviceId: service._id,
+      serviceName: service.name,
+      eventType: 'status_change',
+      severity: severityMap[newStatus] || 'info',
+      message: `${emoji[newStatus]} Status changed: ${oldStatus} → ${newStatus}${reasonText}${detailsText}`,
+      metadata: {
+        oldStatus,
+        newStatus,
+        reason: detectedStatus.reason,
+        details: detectedStatus.details,
+        seasonal: detectedStatus.seasonal,
+        diagnostics
+      },
+      timestamp
+    });
+
+    // Raise an alert per reason code so operators can give feedback on it
+    if ((newStatus === 'warning' || newStatus === 'critical') && detectedStatus.status !== 'learning') {
+      await raiseAlert(service, {
+        alertType: detectedStatus.reason,
+        severity: newStatus,
+        message: `${emoji[newStatus]} ${service.name}: ${detectedStatus.reason}${detailsText}`,
+        timestamp
+      });
+    } else if (newStatus === 'healthy') {
+      await resolveOpenAlerts(service, { except: INDEPENDENT_ALERTS });
+    }
+  }
+
+  // Record sustained level changes the rolling window would otherwise absorb
+  for (const shift of detectedStatus.shifts || []) {
+    const delta = shift.after - shift.before;
+    const unit = SHIFT_UNITS[shift.metric];
+    await Event.create({
+      serviceId: service._id,
+      serviceName: service.name,
+      eventType: 'baseline_shift',
+      severity: shift.adverse ? 'warning' : 'info',
+      message: `📐 Baseline shift in ${shift.metric}: ${shift.before.toFixed(2)}${unit} → ${shift.after.toFixed(2)}${unit} ` +
+        `(${delta >= 0 ? '+' : ''}${delta.toFixed(2)}${unit}) since ${shift.changedAt.toISOString()}`,
+      metadata: shift,
+      timestamp
+    });
+    logger.info(`Baseline shift detected for ${serviceName}`, { metric: shift.metric, before: shift.before, after: shift.after });
+  }
+
+  // Send notification for critical/warning status (but NOT during learning)
+  if ((newStatus === 'warning' || newStatus === 'critical') && detectedStatus.status !== 'learning') {
+    if (notify) {
+      await notificationService.sendAlert(
+        service,
+        newStatus,
+        `${detectedStatus.reason}: ${detectedStatus.details || ''}`,
+        currentMetrics
+      );
+    }
+  } else if (detectedStatus.status === 'learning') {
+    // Log learning progress periodically
+    const samplesCollected = Math.min(
+      windows.latency.values.length,
+      windows.errorRate.values.length,
+      windows.requestCount.values.length
+    );
+    if (samplesCollected % 10 === 0) {
+      logger.debug(`Analyzing ${serviceName}: ${samplesCollected}/${config.warmupSamples} samples collected`);
+    }
+  }
+
+  // Update service with new status and metrics
+  service.status = newStatus;
+  if (typeof droppedSamples === 'number') {
+    if (droppedSamples > (service.droppedSamples || 0)) {
+      logger.warn(`Agent of ${serviceName} dropped ${droppedSamples - (service.droppedSamples || 0)} buffered samples`);
+    }
+    service.droppedSamples = droppedSamples;
+  }
+  if (runtimeStats) {
+    service.runtime = { ...runtimeStats, updatedAt: timestamp };
+  }
+  if (pid) {
+    service.agent = { pid, hostname: hostname || null, updatedAt: timestamp };
+  }
+  service.lastHeartbeat = new Date();
+  service.currentMetrics = {
+    avgLatency: currentMetrics.latency,
+    ...latencyPercentiles,
+    errorRate: currentMetrics.errorRate,
+    memoryUsage: currentMetrics.memoryUsage,
+    requestCount: currentMetrics.requestCount,
+    totalRequests: currentMetrics.totalRequests,
+    // Add analyzing progress for UI timer based on actual elapsed time
+    analyzingProgress: detectedStatus.status === 'learning' ? (() => {
+      const elapsedSeconds = Math.floor((Date.now() - windows.startTime) / 1000);
+      const totalSeconds = config.warmupSamples * 2; // 50 samples * 2 seconds per sample = 100 seconds
+      const secondsRemaining = Math.max(0, totalSeconds - elapsedSeconds);
+      return {
+        current: Math.min(windows.latency.values.length, windows.errorRate.values.length, windows.requestCount.values.length),
+        total: config.warmupSamples,
+        secondsRemaining: secondsRemaining
+      };
+    })() : null,
+    trend: parseFloat(diagnostics.latency.slope) > 0.5 ? 'rising' : (parseFloat(diagnostics.latency.slope) < -0.5 ? 'falling' : 'stable')
+  };
+  await service.save();
+
+  // Create metric record
+  const metric = await Metric.create({
+    serviceId: service._id,
+    serviceName,
+    latency,
+    ...latencyPercentiles,
+    errorRate: errorRate || 0,
+    statusCode: statusCode || 200,
+    memoryUsage: memoryUsage || 0,
+    requestCount: requestCount || 0,
+    totalRequests: totalRequests || 0,
+    routes: routes || undefined,
+    dependencies: dependencies || undefined,
+    runtime: runtimeStats || undefined,
+    timestamp
+  });
+
+  // Calls to other registered services become learned dependency edges
+  if (dependencies?.length > 0) {
+    try {
+      await learnFromTraffic(serviceName, dependencies);
+    } catch (error) {
+      logger.warn(`Failed to learn dependencies of ${serviceName}: ${error.message}`);
+    }
+  }
+
+  // Live heartbeats verify a pending remediation (replayed backlog samples don't count)
+  if (notify && service.autoHealingInProgress) {
+    try {
+      await observeHeartbeat(service, { status: newStatus, pid, isRestart });
+    } catch (error) {
+      logger.warn(`Failed to verify remediation of ${serviceName}: ${error.message}`);
+    }
+  }
+
+  return { service, metric, newStatus, detectedStatus, diagnostics };
+}
+
+/**
+ * Ingest a batch of raw samples for one or many services
+ *
+ * Samples are validated individually, then fed through the pipeline in
+ * timestamp order per service so the anomaly windows see them in the
+ * order they were measured. Only the newest accepted sample of each
+ * service may trigger a notification, so replaying a backlog does not
+ * page anyone for conditions that are already over.
+ *
+ * @param {Array} rawSamples - Samples as sent by the client
+ * @param {object} options
+ * @param {string} options.allowedService - Only accept samples for this service (API key scope)
+ * @returns {Array} Per-sample results in the original order
+ */
+export async function ingestBatch(rawSamples, { allowedService = null } = {}) {
+  const results = new Array(rawSamples.length);
+  const byService = new Map();
+
+  rawSamples.forEach((raw, index) => {
+    const { sample, error } = normalizeSample(raw, { requireTimestamp: true });
+    if (error) {
+      results[index] = { index, serviceName: raw?.serviceName || null, accepted: false, error };
+      return;
+    }
+    if (allowedService && sample.serviceName !== allowedService) {
+      results[index] = { index, serviceName: sample.serviceName, accepted: false, error: `API key is not valid for service ${sample.serviceName}` };
+      return;
+    }
+    if (!byService.has(sample.serviceName)) {
+      byService.set(sample.serviceName, []);
+    }
+    byService.get(sample.serviceName).push({ index, sample });
+  });
+
+  for (const [serviceName, entries] of byService) {
+    // Stable sort keeps the client's order for identical timestamps
+    entries.sort((a, b) => a.sample.timestamp - b.sample.timestamp);
+
+    for (let i = 0; i < entries.length; i++) {
+      const { index, sample } = entries[i];
+      try {
+        const { metric, newStatus } = await ingestSample(sample, { notify: i === entries.length - 1 });
+        results[index] = {
+          index,
+          serviceName,
+          accepted: true,
+          metricId: metric._id,
+          timestamp: sample.timestamp,
+          detectedStatus: newStatus
+        };
+      } catch (error) {
+        logger.error('Error ingesting batch sample', { serviceName, index, error: error.message });
+        results[index] = { index, serviceName, accepted: false, error: error.message };
+      }
+    }
+  }
+
+  return results;
+}
+
+export { serviceWindows };
@@ -13,6 +13,7 @@
  */
 
 import axios from 'axios';
+import { incrementCounter } from '../utils/telemetry.js';
 
 // Optional: nodemailer (only needed for email notifications)
 let nodemailer = null;
@@ -185,9 +186,11 @@ No heartbeat received for more than 60 seconds.
         parse_mode: 'Markdown',
       });
       console.log('✅ Telegram notification sent');
+      incrementCounter('notificationsSent', { channel: 'telegram', severity: message.status });
       return true;
     } catch (error) {
       console.error('❌ Failed to send Telegram notification:', error.message);
+      incrementCounter('notificationsFailed', { channel: 'telegram', severity: message.status });
       return false;
     }
   }
@@ -212,9 +215,11 @@ No heartbeat received for more than 60 seconds.
         `,
       });
       console.log('✅ Email notification sent');
+      incrementCounter('notificationsSent', { channel: 'email', severity: message.status });
       return true;
     } catch (error) {
       console.error('❌ Failed to send email notification:', error.message);
+      incrementCounter('notificationsFailed', { channel: 'email', severity: message.status });
       return false;
     }
   }
@@ -245,9 +250,11 @@ No heartbeat received for more than 60 seconds.
         ],
       });
       console.log('✅ Discord notification sent');
+      incrementCounter('notificationsSent', { channel: 'discord', severity: message.status });
       return true;
     } catch (error) {
       console.error('❌ Failed to send Discord notification:', error.message);
+      incrementCounter('notificationsFailed', { channel: 'discord', severity: message.status });
       return false;
     }
   }
@@ -0,0 +1,311 @@
+/**
+ * Probe Service
+ *
+ * Active HTTP probes that complement the metrics agents push:
+ * - Per-service probes with method, target, expected status, body assertions,
+ *   timeout and interval (every service gets GET /health unless disabled)
+ * - Every run is stored as a ProbeResult
+ * - A probe failing failureThreshold times in a row marks the service
+ *   critical (reason probe_failed), both in ingestion and in the evaluator
+ */
+
+import Probe, { PROBE_METHODS } from '../models/Probe.js';
+import ProbeResult from '../models/ProbeResult.js';
+import Service from '../models/Service.js';
+import Event from '../models/Event.js';
+import { sendRequest, checkResponse } from '../utils/httpCheck.js';
+import logger from '../utils/logger.js';
+
+const config = {
+  defaultHealthProbe: process.env.PROBES_DEFAULT_HEALTH !== 'false',
+  defaultIntervalSeconds: parseInt(process.env.PROBES_DEFAULT_INTERVAL) || 30,
+  guardianPort: parseInt(process.env.PORT) || 3000
+};
+
+// Fields a client may set, with their limits
+const NUMBER_LIMITS = {
+  timeoutMs: { min: 100, max: 60000 },
+  intervalSeconds: { min: 5, max: 3600 },
+  failureThreshold: { min: 1, max: 100 }
+};
+
+// Services already checked for a default probe in this process
+const defaultsEnsured = new Set();
+
+/**
+ * Validate a probe definition (create, or partial update)
+ *
+ * Returns: { probe } with the accepted fields, or { error }
+ */
+export function validateProbe(body, { partial = false } = {}) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'body must be an object' };
+  }
+
+  const probe = {};
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || !body.name.trim() || body.name.length > 100) {
+      return { error: 'name is required (max 100 characters)' };
+    }
+    probe.name = body.name.trim();
+  }
+
+  if (body.method !== undefined) {
+    const method = String(body.method).toUpperCase();
+    if (!PROBE_METHODS.includes(method)) {
+      return { error: `method must be one of ${PROBE_METHODS.join(', ')}` };
+    }
+    probe.method = method;
+  }
+
+  if (body.path !== undefined) {
+    if (typeof body.path !== 'string' || !body.path.startsWith('/')) {
+      return { error: 'path must start with /' };
+    }
+    probe.path = body.path;
+  }
+
+  if (body.url !== undefined && body.url !== null) {
+    let parsed;
+    try {
+      parsed = new URL(body.url);
+    } catch {
+      return { error: 'url must be an absolute http(s) URL' };
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      return { error: 'url must be an absolute http(s) URL' };
+    }
+    probe.url = body.url;
+  } else if (body.url === null) {
+    probe.url = null;
+  }
+
+  if (body.headers !== undefined && body.headers !== null) {
+    if (typeof body.headers !== 'object' || Array.isArray(body.headers)
+      || !Object.values(body.headers).every(value => typeof value === 'string')) {
+      return { error: 'headers must be an object of strings' };
+    }
+    probe.headers = body.headers;
+  }
+
+  if (body.body !== undefined) probe.body = body.body;
+
+  if (body.expectedStatus !== undefined) {
+    const statuses = Array.isArray(body.expectedStatus) ? body.expectedStatus : [body.expectedStatus];
+    if (statuses.length === 0 || !statuses.every(status => Number.isInteger(status) && status >= 100 && status <= 599)) {
+      return { error: 'expectedStatus must be an HTTP status or a list of them' };
+    }
+    probe.expectedStatus = statuses;
+  }
+
+  if (body.bodyContains !== undefined) {
+    if (body.bodyContains !== null && typeof body.bodyContains !== 'string') {
+      return { error: 'bodyContains must be a string' };
+    }
+    probe.bodyContains = body.bodyContains || null;
+  }
+
+  if (body.jsonAssertions !== undefined && body.jsonAssertions !== null) {
+    if (!Array.isArray(body.jsonAssertions)
+      || !body.jsonAssertions.every(a => a && typeof a === 'object' && typeof a.path === 'string' && 'equals' in a)) {
+      return { error: 'jsonAssertions must be a list of { path, equals }' };
+    }
+    probe.jsonAssertions = body.jsonAssertions.map(({ path, equals }) => ({ path, equals }));
+  }
+
+  for (const [field, { min, max }] of Object.entries(NUMBER_LIMITS)) {
+    const value = body[field];
+    if (value === undefined || value === null) continue;
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return { error: `${field} must be an integer between ${min} and ${max}` };
+    }
+    probe[field] = value;
+  }
+
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== 'boolean') {
+      return { error: 'enabled must be a boolean' };
+    }
+    probe.enabled = body.enabled;
+  }
+
+  return { probe };
+}
+
+/**
+ * Create the default GET /health probe for a service without probes
+ */
+export async function ensureDefaultProbe(service) {
+  if (!config.defaultHealthProbe || defaultsEnsured.has(String(service._id))) return null;
+  defaultsEnsured.add(String(service._id));
+
+  // Auto-registered services without a known port point at the Guardian itself
+  if (service.port === config.guardianPort) return null;
+  if (await Probe.countDocuments({ serviceId: service._id }) > 0) return null;
+
+  const probe = await Probe.create({
+    serviceId: service._id,
+    serviceName: service.name,
+    name: 'health',
+    method: 'GET',
+    path: '/health',
+    intervalSeconds: config.defaultIntervalSeconds
+  });
+  logger.info(`Created default /health probe for ${service.name}`);
+  return probe;
+}
+
+export const probeTarget = (probe, service) => probe.url || `${service.url.replace(/\/+$/, '')}${probe.path}`;
+
+/**
+ * Run a probe once, store the result and update the probe's state
+ *
+ * @returns {object} { success, statusCode, latencyMs, error, timestamp }
+ */
+export async function runProbe(probe, service) {
+  const response = await sendRequest({
+    method: probe.method,
+    url: probeTarget(probe, service),
+    headers: probe.headers ? Object.fromEntries(probe.headers) : {},
+    body: probe.body,
+    timeoutMs: probe.timeoutMs
+  });
+
+  const error = response.error || checkResponse(response, {
+    expectedStatus: probe.expectedStatus,
+    bodyContains: probe.bodyContains,
+    jsonAssertions: probe.jsonAssertions || []
+  });
+  const result = {
+    success: !error,
+    statusCode: response.statusCode,
+    latencyMs: response.latencyMs,
+    error,
+    timestamp: new Date()
+  };
+
+  await ProbeResult.create({
+    probeId: probe._id,
+    serviceId: service._id,
+    serviceName: service.name,
+    probeName: probe.name,
+    ...result
+  });
+
+  probe.lastRunAt = result.timestamp;
+  probe.lastSuccess = result.success;
+  probe.lastStatusCode = result.statusCode;
+  probe.lastLatencyMs = result.latencyMs;
+  probe.lastError = result.error;
+  probe.consecutiveFailures = result.success ? 0 : probe.consecutiveFailures + 1;
+  await probe.save();
+
+  return result;
+}
+
+/**
+ * Recompute Service.probeStatus from its enabled probes and record transitions
+ *
+ * @returns {object} { failing, failingProbes, lastError, checkedAt }
+ */
+export async function refreshProbeStatus(service) {
+  const probes = await Probe.find({ serviceId: service._id, enabled: true });
+  const failingProbes = probes.filter(p => p.consecutiveFailures >= p.failureThreshold);
+  const wasFailing = service.probeStatus?.failing || false;
+
+  const probeStatus = {
+    failing: failingProbes.length > 0,
+    failingProbes: failingProbes.map(p => p.name),
+    lastError: failingProbes[0]?.lastError || null,
+    checkedAt: new Date()
+  };
+  await Service.updateOne({ _id: service._id }, { probeStatus });
+
+  if (probeStatus.failing !== wasFailing) {
+    const details = failingProbes.map(p => `${p.name} (${p.lastError})`).join(', ');
+    await Event.create({
+      serviceId: service._id,
+      serviceName: service.name,
+      eventType: 'alert',
+      severity: probeStatus.failing ? 'critical' : 'info',
+      message: probeStatus.failing
+        ? `🩺 Probe failing for ${service.name}: ${details}`
+        : `🩺 Probes passing again for ${service.name}`,
+      metadata: { reason: 'probe_failed', failingProbes: probeStatus.failingProbes }
+    });
+    logger.info(`Probe status of ${service.name}: ${probeStatus.failing ? 'failing' : 'passing'}`, { failingProbes: probeStatus.failingProbes });
+  }
+
+  return probeStatus;
+}
+
+/**
+ * Status override from failing probes, in the shape of a detector verdict
+ *
+ * Returns: { status: 'unhealthy', reason: 'probe_failed', details } or null when probes pass
+ */
+export function probeVerdict(service) {
+  const state = service.probeStatus;
+  if (!state?.failing) return null;
+  return {
+    status: 'unhealthy',
+    reason: 'probe_failed',
+    details: `${state.failingProbes.join(', ')} failing${state.lastError ? ` (${state.lastError})` : ''}`
+  };
+}
+
+/**
+ * Probes of a service with their success rate and average latency since a point in time
+ */
+export async function getProbeSummary(serviceId, since) {
+  const [probes, stats] = await Promise.all([
+    Probe.find({ serviceId }).sort({ name: 1 }),
+    ProbeResult.aggregate([
+      { $match: { serviceId, timestamp: { $gte: since } } },
+      {
+        $group: {
+          _id: '$probeId',
+          runs: { $sum: 1 },
+          successes: { $sum: { $cond: ['$success', 1, 0] } },
+          avgLatencyMs: { $avg: '$latencyMs' }
+        }
+      }
+    ])
+  ]);
+  const statsByProbe = new Map(stats.map(s => [String(s._id), s]));
+
+  return probes.map(probe => {
+    const s = statsByProbe.get(String(probe._id));
+    return {
+      ...formatProbe(probe),
+      runs: s?.runs || 0,
+      successRate: s?.runs ? Math.round((s.successes / s.runs) * 10000) / 100 : null,
+      avgLatencyMs: s?.runs ? Math.round(s.avgLatencyMs) : null
+    };
+  });
+}
+
+export const formatProbe = (probe) => ({
+  id: probe._id,
+  serviceName: probe.serviceName,
+  name: probe.name,
+  method: probe.method,
+  path: probe.path,
+  url: probe.url,
+  headers: probe.headers ? Object.fromEntries(probe.headers) : undefined,
+  body: probe.body,
+  expectedStatus: probe.expectedStatus,
+  bodyContains: probe.bodyContains,
+  jsonAssertions: probe.jsonAssertions,
+  timeoutMs: probe.timeoutMs,
+  intervalSeconds: probe.intervalSeconds,
+  failureThreshold: probe.failureThreshold,
+  enabled: probe.enabled,
+  lastRunAt: probe.lastRunAt,
+  lastSuccess: probe.lastSuccess,
+  lastStatusCode: probe.lastStatusCode,
+  lastLatencyMs: probe.lastLatencyMs,
+  lastError: probe.lastError,
+  consecutiveFailures: probe.consecutiveFailures
+});
@@ -0,0 +1,511 @@
+/**
+ * Remediation Service
+ *
+ * Auto-healing through pluggable executors, one action chosen per service:
+ * - command: run a configured shell command on the Guardian host
+ *   (only with REMEDIATION_ALLOW_COMMANDS=true)
+ * - signal: signal a pid (or pidfile) configured by the operator, for services
+ *   whose supervisor (systemd, pm2) restarts them; the pid an agent reports
+ *   is only signalled with target "agent", and only when that agent runs on
+ *   the Guardian's host
+ * - webhook: POST the service's own /admin/restart; the service must also
+ *   answer GET /admin/restart, which is checked when the action is chosen
+ *   (HealthAgent.restartWebhook() implements both)
+ * - http: call a configured HTTP hook (orchestrator, deploy pipeline, ...)
+ *
+ * An executor only starts the remediation. The outcome comes from the live
+ * heartbeats that follow: verifyHeartbeats non-critical heartbeats in a row
+ * (after a new process was seen, for restarting actions) mark the attempt
+ * recovered; otherwise it fails after verifySeconds.
+ */
+
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import Service from '../models/Service.js';
+import RemediationAttempt from '../models/RemediationAttempt.js';
+import Event from '../models/Event.js';
+import { PROBE_METHODS } from '../models/Probe.js';
+import { createNotificationService } from './notificationService.js';
+import { sendRequest } from '../utils/httpCheck.js';
+import logger from '../utils/logger.js';
+
+const notificationService = createNotificationService();
+
+const config = {
+  allowCommands: process.env.REMEDIATION_ALLOW_COMMANDS === 'true',
+  commandTimeoutSeconds: parseInt(process.env.REMEDIATION_COMMAND_TIMEOUT) || 60,
+  webhookToken: process.env.REMEDIATION_WEBHOOK_TOKEN,
+  verifyHeartbeats: parseInt(process.env.REMEDIATION_VERIFY_HEARTBEATS) || 3,
+  verifySeconds: parseInt(process.env.REMEDIATION_VERIFY_SECONDS) || 120,
+  cooldownMinutes: parseInt(process.env.REMEDIATION_COOLDOWN_MINUTES) || 10,
+  maxAutoAttempts: parseInt(process.env.REMEDIATION_MAX_AUTO_ATTEMPTS) || 3
+};
+
+const SIGNALS = ['SIGTERM', 'SIGINT', 'SIGHUP', 'SIGKILL', 'SIGUSR1', 'SIGUSR2'];
+const SIGNAL_TARGETS = ['agent'];
+
+// Output kept from commands and hooks (the end is where errors are)
+const MAX_OUTPUT_CHARS = 2000;
+const tail = (text) => (text && text.length > MAX_OUTPUT_CHARS ? text.slice(-MAX_OUTPUT_CHARS) : text || '');
+
+const validateUrl = (url) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol);
+  } catch {
+    return false;
+  }
+};
+
+const httpResult = (response) => {
+  const ok = !response.error && response.statusCode >= 200 && response.statusCode < 300;
+  return {
+    ok,
+    detail: response.error || `HTTP ${response.statusCode}`,
+    output: tail(response.body)
+  };
+};
+
+// name -> { validate(remediation) -> error or null, check(service, remediation) -> Promise<error or null>,
+//          run(service, remediation) -> { ok, detail, output }, restarts }
+const executors = new Map();
+
+/**
+ * Register a remediation executor
+ *
+ * `check` runs when the action is chosen, against the live service.
+ * `restarts` means success is only counted once a new process reports in.
+ */
+export function registerExecutor(name, { validate = () => null, check = async () => null, run, restarts = true }) {
+  executors.set(name, { validate, check, run, restarts });
+}
+
+registerExecutor('command', {
+  validate: (remediation) => {
+    if (!config.allowCommands) return 'command actions are disabled (set REMEDIATION_ALLOW_COMMANDS=true)';
+    if (typeof remediation.command !== 'string' || !remediation.command.trim()) return 'command is required';
+    return null;
+  },
+  run: (service, remediation) => new Promise((resolve) => {
+    if (!config.allowCommands) {
+      resolve({ ok: false, detail: 'command actions are disabled' });
+      return;
+    }
+
+    execFile('/bin/sh', ['-c', remediation.command], {
+      timeout: config.commandTimeoutSeconds * 1000,
+      maxBuffer: 1024 * 1024,
+      env: {
+        ...process.env,
+        SERVICE_NAME: service.name,
+        SERVICE_URL: service.url,
+        SERVICE_PORT: String(service.port)
+      }
+    }, (error, stdout, stderr) => {
+      const output = tail(`${stdout}${stderr}`);
+      if (!error) {
+        resolve({ ok: true, detail: 'exit code 0', output });
+      } else if (error.killed) {
+        resolve({ ok: false, detail: `timed out after ${config.commandTimeoutSeconds}s`, output });
+      } else {
+        resolve({ ok: false, detail: typeof error.code === 'number' ? `exit code ${error.code}` : error.message, output });
+      }
+    });
+  })
+});
+
+// Signalling pid 1 (init) or pid 0 / negative pids (process groups) is never a remediation
+const isSignallablePid = (pid) => Number.isInteger(pid) && pid > 1;
+
+// A pid from another host would hit an unrelated local process
+const agentHostError = (service) => {
+  if (!service.agent?.hostname) return 'no agent has reported a pid yet';
+  if (service.agent.hostname !== os.hostname()) {
+    return `the agent runs on ${service.agent.hostname}, not on the Guardian's host (${os.hostname()})`;
+  }
+  return null;
+};
+
+const resolvePid = async (service, remediation) => {
+  if (remediation.target === 'agent') {
+    const error = agentHostError(service);
+    return error ? { error } : { pid: service.agent.pid };
+  }
+  if (remediation.pid) return { pid: remediation.pid };
+  try {
+    const content = await fs.readFile(remediation.pidFile, 'utf8');
+    return { pid: Number(content.trim()) };
+  } catch (error) {
+    return { error: `cannot read ${remediation.pidFile}: ${error.code || error.message}` };
+  }
+};
+
+registerExecutor('signal', {
+  validate: (remediation) => {
+    if (remediation.signal && !SIGNALS.includes(remediation.signal)) return `signal must be one of ${SIGNALS.join(', ')}`;
+    if (remediation.target !== null) {
+      if (!SIGNAL_TARGETS.includes(remediation.target)) return `target must be one of ${SIGNAL_TARGETS.join(', ')}`;
+      if (remediation.pid !== null || remediation.pidFile !== null) return 'target cannot be combined with pid or pidFile';
+      return null;
+    }
+    if ((remediation.pid !== null) === (remediation.pidFile !== null)) return 'signal needs either pid, pidFile or target';
+    if (remediation.pid !== null && !isSignallablePid(remediation.pid)) return 'pid must be an integer above 1';
+    if (remediation.pidFile !== null && (typeof remediation.pidFile !== 'string' || !path.isAbsolute(remediation.pidFile))) {
+      return 'pidFile must be an absolute path';
+    }
+    return null;
+  },
+  // The agent may not have reported yet; a known foreign host is refused up front
+  check: async (service, remediation) => {
+    if (remediation.target !== 'agent' || !service.agent?.hostname) return null;
+    return agentHostError(service);
+  },
+  run: async (service, remediation) => {
+    const signal = remediation.signal || 'SIGTERM';
+    const { pid, error } = await resolvePid(service, remediation);
+
+    if (error) return { ok: false, detail: error };
+    if (!isSignallablePid(pid)) {
+      return { ok: false, detail: `${remediation.target === 'agent' ? 'the agent' : remediation.pidFile} did not report a valid pid` };
+    }
+    if (pid === process.pid) return { ok: false, detail: 'refusing to signal the Guardian itself' };
+
+    try {
+      process.kill(pid, signal);
+      return { ok: true, detail: `sent ${signal} to pid ${pid}` };
+    } catch (error) {
+      return { ok: false, detail: `${signal} to pid ${pid} failed: ${error.code || error.message}` };
+    }
+  }
+});
+
+const webhookUrl = (service) => `${service.url.replace(/\/+$/, '')}/admin/restart`;
+const webhookHeaders = () => (config.webhookToken ? { Authorization: `Bearer ${config.webhookToken}` } : {});
+
+registerExecutor('webhook', {
+  check: async (service) => {
+    const response = await sendRequest({ method: 'GET', url: webhookUrl(service), headers: webhookHeaders(), timeoutMs: 5000 });
+    if (!response.error && response.statusCode >= 200 && response.statusCode < 300) return null;
+    return `${webhookUrl(service)} is not available (${response.error || `GET answered ${response.statusCode}`}): ` +
+      'the service must answer GET and POST /admin/restart (HealthAgent.restartWebhook()) with REMEDIATION_WEBHOOK_TOKEN';
+  },
+  run: async (service) => httpResult(await sendRequest({
+    method: 'POST',
+    url: webhookUrl(service),
+    headers: webhookHeaders(),
+    body: { service: service.name, requestedBy: 'health-guardian' },
+    timeoutMs: 10000
+  }))
+});
+
+registerExecutor('http', {
+  validate: (remediation) => {
+    if (!validateUrl(remediation.url)) return 'url must be an absolute http(s) URL';
+    if (remediation.method && !PROBE_METHODS.includes(remediation.method)) {
+      return `method must be one of ${PROBE_METHODS.join(', ')}`;
+    }
+    return null;
+  },
+  run: async (service, remediation) => httpResult(await sendRequest({
+    method: remediation.method || 'POST',
+    url: remediation.url,
+    headers: remediation.headers ? Object.fromEntries(remediation.headers) : {},
+    body: remediation.body ?? { service: service.name, url: service.url, status: service.status },
+    timeoutMs: 10000
+  })),
+  // A hook may scale out or fail over instead of restarting this process
+  restarts: false
+});
+
+export const listExecutors = () => [...executors.keys()];
+
+/**
+ * Validate a remediation config; action null (or "none") turns remediation off
+ *
+ * Returns: { remediation } or { error }
+ */
+export function validateRemediation(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'body must be an object' };
+  }
+
+  if (body.action === null || body.action === 'none') {
+    return { remediation: { action: null } };
+  }
+
+  const executor = executors.get(body.action);
+  if (!executor) {
+    return { error: `action must be one of ${listExecutors().join(', ')} or none` };
+  }
+
+  if (body.headers !== undefined && body.headers !== null
+    && (typeof body.headers !== 'object' || Array.isArray(body.headers) || !Object.values(body.headers).every(value => typeof value === 'string'))) {
+    return { error: 'headers must be an object of strings' };
+  }
+
+  if (body.auto !== undefined && typeof body.auto !== 'boolean') {
+    return { error: 'auto must be a boolean' };
+  }
+
+  const remediation = {
+    action: body.action,
+    command: body.command ?? null,
+    signal: body.signal ?? null,
+    pid: body.pid ?? null,
+    pidFile: body.pidFile ?? null,
+    target: body.target ?? null,
+    url: body.url ?? null,
+    method: body.method ? String(body.method).toUpperCase() : null,
+    headers: body.headers ?? undefined,
+    body: body.body,
+    auto: body.auto ?? true
+  };
+
+  const error = executor.validate({
+    ...remediation,
+    headers: remediation.headers ? new Map(Object.entries(remediation.headers)) : undefined
+  });
+  return error ? { error } : { remediation };
+}
+
+/**
+ * Check a validated remediation config against the live service
+ *
+ * Returns: error message or null
+ */
+export async function checkRemediation(service, remediation) {
+  const executor = remediation.action && executors.get(remediation.action);
+  return executor ? executor.check(service, remediation) : null;
+}
+
+/**
+ * Close an attempt and record the outcome on the service
+ */
+const finishAttempt = async (attempt, service, outcome, reason = null) => {
+  attempt.outcome = outcome;
+  attempt.failureReason = reason;
+  attempt.finishedAt = new Date();
+  await attempt.save();
+
+  service.autoHealingInProgress = false;
+  if (outcome === 'recovered') {
+    service.criticalSince = null;
+    service.criticalNotificationSent = false;
+  }
+  await service.save();
+
+  const message = outcome === 'recovered'
+    ? `✅ Remediation of ${service.name} (${attempt.action}) worked: ${attempt.healthyHeartbeats} healthy heartbeats` +
+      `${attempt.restartObserved ? ' after a restart' : ''}`
+    : `❌ Remediation of ${service.name} (${attempt.action}) failed: ${reason}`;
+
+  await Event.create({
+    serviceId: service._id,
+    serviceName: service.name,
+    eventType: 'auto_healing',
+    severity: outcome === 'recovered' ? 'info' : 'critical',
+    message,
+    metadata: {
+      action: attempt.action,
+      outcome,
+      attemptId: attempt._id,
+      triggeredBy: attempt.triggeredBy,
+      reason,
+      durationMs: attempt.finishedAt - attempt.startedAt
+    }
+  });
+
+  if (outcome === 'failed') {
+    await notificationService.sendAlert(service, 'critical', `remediation_failed: ${reason}`, service.currentMetrics || {});
+    logger.warn(message);
+  } else {
+    logger.info(message);
+  }
+};
+
+/**
+ * Run the service's remediation action and start verifying it
+ *
+ * Returns: { attempt } or { error, statusCode } when nothing was started
+ */
+export async function triggerRemediation(service, { triggeredBy, requestedBy = null }) {
+  const remediation = service.remediation || {};
+  const executor = remediation.action && executors.get(remediation.action);
+
+  if (!executor) {
+    return { error: `No remediation action configured for ${service.name}`, statusCode: 400 };
+  }
+  const inProgress = { error: `Remediation already in progress for ${service.name}`, statusCode: 409 };
+  if (service.autoHealingInProgress) return inProgress;
+
+  // Claim atomically: the evaluator and a manual request may race
+  const claimed = await Service.updateOne(
+    { _id: service._id, autoHealingInProgress: { $ne: true } },
+    { autoHealingInProgress: true }
+  );
+  if (claimed.modifiedCount === 0) return inProgress;
+  service.autoHealingInProgress = true;
+
+  const startedAt = new Date();
+  const attempt = await RemediationAttempt.create({
+    serviceId: service._id,
+    serviceName: service.name,
+    action: remediation.action,
+    triggeredBy,
+    requestedBy,
+    pidBefore: service.agent?.pid || null,
+    expectsRestart: executor.restarts,
+    startedAt,
+    // Covers the executor too, so an attempt interrupted by a Guardian restart still ends
+    verifyDeadline: new Date(startedAt.getTime() + (config.commandTimeoutSeconds + config.verifySeconds) * 1000)
+  });
+
+  let result;
+  try {
+    result = await executor.run(service, remediation);
+  } catch (error) {
+    result = { ok: false, detail: error.message };
+  }
+  attempt.execution = { ...result, durationMs: Date.now() - startedAt.getTime() };
+
+  if (!result.ok) {
+    await finishAttempt(attempt, service, 'failed', `${remediation.action} executor: ${result.detail}`);
+    return { attempt };
+  }
+
+  attempt.outcome = 'verifying';
+  attempt.verifyDeadline = new Date(Date.now() + config.verifySeconds * 1000);
+  await attempt.save();
+
+  await Event.create({
+    serviceId: service._id,
+    serviceName: service.name,
+    eventType: 'auto_healing',
+    severity: 'warning',
+    message: `🔧 Remediation started for ${service.name} (${remediation.action}): ${result.detail}`,
+    metadata: {
+      action: remediation.action,
+      attemptId: attempt._id,
+      triggeredBy,
+      requestedBy,
+      detail: result.detail
+    }
+  });
+
+  logger.info(`Remediation started for ${service.name}`, { action: remediation.action, triggeredBy, requestedBy, detail: result.detail });
+
+  return { attempt };
+}
+
+/**
+ * Count a live heartbeat towards the open attempt of a service
+ *
+ * @param {object} heartbeat - { status, pid, isRestart } of the ingested sample
+ */
+export async function observeHeartbeat(service, { status, pid, isRestart }) {
+  const attempt = await RemediationAttempt.findOne({ serviceId: service._id, outcome: 'verifying' });
+  if (!attempt) return null;
+
+  if (isRestart || (pid && attempt.pidBefore && pid !== attempt.pidBefore)) {
+    attempt.restartObserved = true;
+  }
+
+  if (status === 'critical') {
+    attempt.healthyHeartbeats = 0;
+  } else if (!attempt.expectsRestart || attempt.restartObserved) {
+    attempt.healthyHeartbeats++;
+  }
+  await attempt.save();
+
+  if (attempt.healthyHeartbeats >= config.verifyHeartbeats) {
+    await finishAttempt(attempt, service, 'recovered');
+  }
+  return attempt;
+}
+
+/**
+ * Fail the open attempt of a service once its deadline passed
+ *
+ * Also clears autoHealingInProgress when no attempt is open (e.g. set by an older version).
+ */
+export async function checkRemediationDeadline(service) {
+  const attempt = await RemediationAttempt.findOne({ serviceId: service._id, outcome: { $in: ['running', 'verifying'] } });
+
+  if (!attempt) {
+    if (service.autoHealingInProgress) {
+      service.autoHealingInProgress = false;
+      await service.save();
+    }
+    return null;
+  }
+
+  if (attempt.verifyDeadline > new Date()) return null;
+
+  let reason;
+  if (attempt.outcome === 'running') {
+    reason = 'the executor did not finish (interrupted)';
+  } else if (attempt.expectsRestart && !attempt.restartObserved) {
+    reason = `no new process reported within ${config.verifySeconds}s`;
+  } else {
+    reason = `no ${config.verifyHeartbeats} healthy heartbeats in a row within ${config.verifySeconds}s`;
+  }
+
+  await finishAttempt(attempt, service, 'failed', reason);
+  return attempt;
+}
+
+/**
+ * Trigger the automatic remediation of a critical service unless it's off,
+ * cooling down after the last attempt, or out of attempts for this incident
+ */
+export async function runAutoRemediation(service) {
+  if (!service.remediation?.action || service.remediation.auto === false || service.autoHealingInProgress) return null;
+
+  const recent = await RemediationAttempt.find({
+    serviceId: service._id,
+    triggeredBy: 'auto',
+    startedAt: { $gte: service.criticalSince }
+  }).sort({ startedAt: -1 });
+
+  if (recent.length >= config.maxAutoAttempts) return null;
+  const last = recent[0];
+  if (last?.finishedAt && Date.now() - last.finishedAt.getTime() < config.cooldownMinutes * 60 * 1000) return null;
+
+  logger.info(`Triggering auto-healing for ${service.name}`, { action: service.remediation.action, criticalSince: service.criticalSince });
+  return triggerRemediation(service, { triggeredBy: 'auto' });
+}
+
+export const formatRemediation = (service) => ({
+  action: service.remediation?.action || null,
+  command: service.remediation?.command || null,
+  signal: service.remediation?.signal || null,
+  pid: service.remediation?.pid || null,
+  pidFile: service.remediation?.pidFile || null,
+  target: service.remediation?.target || null,
+  url: service.remediation?.url || null,
+  method: service.remediation?.method || null,
+  headers: service.remediation?.headers ? Object.fromEntries(service.remediation.headers) : undefined,
+  body: service.remediation?.body,
+  auto: service.remediation?.auto ?? true,
+  updatedBy: service.remediation?.updatedBy || null,
+  updatedAt: service.remediation?.updatedAt || null,
+  agent: service.agent?.pid ? { pid: service.agent.pid, hostname: service.agent.hostname } : null,
+  executors: listExecutors()
+});
+
+export const formatAttempt = (attempt) => ({
+  id: attempt._id,
+  action: attempt.action,
+  triggeredBy: attempt.triggeredBy,
+  requestedBy: attempt.requestedBy,
+  outcome: attempt.outcome,
+  execution: attempt.execution,
+  restartObserved: attempt.restartObserved,
+  healthyHeartbeats: attempt.healthyHeartbeats,
+  failureReason: attempt.failureReason,
+  startedAt: attempt.startedAt,
+  finishedAt: attempt.finishedAt
+});
+
+export { config as remediationConfig };
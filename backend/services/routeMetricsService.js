@@ -0,0 +1,50 @@
+/**
+ * Route Metrics Service
+ *
+ * Per-route breakdown of the samples a service reported in a time range:
+ * - Request and error totals per method + route pattern
+ * - Request-weighted average latency
+ * - Peak p95 (the worst send interval; interval percentiles can't be averaged)
+ */
+
+import Metric from '../models/Metric.js';
+
+// Rows returned to the dashboard
+const MAX_ROUTES = 100;
+
+/**
+ * Aggregate stored route stats of a service since a point in time
+ *
+ * @param {ObjectId} serviceId - Service document id
+ * @param {Date} since - Start of the range
+ * @returns {Array} [{ method, route, requestCount, errorCount, errorRate, avgLatency, peakLatencyP95, lastSeen }]
+ */
+export async function getRouteBreakdown(serviceId, since) {
+  const groups = await Metric.aggregate([
+    { $match: { serviceId, timestamp: { $gte: since }, 'routes.0': { $exists: true } } },
+    { $unwind: '$routes' },
+    {
+      $group: {
+        _id: { method: '$routes.method', route: '$routes.route' },
+        requestCount: { $sum: '$routes.requestCount' },
+        errorCount: { $sum: '$routes.errorCount' },
+        latencyTotal: { $sum: { $multiply: ['$routes.avgLatency', '$routes.requestCount'] } },
+        peakLatencyP95: { $max: '$routes.latencyP95' },
+        lastSeen: { $max: '$timestamp' }
+      }
+    },
+    { $sort: { requestCount: -1 } },
+    { $limit: MAX_ROUTES }
+  ]);
+
+  return groups.map(g => ({
+    method: g._id.method,
+    route: g._id.route,
+    requestCount: g.requestCount,
+    errorCount: g.errorCount,
+    errorRate: g.requestCount > 0 ? Math.round((g.errorCount / g.requestCount) * 10000) / 100 : 0,
+    avgLatency: g.requestCount > 0 ? Math.round(g.latencyTotal / g.requestCount) : 0,
+    peakLatencyP95: g.peakLatencyP95 ?? null,
+    lastSeen: g.lastSeen
+  }));
+}
@@ -0,0 +1,227 @@
+/**
+ * Seasonal Baseline Service
+ *
+ * Learns what "normal" looks like for each time-of-week from stored
+ * Metric history, so recurring patterns (nightly batch jobs, daily
+ * traffic ramps) are judged against the same hour on previous days
+ * instead of only the last two minutes:
+ * - Hour-of-week buckets (day-of-week × hour) when enough history exists
+ * - Hour-of-day buckets pooled across all days as a fallback
+ * - Median and MAD per bucket, and a bucket is only trusted with samples
+ *   from several days (several weeks for hour-of-week), so one incident at
+ *   the same hour last week doesn't become what this hour is expected to
+ *   look like
+ * - Profiles cached in memory for the ingestion hot path
+ */
+
+import Service from '../models/Service.js';
+import Metric from '../models/Metric.js';
+import SeasonalBaseline from '../models/SeasonalBaseline.js';
+import logger from '../utils/logger.js';
+
+const config = {
+  enabled: process.env.SEASONAL_ENABLED !== 'false',
+  lookbackDays: parseInt(process.env.SEASONAL_LOOKBACK_DAYS) || 21,
+  minSamples: parseInt(process.env.SEASONAL_MIN_SAMPLES) || 600,
+  minDays: parseInt(process.env.SEASONAL_MIN_DAYS) || 3,
+  minWeeks: parseInt(process.env.SEASONAL_MIN_WEEKS) || 2,
+  timezone: process.env.SEASONAL_TIMEZONE || 'UTC',
+};
+
+const METRICS = ['latency', 'errorRate', 'requestCount'];
+
+// Scales MAD to match σ for normally distributed data
+const MAD_SCALE = 1.4826;
+
+// serviceName -> { hourOfWeek: Map, hourOfDay: Map }
+const profiles = new Map();
+
+const weekdayIndex = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const bucketFormatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: config.timezone,
+  weekday: 'short',
+  hour: 'numeric',
+  hourCycle: 'h23'
+});
+
+/**
+ * Resolve the seasonal bucket of a date in the configured timezone
+ */
+export function getSeasonalBucket(date) {
+  const parts = Object.fromEntries(bucketFormatter.formatToParts(date).map(p => [p.type, p.value]));
+  return { dayOfWeek: weekdayIndex[parts.weekday], hour: parseInt(parts.hour) % 24 };
+}
+
+const median = (sorted) => {
+  if (sorted.length === 0) return 0;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const robustStats = (values) => {
+  const sorted = values.filter(v => typeof v === 'number' && !isNaN(v)).sort((a, b) => a - b);
+  const center = median(sorted);
+  return { median: center, mad: median(sorted.map(v => Math.abs(v - center)).sort((a, b) => a - b)) };
+};
+
+/**
+ * Reduce per-date groups into one bucket per key
+ *
+ * @param {Array} groups - Aggregation output: { _id: { date, dayOfWeek, hour }, latency: [...], ... }
+ * @param {function} keyOf - Bucket key of a group (e.g. hour of week)
+ * @param {function} dayOfWeekOf - dayOfWeek stored on the bucket (null for hour-of-day)
+ */
+const toBuckets = (groups, keyOf, dayOfWeekOf) => {
+  const byKey = new Map();
+  for (const group of groups) {
+    const key = keyOf(group._id);
+    if (!byKey.has(key)) {
+      byKey.set(key, { dayOfWeek: dayOfWeekOf(group._id), hour: group._id.hour, dates: new Set(), values: Object.fromEntries(METRICS.map(m => [m, []])) });
+    }
+    const entry = byKey.get(key);
+    entry.dates.add(group._id.date);
+    for (const metric of METRICS) {
+      entry.values[metric].push(...group[metric]);
+    }
+  }
+
+  return [...byKey.values()].map(({ dayOfWeek, hour, dates, values }) => ({
+    dayOfWeek,
+    hour,
+    sampleCount: values.latency.length,
+    days: dates.size,
+    ...Object.fromEntries(METRICS.map(m => [m, robustStats(values[m])]))
+  }));
+};
+
+const toProfile = (doc) => ({
+  hourOfWeek: new Map(doc.hourOfWeek.map(b => [`${b.dayOfWeek}-${b.hour}`, b])),
+  hourOfDay: new Map(doc.hourOfDay.map(b => [`${b.hour}`, b])),
+});
+
+/**
+ * Learn seasonal buckets for one service from its Metric history
+ */
+export async function learnServiceSeasonality(service) {
+  const since = new Date(Date.now() - config.lookbackDays * 24 * 60 * 60 * 1000);
+
+  // One group per date and hour; medians need the values, not running sums
+  const groups = await Metric.aggregate([
+    { $match: { serviceId: service._id, timestamp: { $gte: since } } },
+    {
+      $group: {
+        _id: {
+          date: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp', timezone: config.timezone } },
+          dayOfWeek: { $dayOfWeek: { date: '$timestamp', timezone: config.timezone } },
+          hour: { $hour: { date: '$timestamp', timezone: config.timezone } }
+        },
+        ...Object.fromEntries(METRICS.map(m => [m, { $push: `$${m}` }]))
+      }
+    }
+  ]);
+
+  if (groups.length === 0) return null;
+
+  // MongoDB: 1 = Sunday
+  const hourOfWeek = toBuckets(groups, id => `${id.dayOfWeek}-${id.hour}`, id => id.dayOfWeek - 1);
+  const hourOfDay = toBuckets(groups, id => `${id.hour}`, () => null);
+
+  const doc = await SeasonalBaseline.findOneAndUpdate(
+    { serviceName: service.name },
+    {
+      serviceId: service._id,
+      serviceName: service.name,
+      timezone: config.timezone,
+      hourOfWeek,
+      hourOfDay,
+      lookbackDays: config.lookbackDays,
+      learnedAt: new Date()
+    },
+    { upsert: true, new: true }
+  );
+
+  profiles.set(service.name, toProfile(doc));
+  return doc;
+}
+
+/**
+ * Re-learn seasonal baselines for every service
+ */
+export async function learnSeasonalBaselines() {
+  if (!config.enabled) return 0;
+
+  const services = await Service.find();
+  let learned = 0;
+
+  for (const service of services) {
+    try {
+      if (await learnServiceSeasonality(service)) learned++;
+    } catch (error) {
+      logger.error(`Failed to learn seasonal baseline for ${service.name}`, { error: error.message });
+    }
+  }
+
+  logger.info(`Seasonal baselines learned for ${learned}/${services.length} services`);
+  return learned;
+}
+
+/**
+ * Load stored profiles into memory (startup)
+ */
+export async function loadSeasonalProfiles() {
+  if (!config.enabled) return 0;
+
+  const docs = await SeasonalBaseline.find({ timezone: config.timezone });
+  for (const doc of docs) {
+    profiles.set(doc.serviceName, toProfile(doc));
+  }
+  return docs.length;
+}
+
+/**
+ * Expected metric distributions for a service at a point in time
+ *
+ * Prefers the hour-of-week bucket and falls back to hour-of-day when the
+ * week bucket hasn't seen enough samples or weeks yet. Every date in an
+ * hour-of-week bucket falls on the same weekday, so its day count is the
+ * number of weeks it has seen.
+ *
+ * Returns: { bucket, sampleCount, days, latency: { median, spread }, ... } or null
+ *   (spread is the MAD scaled to σ)
+ */
+export function getSeasonalExpectation(serviceName, date = new Date()) {
+  if (!config.enabled) return null;
+
+  const profile = profiles.get(serviceName);
+  if (!profile) return null;
+
+  const { dayOfWeek, hour } = getSeasonalBucket(date);
+  const weekBucket = profile.hourOfWeek.get(`${dayOfWeek}-${hour}`);
+  const dayBucket = profile.hourOfDay.get(`${hour}`);
+
+  // Buckets learned before median/MAD have no day count and are never trusted
+  const isTrusted = (candidate, minDays) => candidate
+    && candidate.sampleCount >= config.minSamples
+    && candidate.days >= minDays;
+
+  let bucket = null;
+  let type = null;
+  if (isTrusted(weekBucket, config.minWeeks)) {
+    bucket = weekBucket;
+    type = 'hour_of_week';
+  } else if (isTrusted(dayBucket, config.minDays)) {
+    bucket = dayBucket;
+    type = 'hour_of_day';
+  }
+
+  if (!bucket) return null;
+
+  return {
+    bucket: type === 'hour_of_week' ? `${type}:${dayOfWeek}-${hour}` : `${type}:${hour}`,
+    sampleCount: bucket.sampleCount,
+    days: bucket.days,
+    ...Object.fromEntries(METRICS.map(m => [m, { median: bucket[m].median, spread: MAD_SCALE * bucket[m].mad }]))
+  };
+}
+
+export { config as seasonalConfig };
@@ -0,0 +1,498 @@
+/**
+ * Synthetic Check Service
+ *
+ * Scripted multi-step journeys across services, defined as data:
+ * - Steps run in order; {{name}} in a step's path, url, headers, body or
+ *   assertions is replaced by a variable from the check, an earlier step's
+ *   extract, or {{env.SYNTHETIC_*}} (credentials stay out of the database:
+ *   stored runs and alerts show the placeholder, not the value)
+ * - Each step has the probe assertions (status, body, JSON paths)
+ * - The first failing step ends the run; later steps are skipped
+ * - After failureThreshold failed runs in a row, a synthetic_failed alert
+ *   naming the step is raised on the service that step calls
+ */
+
+import SyntheticCheck from '../models/SyntheticCheck.js';
+import SyntheticRun from '../models/SyntheticRun.js';
+import Service from '../models/Service.js';
+import Alert from '../models/Alert.js';
+import Event from '../models/Event.js';
+import { validateProbe } from './probeService.js';
+import { raiseAlert } from './alertService.js';
+import { createNotificationService } from './notificationService.js';
+import { sendRequest, checkResponse, getJsonPath } from '../utils/httpCheck.js';
+import logger from '../utils/logger.js';
+
+const notificationService = createNotificationService();
+
+export const SYNTHETIC_ALERT = 'synthetic_failed';
+
+// Only env vars with this prefix can be used in templates
+const ENV_PREFIX = 'SYNTHETIC_';
+
+const MAX_STEPS = 20;
+
+const NUMBER_LIMITS = {
+  intervalSeconds: { min: 10, max: 86400 },
+  failureThreshold: { min: 1, max: 100 }
+};
+
+const VARIABLE_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const TEMPLATE = /\{\{\s*([A-Za-z0-9_.]+)\s*\}\}/g;
+
+const validateExtract = (extract) => {
+  if (!Array.isArray(extract)) return { error: 'extract must be a list of { name, path } or { name, header }' };
+
+  for (const rule of extract) {
+    if (!rule || typeof rule !== 'object' || typeof rule.name !== 'string' || !VARIABLE_NAME.test(rule.name)) {
+      return { error: 'extract name must be a variable name (letters, digits, _)' };
+    }
+    if ((typeof rule.path === 'string') === (typeof rule.header === 'string')) {
+      return { error: `extract ${rule.name} needs either a JSON path or a header` };
+    }
+  }
+  return { extract: extract.map(({ name, path, header }) => (path !== undefined ? { name, path } : { name, header: header.toLowerCase() })) };
+};
+
+/**
+ * Validate one step: the probe request fields plus service and extract
+ */
+const validateStep = (body) => {
+  const { probe, error } = validateProbe(body);
+  if (error) return { error };
+
+  if (typeof body.service !== 'string' || !body.service.trim()) {
+    return { error: 'service is required' };
+  }
+
+  const step = {
+    name: probe.name,
+    service: body.service.trim(),
+    method: probe.method,
+    path: probe.path,
+    url: probe.url,
+    headers: probe.headers,
+    body: probe.body,
+    expectedStatus: probe.expectedStatus,
+    bodyContains: probe.bodyContains,
+    jsonAssertions: probe.jsonAssertions,
+    timeoutMs: probe.timeoutMs
+  };
+
+  if (body.extract !== undefined && body.extract !== null) {
+    const { extract, error: extractError } = validateExtract(body.extract);
+    if (extractError) return { error: extractError };
+    step.extract = extract;
+  }
+
+  // Drop fields the client didn't send so schema defaults apply
+  return { step: Object.fromEntries(Object.entries(step).filter(([, value]) => value !== undefined)) };
+};
+
+/**
+ * Validate a synthetic check (create, or partial update)
+ *
+ * Returns: { check } with the accepted fields, or { error }
+ */
+export function validateSyntheticCheck(body, { partial = false } = {}) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'body must be an object' };
+  }
+
+  const check = {};
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || !body.name.trim() || body.name.length > 100) {
+      return { error: 'name is required (max 100 characters)' };
+    }
+    check.name = body.name.trim();
+  }
+
+  if (body.description !== undefined) {
+    if (body.description !== null && typeof body.description !== 'string') {
+      return { error: 'description must be a string' };
+    }
+    check.description = body.description;
+  }
+
+  if (body.steps !== undefined || !partial) {
+    if (!Array.isArray(body.steps) || body.steps.length === 0 || body.steps.length > MAX_STEPS) {
+      return { error: `steps must be a list of 1 to ${MAX_STEPS} steps` };
+    }
+
+    check.steps = [];
+    for (const [index, stepBody] of body.steps.entries()) {
+      const { step, error } = validateStep(stepBody);
+      if (error) return { error: `steps[${index}]: ${error}` };
+      if (check.steps.some(s => s.name === step.name)) {
+        return { error: `steps[${index}]: step names must be unique` };
+      }
+      check.steps.push(step);
+    }
+  }
+
+  if (body.variables !== undefined && body.variables !== null) {
+    if (typeof body.variables !== 'object' || Array.isArray(body.variables)
+      || !Object.entries(body.variables).every(([name, value]) => VARIABLE_NAME.test(name) && typeof value === 'string')) {
+      return { error: 'variables must be an object of strings keyed by variable name' };
+    }
+    check.variables = body.variables;
+  }
+
+  for (const [field, { min, max }] of Object.entries(NUMBER_LIMITS)) {
+    const value = body[field];
+    if (value === undefined || value === null) continue;
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return { error: `${field} must be an integer between ${min} and ${max}` };
+    }
+    check[field] = value;
+  }
+
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== 'boolean') {
+      return { error: 'enabled must be a boolean' };
+    }
+    check.enabled = body.enabled;
+  }
+
+  return { check };
+}
+
+/**
+ * Look up a template variable; env values are remembered in `secrets` (value -> placeholder)
+ */
+const lookupVariable = (name, variables, secrets) => {
+  if (name.startsWith('env.')) {
+    const envName = name.slice(4);
+    const value = envName.startsWith(ENV_PREFIX) ? process.env[envName] : undefined;
+    if (value) secrets.set(value, `{{${name}}}`);
+    return value;
+  }
+  return variables[name];
+};
+
+/**
+ * Replace {{name}} in every string of a value; unknown names are added to `missing`
+ *
+ * A string that is exactly one placeholder takes the variable's value as is.
+ */
+const render = (value, variables, missing, secrets) => {
+  if (typeof value === 'string') {
+    const whole = value.match(/^\{\{\s*([A-Za-z0-9_.]+)\s*\}\}$/);
+    if (whole) {
+      const resolved = lookupVariable(whole[1], variables, secrets);
+      if (resolved === undefined) missing.add(whole[1]);
+      return resolved;
+    }
+    return value.replace(TEMPLATE, (placeholder, name) => {
+      const resolved = lookupVariable(name, variables, secrets);
+      if (resolved === undefined) {
+        missing.add(name);
+        return placeholder;
+      }
+      return typeof resolved === 'string' ? resolved : JSON.stringify(resolved);
+    });
+  }
+  if (Array.isArray(value)) return value.map(item => render(item, variables, missing, secrets));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, render(item, variables, missing, secrets)]));
+  }
+  return value;
+};
+
+/**
+ * Put the placeholders back for env values in text that is stored or sent out (URLs, errors)
+ */
+const maskSecrets = (text, secrets) => {
+  if (typeof text !== 'string') return text;
+  let masked = text;
+  for (const [value, placeholder] of secrets) {
+    masked = masked.split(value).join(placeholder);
+    const encoded = encodeURIComponent(value);
+    if (encoded !== value) masked = masked.split(encoded).join(placeholder);
+  }
+  return masked;
+};
+
+/**
+ * Read the step's extract rules from a response
+ *
+ * Returns: { values } or { error }
+ */
+const extractVariables = (response, extract) => {
+  const values = {};
+  let json;
+
+  for (const rule of extract) {
+    let value;
+    if (rule.header) {
+      value = response.headers?.[rule.header];
+    } else {
+      if (json === undefined) {
+        try {
+          json = JSON.parse(response.body);
+        } catch {
+          return { error: `cannot extract ${rule.name}: response body is not valid JSON` };
+        }
+      }
+      value = getJsonPath(json, rule.path);
+    }
+
+    if (value === undefined || value === null) {
+      return { error: `cannot extract ${rule.name} from ${rule.header ? `header ${rule.header}` : rule.path || '(body)'}` };
+    }
+    values[rule.name] = value;
+  }
+  return { values };
+};
+
+/**
+ * Run one step with the current variables
+ *
+ * @returns {object} { result, values } - the step result for the run record and extracted variables
+ */
+const runStep = async (step, servicesByName, variables) => {
+  const service = servicesByName.get(step.service);
+  const result = {
+    name: step.name,
+    service: step.service,
+    method: step.method,
+    url: null,
+    status: 'failed',
+    statusCode: null,
+    latencyMs: null,
+    error: null
+  };
+
+  if (!service && !step.url) {
+    result.error = `service ${step.service} is not registered`;
+    return { result };
+  }
+
+  const missing = new Set();
+  const secrets = new Map();
+  const url = step.url
+    ? render(step.url, variables, missing, secrets)
+    : `${service.url.replace(/\/+$/, '')}${render(step.path, variables, missing, secrets)}`;
+  const headers = render(step.headers ? Object.fromEntries(step.headers) : {}, variables, missing, secrets);
+  const body = render(step.body, variables, missing, secrets);
+  const bodyContains = render(step.bodyContains, variables, missing, secrets);
+  const jsonAssertions = render((step.jsonAssertions || []).map(({ path, equals }) => ({ path, equals })), variables, missing, secrets);
+  // The run record, API and alert text only ever see the placeholders
+  result.url = maskSecrets(url, secrets);
+
+  if (missing.size > 0) {
+    result.error = `unknown variable ${[...missing].map(name => `{{${name}}}`).join(', ')}`;
+    return { result };
+  }
+
+  const response = await sendRequest({ method: step.method, url, headers, body, timeoutMs: step.timeoutMs });
+  result.statusCode = response.statusCode;
+  result.latencyMs = response.latencyMs;
+
+  result.error = maskSecrets(response.error || checkResponse(response, {
+    expectedStatus: step.expectedStatus,
+    bodyContains,
+    jsonAssertions
+  }), secrets);
+  if (result.error) return { result };
+
+  const { values, error } = extractVariables(response, step.extract || []);
+  if (error) {
+    result.error = maskSecrets(error, secrets);
+    return { result };
+  }
+
+  result.status = 'passed';
+  return { result, values };
+};
+
+/**
+ * Resolve synthetic_failed alerts of services no failing check points at anymore
+ */
+export async function resolveSyntheticAlerts() {
+  const failingChecks = await SyntheticCheck.find({ enabled: true, lastSuccess: false });
+  const failingServices = failingChecks
+    .filter(check => check.consecutiveFailures >= check.failureThreshold && check.lastFailedService)
+    .map(check => check.lastFailedService);
+
+  return Alert.updateMany(
+    { alertType: SYNTHETIC_ALERT, resolvedAt: null, serviceName: { $nin: failingServices } },
+    { resolvedAt: new Date() }
+  );
+}
+
+/**
+ * Alert, event and notification when a check starts or stops failing
+ */
+const recordOutcome = async (check, run, wasFailing, servicesByName) => {
+  const isFailing = check.consecutiveFailures >= check.failureThreshold;
+
+  if (isFailing) {
+    const stepIndex = check.steps.findIndex(step => step.name === run.failedStep);
+    const failedStep = run.steps[stepIndex];
+    const service = servicesByName.get(failedStep.service);
+    const message = `🧪 ${check.name} failed at step ${stepIndex + 1} "${failedStep.name}" ` +
+      `(${failedStep.method} ${failedStep.url || failedStep.service}): ${failedStep.error}`;
+
+    if (!service) {
+      logger.warn(`Synthetic check ${check.name} failing on unregistered service ${failedStep.service}`, { step: failedStep.name });
+    } else {
+      // A different failing step on the same service keeps the open alert
+      const alert = await raiseAlert(service, { alertType: SYNTHETIC_ALERT, severity: 'critical', message });
+      if (alert) {
+        await Event.create({
+          serviceId: service._id,
+          serviceName: service.name,
+          eventType: 'alert',
+          severity: 'critical',
+          message,
+          metadata: { reason: SYNTHETIC_ALERT, check: check.name, step: failedStep.name, stepIndex, error: failedStep.error }
+        });
+        await notificationService.sendAlert(service, 'critical', `${SYNTHETIC_ALERT}: ${message}`, service.currentMetrics || {});
+        logger.warn(message);
+      }
+    }
+  } else if (wasFailing) {
+    const service = servicesByName.get(check.lastFailedService);
+    if (service) {
+      await Event.create({
+        serviceId: service._id,
+        serviceName: service.name,
+        eventType: 'alert',
+        severity: 'info',
+        message: `🧪 ${check.name} passing again`,
+        metadata: { reason: SYNTHETIC_ALERT, check: check.name }
+      });
+    }
+    logger.info(`Synthetic check ${check.name} passing again`);
+  }
+
+  await resolveSyntheticAlerts();
+};
+
+/**
+ * Run a synthetic check once, store the run and update the check's state
+ *
+ * @returns {object} The stored run: { success, durationMs, failedStep, error, steps, timestamp }
+ */
+export async function runSyntheticCheck(check) {
+  const serviceNames = [...new Set(check.steps.map(step => step.service))];
+  const services = await Service.find({ name: { $in: serviceNames } });
+  const servicesByName = new Map(services.map(service => [service.name, service]));
+
+  const variables = { ...(check.variables ? Object.fromEntries(check.variables) : {}) };
+  const steps = [];
+  let failedStep = null;
+  const startTime = Date.now();
+
+  for (const step of check.steps) {
+    if (failedStep) {
+      steps.push({ name: step.name, service: step.service, method: step.method, status: 'skipped' });
+      continue;
+    }
+
+    const { result, values } = await runStep(step, servicesByName, variables);
+    steps.push(result);
+    if (result.status === 'failed') {
+      failedStep = result;
+    } else {
+      Object.assign(variables, values);
+    }
+  }
+
+  const run = await SyntheticRun.create({
+    checkId: check._id,
+    checkName: check.name,
+    success: !failedStep,
+    durationMs: Date.now() - startTime,
+    failedStep: failedStep?.name || null,
+    error: failedStep?.error || null,
+    steps,
+    timestamp: new Date()
+  });
+
+  const wasFailing = check.consecutiveFailures >= check.failureThreshold;
+  check.lastRunAt = run.timestamp;
+  check.lastSuccess = run.success;
+  check.lastDurationMs = run.durationMs;
+  check.consecutiveFailures = run.success ? 0 : check.consecutiveFailures + 1;
+  check.lastError = run.error;
+  check.lastFailedStep = run.failedStep;
+  // Kept after recovery so the "passing again" event lands on the same service
+  if (failedStep) check.lastFailedService = failedStep.service;
+  await check.save();
+
+  await recordOutcome(check, run, wasFailing, servicesByName);
+
+  return run;
+}
+
+/**
+ * Success rate and average duration per check since a point in time
+ *
+ * Returns: Map of checkId -> { runs, successRate, avgDurationMs }
+ */
+export async function getRunStats(since) {
+  const stats = await SyntheticRun.aggregate([
+    { $match: { timestamp: { $gte: since } } },
+    {
+      $group: {
+        _id: '$checkId',
+        runs: { $sum: 1 },
+        successes: { $sum: { $cond: ['$success', 1, 0] } },
+        avgDurationMs: { $avg: '$durationMs' }
+      }
+    }
+  ]);
+
+  return new Map(stats.map(s => [String(s._id), {
+    runs: s.runs,
+    successRate: Math.round((s.successes / s.runs) * 10000) / 100,
+    avgDurationMs: Math.round(s.avgDurationMs)
+  }]));
+}
+
+export const formatStep = (step) => ({
+  name: step.name,
+  service: step.service,
+  method: step.method,
+  path: step.path,
+  url: step.url,
+  headers: step.headers ? Object.fromEntries(step.headers) : undefined,
+  body: step.body,
+  expectedStatus: step.expectedStatus,
+  bodyContains: step.bodyContains,
+  jsonAssertions: step.jsonAssertions,
+  extract: step.extract,
+  timeoutMs: step.timeoutMs
+});
+
+export const formatCheck = (check) => ({
+  id: check._id,
+  name: check.name,
+  description: check.description,
+  steps: check.steps.map(formatStep),
+  variables: check.variables ? Object.fromEntries(check.variables) : undefined,
+  intervalSeconds: check.intervalSeconds,
+  failureThreshold: check.failureThreshold,
+  enabled: check.enabled,
+  createdBy: check.createdBy,
+  lastRunAt: check.lastRunAt,
+  lastSuccess: check.lastSuccess,
+  lastDurationMs: check.lastDurationMs,
+  lastFailedStep: check.lastFailedStep,
+  lastError: check.lastError,
+  consecutiveFailures: check.consecutiveFailures,
+  updatedAt: check.updatedAt
+});
+
+export const formatRun = (run) => ({
+  id: run._id,
+  success: run.success,
+  durationMs: run.durationMs,
+  failedStep: run.failedStep,
+  error: run.error,
+  steps: run.steps,
+  timestamp: run.timestamp
+});
@@ -0,0 +1,108 @@
+/**
+ * Anomaly Window Persistence
+ *
+ * Snapshots the in-memory WindowStats of every service to MongoDB so a
+ * backend restart doesn't throw away learned baselines:
+ * - Periodic snapshots plus a final one on shutdown
+ * - Rehydration on startup, before ingestion begins
+ * - Snapshots older than WINDOW_SNAPSHOT_MAX_AGE are discarded
+ */
+
+import WindowSnapshot from '../models/WindowSnapshot.js';
+import { WindowStats } from '../utils/anomalyDetector.js';
+import { serviceWindows } from './ingestionService.js';
+import logger from '../utils/logger.js';
+
+const config = {
+  intervalSeconds: parseInt(process.env.WINDOW_SNAPSHOT_INTERVAL) || 30,
+  maxAgeSeconds: parseInt(process.env.WINDOW_SNAPSHOT_MAX_AGE) || 600,
+};
+
+let snapshotTimer = null;
+
+/**
+ * Save the current windows of every service
+ */
+export async function snapshotWindows() {
+  const savedAt = new Date();
+  const operations = Object.entries(serviceWindows).map(([serviceName, windows]) => {
+    const snapshot = {};
+    for (const [metric, window] of Object.entries(windows)) {
+      if (window instanceof WindowStats) {
+        snapshot[metric] = window.toSnapshot();
+      }
+    }
+
+    return {
+      updateOne: {
+        filter: { serviceName },
+        update: { $set: { windows: snapshot, startTime: new Date(windows.startTime), savedAt } },
+        upsert: true
+      }
+    };
+  });
+
+  if (operations.length === 0) return 0;
+
+  await WindowSnapshot.bulkWrite(operations, { ordered: false });
+  logger.debug(`Snapshotted anomaly windows for ${operations.length} services`);
+  return operations.length;
+}
+
+/**
+ * Restore windows saved by a previous backend process
+ *
+ * Must run before ingestion starts so fresh windows aren't overwritten.
+ */
+export async function restoreWindows() {
+  const cutoff = new Date(Date.now() - config.maxAgeSeconds * 1000);
+
+  // Stale windows describe a service that may have changed since - relearn instead
+  const { deletedCount } = await WindowSnapshot.deleteMany({ savedAt: { $lt: cutoff } });
+  if (deletedCount > 0) {
+    logger.info(`Discarded ${deletedCount} anomaly window snapshots older than ${config.maxAgeSeconds}s`);
+  }
+
+  const snapshots = await WindowSnapshot.find({ savedAt: { $gte: cutoff } });
+  let restored = 0;
+
+  for (const snapshot of snapshots) {
+    try {
+      const windows = { startTime: snapshot.startTime ? snapshot.startTime.getTime() : Date.now() };
+      for (const [metric, data] of Object.entries(snapshot.windows || {})) {
+        windows[metric] = WindowStats.fromSnapshot(data);
+      }
+      serviceWindows[snapshot.serviceName] = windows;
+      restored++;
+    } catch (error) {
+      logger.error(`Failed to restore anomaly windows for ${snapshot.serviceName}`, { error: error.message });
+    }
+  }
+
+  logger.info(`Restored anomaly windows for ${restored} services`);
+  return restored;
+}
+
+/**
+ * Start periodic snapshots
+ */
+export function startWindowSnapshots() {
+  if (snapshotTimer) return;
+
+  snapshotTimer = setInterval(() => {
+    snapshotWindows().catch(error => logger.error('Failed to snapshot anomaly windows', { error: error.message }));
+  }, config.intervalSeconds * 1000);
+
+  logger.info(`Snapshotting anomaly windows every ${config.intervalSeconds}s`);
+}
+
+/**
+ * Stop periodic snapshots and take a final one
+ */
+export async function stopWindowSnapshots() {
+  if (snapshotTimer) {
+    clearInterval(snapshotTimer);
+    snapshotTimer = null;
+  }
+  await snapshotWindows();
+}
@@ -5,12 +5,20 @@
  * - Warm-up period (learning phase)
  * - Adaptive baselines (learns YOUR environment)
  * - Statistical significance (3σ thresholds)
+ * - Robust thresholds (median/MAD or IQR) selectable per service and metric
+ * - Two-sided detection (spikes and drops) with a direction policy per metric
+ * - Per-service overrides (see AnomalyConfig) on top of the environment defaults
+ * - Absolute SLO objectives on window statistics (e.g. p95 latency < 500ms)
+ * - Change-point detection (CUSUM) for sustained baseline shifts
  * - Hysteresis (prevents flapping)
  * - Configurable sensitivity
  * 
  * Based on practices from DataDog, New Relic, Prometheus
  */
 
+import { CusumDetector, changePointConfig } from './changePoint.js';
+import logger from './logger.js';
+
 // Load configuration from environment
 const config = {
   warmupSamples: parseInt(process.env.ANOMALY_WARMUP_SAMPLES) || 50,
@@ -19,26 +27,283 @@ const config = {
   minConsecutive: parseInt(process.env.ANOMALY_MIN_CONSECUTIVE) || 3,
   trendThreshold: parseFloat(process.env.ANOMALY_TREND_THRESHOLD) || 25,
   heartbeatTimeout: parseInt(process.env.ANOMALY_HEARTBEAT_TIMEOUT) || 60,
+  windowSize: parseInt(process.env.ANOMALY_WINDOW_SIZE) || 60,
+  seasonalSigma: parseFloat(process.env.ANOMALY_SEASONAL_SIGMA) || 3,
+  mode: process.env.ANOMALY_MODE || 'stddev',
+  // Absolute limits (latency ms, error rate %, memory MB), unset = no limit
+  hardLimits: {
+    latency: parseFloat(process.env.ANOMALY_HARD_LIMIT_LATENCY) || undefined,
+    errorRate: parseFloat(process.env.ANOMALY_HARD_LIMIT_ERROR_RATE) || 50,
+    memoryUsage: parseFloat(process.env.ANOMALY_HARD_LIMIT_MEMORY) || undefined,
+  },
+  // SLO objectives applied to services without their own (ANOMALY_SLOS, JSON array)
+  slos: [],
+};
+
+/**
+ * Threshold modes: how the center and spread of a window are measured
+ * - stddev: mean ± k·σ (sensitive to outliers in the window)
+ * - mad: median ± k·(1.4826 × median absolute deviation)
+ * - iqr: median ± k·(IQR / 1.349)
+ *
+ * The robust spreads are scaled to match σ for normally distributed data,
+ * so the same warning/critical multipliers work in every mode.
+ */
+const THRESHOLD_MODES = ['stddev', 'mad', 'iqr'];
+const MAD_SCALE = 1.4826;
+const IQR_SCALE = 1.349;
+
+// Smallest spread a window may report: 5% of its center, at least 1 unit.
+// Steady series (request count saturated at 60/min) otherwise get σ ≈ 0 and alert on a 3% dip.
+const MIN_SPREAD_RATIO = 0.05;
+const MIN_SPREAD = 1;
+
+/**
+ * Metrics evaluated for every service
+ * - key: field in the sample and in the windows object
+ * - name: prefix of reason codes and env overrides
+ * - direction: which side of the baseline is bad (upper, lower or both)
+ * - optional: not sent by every client; skipped while missing or warming up,
+ *   and never holds the service in learning
+ */
+const METRIC_DEFINITIONS = [
+  { key: 'latency', name: 'latency', direction: 'upper' },
+  // Tail latency from the agent's sketch; optional because older agents and OTLP don't send it
+  { key: 'latencyP95', name: 'latency_p95', direction: 'upper', optional: true },
+  { key: 'errorRate', name: 'error_rate', direction: 'upper' },
+  // A collapse in traffic usually means the load balancer stopped routing here
+  { key: 'requestCount', name: 'request_count', direction: 'both' },
+];
+
+const REQUIRED_METRICS = METRIC_DEFINITIONS.filter(({ optional }) => !optional);
+
+const DIRECTIONS = ['upper', 'lower', 'both'];
+
+const parseDirection = (value, source) => {
+  if (!value) return undefined;
+  if (DIRECTIONS.includes(value)) return value;
+  console.warn(`⚠️ Ignoring unknown anomaly direction "${value}" from ${source} (expected ${DIRECTIONS.join(', ')})`);
+  return undefined;
+};
+
+const parseMode = (value, source) => {
+  if (!value) return undefined;
+  if (THRESHOLD_MODES.includes(value)) return value;
+  console.warn(`⚠️ Ignoring unknown anomaly mode "${value}" from ${source} (expected ${THRESHOLD_MODES.join(', ')})`);
+  return undefined;
+};
+
+config.mode = parseMode(config.mode, 'ANOMALY_MODE') || 'stddev';
+
+/**
+ * SLO objectives: an absolute bound on a window statistic of one metric
+ *
+ * { metric: 'latency', statistic: 'p95', max: 500, severity: 'critical' }
+ * { metric: 'requestCount', statistic: 'mean', min: 5 }
+ *
+ * Unlike σ-thresholds they don't move with the baseline, so a service that
+ * has been slow since startup can't learn its way into "healthy".
+ */
+const SLO_STATISTICS = ['mean', 'median', 'p95', 'p99'];
+const SLO_SEVERITIES = ['warning', 'critical'];
+const SLO_MIN_SAMPLES = 10;
+
+/**
+ * Validate and normalize one SLO objective
+ *
+ * Returns: { slo } on success or { error }
+ */
+export function parseSlo(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: 'SLO must be an object' };
+  }
+  const definition = METRIC_DEFINITIONS.find(m => m.key === raw.metric);
+  if (!definition) {
+    return { error: `SLO metric must be one of ${METRIC_DEFINITIONS.map(m => m.key).join(', ')}` };
+  }
+  const statistic = raw.statistic || 'p95';
+  if (!SLO_STATISTICS.includes(statistic)) {
+    return { error: `SLO statistic must be one of ${SLO_STATISTICS.join(', ')}` };
+  }
+  const isBound = (value) => value === undefined || value === null || (typeof value === 'number' && isFinite(value));
+  if (!isBound(raw.max) || !isBound(raw.min) || (raw.max == null && raw.min == null)) {
+    return { error: 'SLO needs a numeric max and/or min' };
+  }
+  const severity = raw.severity || 'warning';
+  if (!SLO_SEVERITIES.includes(severity)) {
+    return { error: `SLO severity must be one of ${SLO_SEVERITIES.join(', ')}` };
+  }
+
+  return {
+    slo: definedOnly({ metric: raw.metric, statistic, max: raw.max, min: raw.min, severity })
+  };
+}
+
+const parseDefaultSlos = (raw) => {
+  if (!raw) return [];
+  try {
+    const parsed = JSON.parse(raw);
+    if (!Array.isArray(parsed)) throw new Error('expected a JSON array');
+    return parsed.flatMap((entry, index) => {
+      const { slo, error } = parseSlo(entry);
+      if (error) console.warn(`⚠️ Ignoring ANOMALY_SLOS[${index}]: ${error}`);
+      return slo ? [slo] : [];
+    });
+  } catch (error) {
+    console.warn(`⚠️ Ignoring invalid ANOMALY_SLOS: ${error.message}`);
+    return [];
+  }
 };
 
-console.log('🔧 Anomaly Detection Config:', {
-  warmupSamples: config.warmupSamples,
-  warningSigma: config.warningSigma,
-  criticalSigma: config.criticalSigma,
-  minConsecutive: config.minConsecutive,
+const pickThresholds = (source = {}, label) => ({
+  mode: parseMode(source.mode, label),
+  direction: parseDirection(source.direction, label),
+  warningSigma: parseFloat(source.warningSigma) || undefined,
+  criticalSigma: parseFloat(source.criticalSigma) || undefined,
 });
 
+const definedOnly = (obj) => Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined && v !== null));
+
+/**
+ * Per-metric overrides from the environment, e.g.
+ * ANOMALY_MODE_LATENCY=mad, ANOMALY_WARNING_SIGMA_ERROR_RATE=3,
+ * ANOMALY_DIRECTION_REQUEST_COUNT=lower
+ */
+const metricOverrides = Object.fromEntries(METRIC_DEFINITIONS.map(({ name: metricName, direction }) => {
+  const suffix = metricName.toUpperCase();
+  return [metricName, definedOnly(pickThresholds({
+    direction: process.env[`ANOMALY_DIRECTION_${suffix}`] || direction,
+    mode: process.env[`ANOMALY_MODE_${suffix}`],
+    warningSigma: process.env[`ANOMALY_WARNING_SIGMA_${suffix}`],
+    criticalSigma: process.env[`ANOMALY_CRITICAL_SIGMA_${suffix}`],
+  }, `ANOMALY_MODE_${suffix}`))];
+}));
+
+/**
+ * Per-service overrides from ANOMALY_SERVICE_OVERRIDES (JSON), e.g.
+ * {"auth-service": {"mode": "mad", "latency": {"criticalSigma": 5}}}
+ *
+ * Returns: { serviceName: { service, metrics: { metricName } } }
+ */
+const parseServiceOverrides = (raw) => {
+  if (!raw) return {};
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    console.warn(`⚠️ Ignoring invalid ANOMALY_SERVICE_OVERRIDES: ${error.message}`);
+    return {};
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return {};
+
+  return Object.fromEntries(Object.entries(parsed).map(([serviceName, overrides]) => {
+    const label = `ANOMALY_SERVICE_OVERRIDES.${serviceName}`;
+    const metrics = Object.fromEntries(Object.keys(metricOverrides).map(metricName => [
+      metricName,
+      definedOnly(pickThresholds(overrides?.[metricName], `${label}.${metricName}`)),
+    ]));
+    return [serviceName, { service: definedOnly(pickThresholds(overrides, label)), metrics }];
+  }));
+};
+
+const serviceOverrides = parseServiceOverrides(process.env.ANOMALY_SERVICE_OVERRIDES);
+
+config.slos = parseDefaultSlos(process.env.ANOMALY_SLOS);
+
+// Settings a stored AnomalyConfig may override
+const SERVICE_TUNABLES = ['warmupSamples', 'windowSize', 'warningSigma', 'criticalSigma', 'minConsecutive', 'trendThreshold', 'heartbeatTimeout', 'mode'];
+
+/**
+ * Effective settings for one service
+ *
+ * @param {object} overrides - Stored per-service overrides (AnomalyConfig)
+ */
+export function resolveServiceConfig(overrides = {}) {
+  return {
+    ...config,
+    ...definedOnly(Object.fromEntries(SERVICE_TUNABLES.map(field => [field, overrides[field]]))),
+    hardLimits: { ...config.hardLimits, ...definedOnly(overrides.hardLimits || {}) },
+    slos: overrides.slos ?? config.slos,
+  };
+}
+
+/**
+ * Resolve threshold settings for one metric of one service
+ *
+ * Precedence: stored overrides > service+metric env > service env > metric env > global env.
+ * Sigma thresholds are then multiplied by the feedback scale of the metric (sigmaScale).
+ *
+ * Returns: { mode, direction, warningSigma, criticalSigma, minConsecutive, trendThreshold }
+ */
+export function resolveThresholds(serviceName, metricName, overrides = {}) {
+  const service = serviceOverrides[serviceName];
+  const thresholds = {
+    mode: config.mode,
+    direction: 'upper',
+    warningSigma: config.warningSigma,
+    criticalSigma: config.criticalSigma,
+    ...metricOverrides[metricName],
+    ...service?.service,
+    ...service?.metrics[metricName],
+    ...definedOnly({
+      mode: overrides.mode,
+      warningSigma: overrides.warningSigma,
+      criticalSigma: overrides.criticalSigma,
+    }),
+    minConsecutive: overrides.minConsecutive ?? config.minConsecutive,
+    trendThreshold: overrides.trendThreshold ?? config.trendThreshold,
+  };
+
+  const scale = overrides.sigmaScale?.[metricName] ?? 1;
+  thresholds.warningSigma *= scale;
+  thresholds.criticalSigma *= scale;
+  return thresholds;
+}
+
+// Reason suffixes produced by the sigma thresholds (the ones sigmaScale widens)
+const SIGMA_REASON_SUFFIXES = ['extremely_high', 'elevated', 'dropped', 'below_baseline'];
+
+/**
+ * Metric whose sigma thresholds produced a reason code
+ *
+ * Returns: metric name (e.g. 'error_rate' for 'error_rate_elevated'), or null for
+ * reasons that widening can't affect (hard limits, SLOs, trends, heartbeats)
+ */
+export function metricForReason(reason) {
+  const metric = METRIC_DEFINITIONS.find(({ name }) =>
+    SIGMA_REASON_SUFFIXES.some(suffix => reason === `${name}_${suffix}`)
+  );
+  return metric ? metric.name : null;
+}
+
+/**
+ * Linearly interpolated quantile of a sorted array
+ */
+const quantile = (sorted, q) => {
+  if (sorted.length === 0) return 0;
+  const pos = (sorted.length - 1) * q;
+  const lower = Math.floor(pos);
+  const upper = Math.ceil(pos);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (pos - lower);
+};
+
 /**
  * Adaptive Window Statistics with Warm-up Period
  * 
  * Collects samples and builds adaptive baseline
  */
 class WindowStats {
-  constructor(maxSize = 100) {
+  constructor(maxSize = 100, warmupSamples = config.warmupSamples) {
     this.maxSize = maxSize;
+    this.warmupSamples = warmupSamples;
     this.values = [];
     this.consecutiveBreaches = 0;
+    this.lowerBreaches = 0;
+    this.seasonalBreaches = 0;
     this.isWarmedUp = false;
+
+    // Sustained shift detection, armed once the window is warmed up
+    this.changePoint = new CusumDetector();
     
     // Adaptive baseline (exponential moving average)
     this.ema = null;
@@ -51,6 +316,9 @@ class WindowStats {
     this.max = -Infinity;
     this.p95 = 0;
     this.p99 = 0;
+    this.median = 0;
+    this.mad = 0;
+    this.iqr = 0;
   }
 
   /**
@@ -72,15 +340,34 @@ class WindowStats {
     }
 
     // Check if warmed up
-    if (!this.isWarmedUp && this.values.length >= config.warmupSamples) {
+    if (!this.isWarmedUp && this.values.length >= this.warmupSamples) {
       this.isWarmedUp = true;
-      console.log(`✅ Warm-up complete: ${this.values.length} samples collected`);
+      logger.debug(`Warm-up complete: ${this.values.length} samples collected`);
     }
 
     // Recalculate statistics
     this.updateStats();
   }
 
+  /**
+   * Apply a new window size / warm-up length without losing learned state
+   *
+   * A window that already finished warming up stays warmed up.
+   */
+  configure({ maxSize = this.maxSize, warmupSamples = this.warmupSamples } = {}) {
+    if (maxSize === this.maxSize && warmupSamples === this.warmupSamples) return;
+
+    this.maxSize = maxSize;
+    this.warmupSamples = warmupSamples;
+    if (this.values.length > maxSize) {
+      this.values = this.values.slice(-maxSize);
+      this.updateStats();
+    }
+    if (!this.isWarmedUp && this.values.length >= warmupSamples) {
+      this.isWarmedUp = true;
+    }
+  }
+
   /**
    * Update statistical measures
    */
@@ -103,6 +390,35 @@ class WindowStats {
     const sorted = [...this.values].sort((a, b) => a - b);
     this.p95 = sorted[Math.floor(sorted.length * 0.95)] || 0;
     this.p99 = sorted[Math.floor(sorted.length * 0.99)] || 0;
+
+    // Robust statistics
+    this.median = quantile(sorted, 0.5);
+    const deviations = this.values.map(v => Math.abs(v - this.median)).sort((a, b) => a - b);
+    this.mad = quantile(deviations, 0.5);
+    this.iqr = quantile(sorted, 0.75) - quantile(sorted, 0.25);
+  }
+
+  /**
+   * Center and σ-equivalent spread of the window for a threshold mode
+   *
+   * When more than half of the window holds the same value (e.g. an error
+   * rate that is almost always 0) the robust spread collapses to zero and
+   * every deviation would breach, so σ is used instead. Every mode's spread
+   * is floored (see MIN_SPREAD_RATIO), as the change-point detector does.
+   */
+  getBaseline(mode = 'stddev') {
+    let center = this.mean;
+    let spread = this.stdDev;
+    if (mode === 'mad' && this.mad > 0) {
+      center = this.median;
+      spread = MAD_SCALE * this.mad;
+    } else if (mode === 'iqr' && this.iqr > 0) {
+      center = this.median;
+      spread = this.iqr / IQR_SCALE;
+    } else if (mode !== 'stddev') {
+      center = this.median;
+    }
+    return { center, spread: Math.max(spread, Math.abs(center) * MIN_SPREAD_RATIO, MIN_SPREAD) };
   }
 
   /**
@@ -127,6 +443,39 @@ class WindowStats {
     return slope || 0;
   }
 
+  /**
+   * Serialize learned state for persistence
+   */
+  toSnapshot() {
+    return {
+      maxSize: this.maxSize,
+      warmupSamples: this.warmupSamples,
+      values: [...this.values],
+      ema: this.ema,
+      consecutiveBreaches: this.consecutiveBreaches,
+      lowerBreaches: this.lowerBreaches,
+      seasonalBreaches: this.seasonalBreaches,
+      isWarmedUp: this.isWarmedUp,
+      changePoint: this.changePoint.toSnapshot(),
+    };
+  }
+
+  /**
+   * Rebuild a window from a snapshot created by toSnapshot()
+   */
+  static fromSnapshot(snapshot) {
+    const window = new WindowStats(snapshot.maxSize, snapshot.warmupSamples || config.warmupSamples);
+    window.values = (snapshot.values || []).filter(v => typeof v === 'number' && !isNaN(v)).slice(-window.maxSize);
+    window.ema = typeof snapshot.ema === 'number' ? snapshot.ema : null;
+    window.consecutiveBreaches = snapshot.consecutiveBreaches || 0;
+    window.lowerBreaches = snapshot.lowerBreaches || 0;
+    window.seasonalBreaches = snapshot.seasonalBreaches || 0;
+    window.isWarmedUp = Boolean(snapshot.isWarmedUp);
+    window.changePoint = CusumDetector.fromSnapshot(snapshot.changePoint);
+    window.updateStats();
+    return window;
+  }
+
   /**
    * Get current statistics
    */
@@ -139,6 +488,9 @@ class WindowStats {
       max: this.max === -Infinity ? 0 : this.max.toFixed(2),
       p95: this.p95.toFixed(2),
       p99: this.p99.toFixed(2),
+      median: this.median.toFixed(2),
+      mad: this.mad.toFixed(2),
+      iqr: this.iqr.toFixed(2),
       slope: this.getSlope().toFixed(4),
       samples: this.values.length,
       warmedUp: this.isWarmedUp,
@@ -146,161 +498,345 @@ class WindowStats {
   }
 }
 
+const SPREAD_LABELS = { stddev: 'σ', mad: '·MAD', iqr: '·IQR' };
+
+// Checked in order, error rate first: it is the most important metric
+const HARD_LIMITS = [
+  { key: 'errorRate', reason: 'high_error_rate', details: (value) => `${value.toFixed(1)}% errors - service failing` },
+  { key: 'latency', reason: 'high_latency', details: (value, limit) => `${value.toFixed(0)}ms > hard limit ${limit}ms` },
+  { key: 'memoryUsage', reason: 'memory_hard_limit', details: (value, limit) => `${value.toFixed(0)}MB > hard limit ${limit}MB` },
+];
+
 /**
  * Detect anomaly for a single metric
  * 
- * Returns: { status: 'normal'|'warning'|'critical', reason: string }
+ * Returns: { status: 'normal'|'warning'|'critical', reason: string, direction }
  */
-function detectMetricAnomaly(currentValue, window, metricName) {
+function detectMetricAnomaly(currentValue, window, metricName, thresholds = resolveThresholds(null, metricName)) {
   // Still warming up - don't alert
   if (!window.isWarmedUp) {
     return { status: 'learning', reason: `collecting_baseline_${metricName}` };
   }
 
   // Calculate thresholds based on adaptive baseline
-  const warningThreshold = window.mean + config.warningSigma * window.stdDev;
-  const criticalThreshold = window.mean + config.criticalSigma * window.stdDev;
+  const { mode, direction, warningSigma, criticalSigma, minConsecutive, trendThreshold } = thresholds;
+  const { center, spread } = window.getBaseline(mode);
+  const unit = SPREAD_LABELS[mode];
+  const checkUpper = direction !== 'lower';
+  const checkLower = direction !== 'upper';
+
+  const warningThreshold = center + warningSigma * spread;
+  const criticalThreshold = center + criticalSigma * spread;
+  const lowerWarningThreshold = center - warningSigma * spread;
+  const lowerCriticalThreshold = center - criticalSigma * spread;
 
   // Check for breach
-  const isCriticalBreach = currentValue > criticalThreshold;
-  const isWarningBreach = currentValue > warningThreshold;
-
-  // Hysteresis: require consecutive breaches
-  if (isCriticalBreach || isWarningBreach) {
-    window.consecutiveBreaches++;
-  } else {
-    window.consecutiveBreaches = 0;
-  }
+  const isCriticalBreach = checkUpper && currentValue > criticalThreshold;
+  const isWarningBreach = checkUpper && currentValue > warningThreshold;
+  const isCriticalDrop = checkLower && currentValue < lowerCriticalThreshold;
+  const isWarningDrop = checkLower && currentValue < lowerWarningThreshold;
+
+  // Hysteresis: require consecutive breaches (tracked per side)
+  window.consecutiveBreaches = isWarningBreach ? window.consecutiveBreaches + 1 : 0;
+  window.lowerBreaches = isWarningDrop ? window.lowerBreaches + 1 : 0;
 
   // Only trigger if consecutive breaches meet threshold
-  if (window.consecutiveBreaches >= config.minConsecutive) {
+  if (window.consecutiveBreaches >= minConsecutive) {
     if (isCriticalBreach) {
       return {
         status: 'critical',
         reason: `${metricName}_extremely_high`,
-        details: `${currentValue.toFixed(2)} > ${criticalThreshold.toFixed(2)} (${config.criticalSigma}σ)`,
+        details: `${currentValue.toFixed(2)} > ${criticalThreshold.toFixed(2)} (${criticalSigma}${unit})`,
+        direction: 'upper',
+      };
+    }
+    return {
+      status: 'warning',
+      reason: `${metricName}_elevated`,
+      details: `${currentValue.toFixed(2)} > ${warningThreshold.toFixed(2)} (${warningSigma}${unit})`,
+      direction: 'upper',
+    };
+  }
+
+  if (window.lowerBreaches >= minConsecutive) {
+    if (isCriticalDrop) {
+      return {
+        status: 'critical',
+        reason: `${metricName}_dropped`,
+        details: `${currentValue.toFixed(2)} < ${lowerCriticalThreshold.toFixed(2)} (-${criticalSigma}${unit})`,
+        direction: 'lower',
       };
     }
-    if (isWarningBreach) {
+    return {
+      status: 'warning',
+      reason: `${metricName}_below_baseline`,
+      details: `${currentValue.toFixed(2)} < ${lowerWarningThreshold.toFixed(2)} (-${warningSigma}${unit})`,
+      direction: 'lower',
+    };
+  }
+
+  // Check for rising trend
+  if (checkUpper) {
+    const slope = window.getSlope();
+    const trendPercent = (slope / window.mean) * 100;
+
+    if (trendPercent > trendThreshold) {
       return {
         status: 'warning',
-        reason: `${metricName}_elevated`,
-        details: `${currentValue.toFixed(2)} > ${warningThreshold.toFixed(2)} (${config.warningSigma}σ)`,
+        reason: `${metricName}_rising_trend`,
+        details: `+${trendPercent.toFixed(1)}% increase detected`,
+        direction: 'upper',
       };
     }
   }
 
-  // Check for rising trend
-  const slope = window.getSlope();
-  const trendPercent = (slope / window.mean) * 100;
-  
-  if (trendPercent > config.trendThreshold) {
+  return { status: 'normal', reason: 'within_baseline' };
+}
+
+/**
+ * Check SLO objectives against the current window statistics
+ *
+ * Returns one anomaly per breached objective
+ */
+function evaluateSlos(slos, windows) {
+  const breaches = [];
+
+  for (const slo of slos) {
+    const window = windows[slo.metric];
+    if (!window || window.values.length < Math.min(SLO_MIN_SAMPLES, window.maxSize)) continue;
+
+    const { name } = METRIC_DEFINITIONS.find(m => m.key === slo.metric);
+    const value = window[slo.statistic];
+
+    if (slo.max !== undefined && value > slo.max) {
+      breaches.push({
+        status: slo.severity,
+        reason: `slo_${name}_${slo.statistic}_breached`,
+        details: `${slo.statistic} ${value.toFixed(2)} > SLO ${slo.max}`,
+        direction: 'upper',
+      });
+    } else if (slo.min !== undefined && value < slo.min) {
+      breaches.push({
+        status: slo.severity,
+        reason: `slo_${name}_${slo.statistic}_breached`,
+        details: `${slo.statistic} ${value.toFixed(2)} < SLO ${slo.min}`,
+        direction: 'lower',
+      });
+    }
+  }
+
+  return breaches;
+}
+
+/**
+ * Feed each metric's change-point detector
+ *
+ * A newly warmed-up window arms its detector with the learned baseline.
+ * Runs after the σ checks: while they alert on a metric (breach counters at
+ * minConsecutive) its detector is reset instead of fed, so an incident is
+ * neither confirmed as a shift nor adopted as the new reference.
+ *
+ * Returns: [{ metric, reason, direction, before, after, changedAt, samples, adverse }]
+ */
+function detectShifts(metrics, windows, serviceName, overrides, timestamp) {
+  if (!changePointConfig.enabled) return [];
+
+  const shifts = [];
+  for (const { key, name } of METRIC_DEFINITIONS) {
+    const window = windows[key];
+    if (!window?.isWarmedUp) continue;
+
+    const { mode, direction, minConsecutive } = resolveThresholds(serviceName, name, overrides);
+    if (!window.changePoint.isArmed) {
+      const { center, spread } = window.getBaseline(mode);
+      window.changePoint.arm(center, spread);
+      continue;
+    }
+
+    if (window.consecutiveBreaches >= minConsecutive || window.lowerBreaches >= minConsecutive) {
+      window.changePoint.reset();
+      continue;
+    }
+
+    const shift = window.changePoint.update(metrics[key], timestamp);
+    if (shift) {
+      shifts.push({
+        metric: key,
+        reason: `${name}_baseline_shift`,
+        ...shift,
+        // Whether the shift goes the way this metric's direction policy cares about
+        adverse: direction === 'both' || direction === shift.direction,
+      });
+    }
+  }
+  return shifts;
+}
+
+/**
+ * Put a short-window verdict into seasonal context
+ *
+ * The rolling window only knows the last few minutes. The seasonal
+ * expectation knows what this hour usually looks like:
+ * - A warning that is normal for this hour (nightly batch, overnight lull) → suppressed;
+ *   critical verdicts never are
+ * - Normal now but above what this hour usually sees (slow daily ramp) → warning
+ */
+function applySeasonalContext(anomaly, currentValue, window, expectation, metricName, { direction, minConsecutive }) {
+  if (!expectation || anomaly.status === 'learning') return anomaly;
+
+  // Floor the spread so zero-variance buckets (e.g. an error rate that was always 0) don't alert on noise
+  const spread = Math.max(expectation.spread, Math.abs(expectation.median) * MIN_SPREAD_RATIO, MIN_SPREAD);
+  const seasonalThreshold = expectation.median + config.seasonalSigma * spread;
+  const seasonalLowerThreshold = expectation.median - config.seasonalSigma * spread;
+  const isSeasonalBreach = currentValue > seasonalThreshold;
+
+  window.seasonalBreaches = isSeasonalBreach && direction !== 'lower' ? window.seasonalBreaches + 1 : 0;
+
+  // Only warnings are suppressed: a critical deviation is acted on whatever this hour usually sees
+  if (anomaly.status === 'warning') {
+    const isSeasonallyExpected = anomaly.direction === 'lower'
+      ? currentValue >= seasonalLowerThreshold
+      : !isSeasonalBreach;
+
+    if (isSeasonallyExpected) {
+      const bound = anomaly.direction === 'lower'
+        ? `≥ ${seasonalLowerThreshold.toFixed(2)}`
+        : `≤ ${seasonalThreshold.toFixed(2)}`;
+      return {
+        status: 'normal',
+        reason: `${metricName}_seasonally_expected`,
+        details: `${currentValue.toFixed(2)} ${bound} (seasonal ${config.seasonalSigma}σ)`,
+        suppressed: anomaly.reason,
+      };
+    }
+  }
+
+  if (anomaly.status === 'normal' && window.seasonalBreaches >= minConsecutive) {
     return {
       status: 'warning',
-      reason: `${metricName}_rising_trend`,
-      details: `+${trendPercent.toFixed(1)}% increase detected`,
+      reason: `${metricName}_above_seasonal`,
+      details: `${currentValue.toFixed(2)} > ${seasonalThreshold.toFixed(2)} (usually ${expectation.median.toFixed(2)} at this time)`,
+      direction: 'upper',
     };
   }
 
-  return { status: 'normal', reason: 'within_baseline' };
+  return anomaly;
 }
 
 /**
  * Evaluate overall service health
  * 
  * Combines multiple metrics with intelligent logic
+ *
+ * @param {object} metrics - Current sample
+ * @param {object} windows - WindowStats per metric
+ * @param {object} options
+ * @param {object} options.seasonal - Seasonal expectation for the sample's time (optional)
+ * @param {string} options.serviceName - Used to resolve per-service threshold overrides
+ * @param {object} options.overrides - Stored per-service overrides (AnomalyConfig)
+ * @param {Date} options.timestamp - Sample time, used to date baseline shifts
  */
-export function evaluateService(metrics, windows) {
-  const { latency, errorRate, requestCount } = metrics;
-
+export function evaluateService(metrics, windows, options = {}) {
   // Push current values to windows
-  windows.latency.push(latency);
-  windows.errorRate.push(errorRate);
-  windows.requestCount.push(requestCount);
+  for (const { key } of METRIC_DEFINITIONS) {
+    windows[key]?.push(metrics[key]);
+  }
 
-  // Check if any window is still warming up
-  const anyWarming = !windows.latency.isWarmedUp || 
-                     !windows.errorRate.isWarmedUp || 
-                     !windows.requestCount.isWarmedUp;
+  // Check if any required window is still warming up
+  const anyWarming = REQUIRED_METRICS.some(({ key }) => !windows[key].isWarmedUp);
 
   if (anyWarming) {
-    const samplesCollected = Math.min(
-      windows.latency.values.length,
-      windows.errorRate.values.length,
-      windows.requestCount.values.length
-    );
+    const samplesCollected = Math.min(...REQUIRED_METRICS.map(({ key }) => windows[key].values.length));
     return {
       status: 'learning',
       reason: 'collecting_baseline',
-      details: `${samplesCollected}/${config.warmupSamples} samples`,
+      details: `${samplesCollected}/${Math.max(...REQUIRED_METRICS.map(({ key }) => windows[key].warmupSamples))} samples`,
     };
   }
 
   // Detect anomalies for each metric
-  const latencyAnomaly = detectMetricAnomaly(latency, windows.latency, 'latency');
-  const errorAnomaly = detectMetricAnomaly(errorRate, windows.errorRate, 'error_rate');
-  const requestAnomaly = detectMetricAnomaly(requestCount, windows.requestCount, 'request_count');
+  const { seasonal, serviceName = null, overrides = {}, timestamp = new Date() } = options;
+  const serviceConfig = resolveServiceConfig(overrides);
+  const anomalies = METRIC_DEFINITIONS.filter(({ key, optional }) =>
+    !optional || (windows[key]?.isWarmedUp && typeof metrics[key] === 'number')
+  ).map(({ key, name }) => {
+    const thresholds = resolveThresholds(serviceName, name, overrides);
+    return applySeasonalContext(
+      detectMetricAnomaly(metrics[key], windows[key], name, thresholds),
+      metrics[key], windows[key], seasonal?.[key], name, thresholds
+    );
+  });
+
+  // After the σ checks, which decide whether a deviation is an incident
+  const shifts = detectShifts(metrics, windows, serviceName, overrides, timestamp);
+
+  // SLO objectives are judged next to the σ-based checks
+  anomalies.push(...evaluateSlos(serviceConfig.slos, windows));
 
   // Collect all anomalies
-  const anomalies = [latencyAnomaly, errorAnomaly, requestAnomaly];
+  const result = (verdict) => ({
+    ...verdict,
+    ...(seasonal && { seasonal: { bucket: seasonal.bucket, suppressed: anomalies.filter(a => a.suppressed).map(a => a.suppressed) } }),
+    ...(shifts.length > 0 && { shifts }),
+  });
   const criticalAnomalies = anomalies.filter(a => a.status === 'critical');
   const warningAnomalies = anomalies.filter(a => a.status === 'warning');
 
   // Decision logic (prioritize critical issues)
   
-  // CRITICAL: Error rate is the most important metric
-  if (errorRate > 50) {
-    return {
+  // CRITICAL: Absolute hard limits, whatever the learned baseline says
+  const hardLimitBreach = HARD_LIMITS.find(({ key }) => {
+    const limit = serviceConfig.hardLimits[key];
+    return limit !== undefined && metrics[key] > limit;
+  });
+  if (hardLimitBreach) {
+    return result({
       status: 'unhealthy',
-      reason: 'high_error_rate',
-      details: `${errorRate.toFixed(1)}% errors - service failing`,
-    };
+      reason: hardLimitBreach.reason,
+      details: hardLimitBreach.details(metrics[hardLimitBreach.key], serviceConfig.hardLimits[hardLimitBreach.key]),
+    });
   }
 
   // CRITICAL: Any metric extremely out of range
   if (criticalAnomalies.length > 0) {
-    return {
+    return result({
       status: 'unhealthy',
       reason: criticalAnomalies[0].reason,
       details: criticalAnomalies[0].details,
-    };
+    });
   }
 
   // WARNING: Multiple metrics degraded
   if (warningAnomalies.length >= 2) {
-    return {
+    return result({
       status: 'degraded',
       reason: 'multiple_metrics_elevated',
       details: warningAnomalies.map(a => a.reason).join(', '),
-    };
+    });
   }
 
   // WARNING: Single metric elevated
   if (warningAnomalies.length === 1) {
-    return {
+    return result({
       status: 'degraded',
       reason: warningAnomalies[0].reason,
       details: warningAnomalies[0].details,
-    };
+    });
   }
 
   // HEALTHY: All metrics within baseline
-  return {
+  return result({
     status: 'healthy',
     reason: 'all_metrics_normal',
     details: 'Operating within expected parameters',
-  };
+  });
 }
 
 /**
  * Get diagnostic information for debugging
  */
 export function getDiagnostics(windows) {
-  return {
-    latency: windows.latency.getStats(),
-    errorRate: windows.errorRate.getStats(),
-    requestCount: windows.requestCount.getStats(),
-  };
+  return Object.fromEntries(METRIC_DEFINITIONS.filter(({ key }) => windows[key]).map(({ key }) => [key, windows[key].getStats()]));
 }
 
-export { WindowStats, config as anomalyConfig };
+export { WindowStats, METRIC_DEFINITIONS, config as anomalyConfig };
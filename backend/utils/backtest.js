@@ -0,0 +1,208 @@
+/**
+ * Anomaly Detector Backtesting
+ *
+ * Replays recorded samples through evaluateService with a candidate
+ * configuration, so sigma / hysteresis settings can be tuned offline:
+ * - Status timeline (transitions only) per service
+ * - Alerts that would have fired (entering warning or critical)
+ * - Flapping: status changes reverted within the flap window
+ * - Side-by-side comparison of two candidate configs on the same data
+ *
+ * Seasonal expectations are not applied; they depend on live profiles.
+ */
+
+import { evaluateService, WindowStats, METRIC_DEFINITIONS, resolveServiceConfig } from './anomalyDetector.js';
+
+// Mirrors the status mapping of the ingestion pipeline
+const statusMap = {
+  healthy: 'healthy',
+  degraded: 'warning',
+  unhealthy: 'critical',
+  learning: 'analyzing'
+};
+
+const ALERT_STATUSES = ['warning', 'critical'];
+
+const NUMERIC_FIELDS = ['latency', 'latencyP95', 'errorRate', 'requestCount', 'memoryUsage', 'totalRequests'];
+
+/**
+ * Parse samples from a JSON or CSV export
+ *
+ * JSON: an array of samples or { samples: [...] }
+ * CSV: header row with serviceName,timestamp,latency,errorRate,requestCount,... (no quoted fields;
+ *      an empty latencyP95 cell means the agent reported no percentiles)
+ */
+export function parseSamples(content, format = 'json') {
+  if (format === 'csv') {
+    const [header, ...rows] = content.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (!header) return [];
+    const columns = header.split(',').map(c => c.trim());
+    return rows.map(row => {
+      const cells = row.split(',');
+      return Object.fromEntries(columns.map((column, i) => {
+        const raw = (cells[i] ?? '').trim();
+        return [column, NUMERIC_FIELDS.includes(column) && raw !== '' ? Number(raw) : raw];
+      }));
+    });
+  }
+
+  const parsed = JSON.parse(content);
+  return Array.isArray(parsed) ? parsed : (parsed.samples || []);
+}
+
+const toDate = (value) => new Date(typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value);
+
+const createWindows = (config) => Object.fromEntries(
+  METRIC_DEFINITIONS.map(({ key }) => [key, new WindowStats(config.windowSize, config.warmupSamples)])
+);
+
+/**
+ * Count status changes that were reverted within the flap window
+ * (healthy → warning → healthy in 40s is one flap)
+ */
+const countFlaps = (transitions, flapWindowMs) => {
+  let flaps = 0;
+  for (let i = 1; i < transitions.length; i++) {
+    const previous = transitions[i - 1];
+    const current = transitions[i];
+    if (current.to === previous.from && current.timestamp - previous.timestamp <= flapWindowMs) {
+      flaps++;
+    }
+  }
+  return flaps;
+};
+
+/**
+ * Replay one service's samples
+ */
+const replayService = (serviceName, samples, overrides, flapWindowMs) => {
+  const config = resolveServiceConfig(overrides);
+  let windows = createWindows(config);
+  let lastTotal = 0;
+  let status = 'unknown';
+  let statusSince = null;
+
+  const transitions = [];
+  const alerts = [];
+  const shifts = [];
+  const timeInStatus = {};
+
+  for (const sample of samples) {
+    const timestamp = sample.timestamp;
+
+    // A falling request total means the service restarted: relearn, like ingestion does
+    const totalRequests = sample.totalRequests || 0;
+    if (totalRequests < lastTotal) {
+      windows = createWindows(config);
+    }
+    lastTotal = totalRequests;
+
+    const metrics = {
+      latency: sample.latency || 0,
+      latencyP95: sample.latencyP95 ?? null,
+      errorRate: sample.errorRate || 0,
+      requestCount: sample.requestCount || 0,
+      memoryUsage: sample.memoryUsage || 0,
+      totalRequests
+    };
+    const detected = evaluateService(metrics, windows, { serviceName, overrides, timestamp });
+    const newStatus = statusMap[detected.status] || 'unknown';
+
+    for (const shift of detected.shifts || []) {
+      shifts.push({ timestamp, ...shift });
+    }
+
+    if (newStatus !== status) {
+      if (statusSince) {
+        timeInStatus[status] = (timeInStatus[status] || 0) + (timestamp - statusSince);
+      }
+      transitions.push({ timestamp, from: status, to: newStatus, reason: detected.reason, details: detected.details });
+      if (ALERT_STATUSES.includes(newStatus)) {
+        alerts.push({ timestamp, status: newStatus, reason: detected.reason, details: detected.details });
+      }
+      status = newStatus;
+      statusSince = timestamp;
+    }
+  }
+
+  if (statusSince && samples.length > 0) {
+    const end = samples[samples.length - 1].timestamp;
+    timeInStatus[status] = (timeInStatus[status] || 0) + (end - statusSince);
+  }
+
+  return {
+    serviceName,
+    samples: samples.length,
+    from: samples[0]?.timestamp || null,
+    to: samples[samples.length - 1]?.timestamp || null,
+    timeline: transitions,
+    alerts,
+    shifts,
+    flaps: countFlaps(transitions, flapWindowMs),
+    timeInStatusSeconds: Object.fromEntries(Object.entries(timeInStatus).map(([s, ms]) => [s, Math.round(ms / 1000)]))
+  };
+};
+
+/**
+ * Replay samples through the detector with a candidate config
+ *
+ * @param {Array} rawSamples - Samples with serviceName, timestamp and metric fields
+ * @param {object} overrides - Candidate config, same shape as AnomalyConfig overrides
+ * @param {object} options
+ * @param {number} options.flapWindowSeconds - A change reverted within this time counts as a flap
+ * @returns {object} { config, services: [per-service result] }
+ */
+export function runBacktest(rawSamples, overrides = {}, { flapWindowSeconds = 60 } = {}) {
+  const byService = new Map();
+
+  for (const raw of rawSamples) {
+    const timestamp = toDate(raw.timestamp);
+    if (isNaN(timestamp.getTime()) || typeof raw.latency !== 'number') continue;
+
+    const serviceName = raw.serviceName || 'unknown';
+    if (!byService.has(serviceName)) byService.set(serviceName, []);
+    byService.get(serviceName).push({ ...raw, timestamp });
+  }
+
+  const services = [...byService.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([serviceName, samples]) => {
+      samples.sort((a, b) => a.timestamp - b.timestamp);
+      return replayService(serviceName, samples, overrides, flapWindowSeconds * 1000);
+    });
+
+  return { config: resolveServiceConfig(overrides), services };
+}
+
+/**
+ * Compare two backtest runs over the same samples
+ *
+ * Alerts are matched by service, status and time (within toleranceSeconds).
+ *
+ * Returns: per-service deltas plus the alerts only one config raised
+ */
+export function compareBacktests(baseline, candidate, { toleranceSeconds = 30 } = {}) {
+  const toleranceMs = toleranceSeconds * 1000;
+
+  const unmatched = (alerts, others) => alerts.filter(alert => !others.some(other =>
+    other.status === alert.status && Math.abs(other.timestamp - alert.timestamp) <= toleranceMs
+  ));
+
+  const names = [...new Set([...baseline.services, ...candidate.services].map(s => s.serviceName))].sort();
+
+  return names.map(serviceName => {
+    const a = baseline.services.find(s => s.serviceName === serviceName) || { alerts: [], flaps: 0, timeline: [], timeInStatusSeconds: {} };
+    const b = candidate.services.find(s => s.serviceName === serviceName) || { alerts: [], flaps: 0, timeline: [], timeInStatusSeconds: {} };
+    const unhealthySeconds = (run) => (run.timeInStatusSeconds.warning || 0) + (run.timeInStatusSeconds.critical || 0);
+
+    return {
+      serviceName,
+      alerts: { baseline: a.alerts.length, candidate: b.alerts.length },
+      flaps: { baseline: a.flaps, candidate: b.flaps },
+      transitions: { baseline: a.timeline.length, candidate: b.timeline.length },
+      unhealthySeconds: { baseline: unhealthySeconds(a), candidate: unhealthySeconds(b) },
+      onlyBaseline: unmatched(a.alerts, b.alerts),
+      onlyCandidate: unmatched(b.alerts, a.alerts)
+    };
+  });
+}
@@ -0,0 +1,147 @@
+/**
+ * Change-Point Detection (two-sided CUSUM)
+ *
+ * The rolling window slowly absorbs a permanent shift (e.g. a deploy that
+ * adds 80ms to every request) without ever crossing the σ thresholds.
+ * CUSUM accumulates small deviations from a reference level instead:
+ * - S⁺ / S⁻ grow while samples sit above / below reference ± k·σ
+ * - A shift is confirmed once S exceeds h·σ for at least minSamples samples
+ *   and minDurationSeconds, and the segment median moved by at least
+ *   minShift·σ (single spikes and ordinary incidents don't count)
+ * - The change time is where the cumulative sum last left zero
+ * - While the σ-detector alerts on the metric the deviation is an incident,
+ *   not a new baseline: the caller resets the sums (see reset())
+ */
+
+const config = {
+  enabled: process.env.CHANGEPOINT_ENABLED !== 'false',
+  drift: parseFloat(process.env.CHANGEPOINT_DRIFT) || 0.5, // k, in σ
+  threshold: parseFloat(process.env.CHANGEPOINT_THRESHOLD) || 5, // h, in σ
+  minSamples: parseInt(process.env.CHANGEPOINT_MIN_SAMPLES) || 10,
+  minDurationSeconds: parseInt(process.env.CHANGEPOINT_MIN_DURATION) || 600,
+  minShift: parseFloat(process.env.CHANGEPOINT_MIN_SHIFT) || 1, // in σ
+};
+
+// Caps per-sample influence so one extreme outlier can't fill the sum alone
+const CLIP_SIGMA = 4;
+
+// Segment values kept for the median estimate
+const MAX_SEGMENT = 500;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const emptySide = () => ({ sum: 0, startedAt: null, values: [] });
+
+class CusumDetector {
+  constructor() {
+    this.reference = null;
+    this.sigma = null;
+    this.upper = emptySide();
+    this.lower = emptySide();
+  }
+
+  get isArmed() {
+    return this.reference !== null;
+  }
+
+  /**
+   * Set the reference level, e.g. from a warmed-up window
+   */
+  arm(reference, sigma) {
+    this.reference = reference;
+    // Floor σ so flat series (an error rate that is always 0) don't trip on noise
+    this.sigma = Math.max(sigma, Math.abs(reference) * 0.05, 1);
+    this.reset();
+  }
+
+  /**
+   * Drop the running sums but keep the reference level
+   */
+  reset() {
+    this.upper = emptySide();
+    this.lower = emptySide();
+  }
+
+  /**
+   * Feed one sample
+   *
+   * @param {number} value - Sample value
+   * @param {Date} timestamp - Sample time
+   * @returns {object|null} { direction, before, after, changedAt, samples } when a shift is confirmed
+   */
+  update(value, timestamp = new Date()) {
+    if (!this.isArmed || typeof value !== 'number' || isNaN(value)) return null;
+
+    const k = config.drift * this.sigma;
+    const clipped = Math.min(Math.max(value, this.reference - CLIP_SIGMA * this.sigma), this.reference + CLIP_SIGMA * this.sigma);
+
+    this.accumulate(this.upper, clipped - this.reference - k, value, timestamp);
+    this.accumulate(this.lower, this.reference - clipped - k, value, timestamp);
+
+    return this.confirm('upper', this.upper, timestamp) || this.confirm('lower', this.lower, timestamp);
+  }
+
+  accumulate(side, increment, value, timestamp) {
+    side.sum = Math.max(0, side.sum + increment);
+    if (side.sum === 0) {
+      side.startedAt = null;
+      side.values = [];
+      return;
+    }
+    if (!side.startedAt) side.startedAt = timestamp;
+    side.values.push(value);
+    if (side.values.length > MAX_SEGMENT) side.values.shift();
+  }
+
+  confirm(direction, side, timestamp) {
+    if (side.sum <= config.threshold * this.sigma || side.values.length < config.minSamples) return null;
+    if (timestamp - side.startedAt < config.minDurationSeconds * 1000) return null;
+
+    const after = median(side.values);
+    if (Math.abs(after - this.reference) < config.minShift * this.sigma) return null;
+
+    const shift = {
+      direction,
+      before: this.reference,
+      after,
+      changedAt: side.startedAt,
+      samples: side.values.length,
+    };
+
+    // The new level becomes the reference for the next shift
+    this.arm(after, this.sigma);
+    return shift;
+  }
+
+  toSnapshot() {
+    return {
+      reference: this.reference,
+      sigma: this.sigma,
+      upper: { ...this.upper, values: [...this.upper.values] },
+      lower: { ...this.lower, values: [...this.lower.values] },
+    };
+  }
+
+  static fromSnapshot(snapshot) {
+    const detector = new CusumDetector();
+    if (!snapshot || typeof snapshot.reference !== 'number') return detector;
+
+    detector.reference = snapshot.reference;
+    detector.sigma = snapshot.sigma;
+    for (const side of ['upper', 'lower']) {
+      const saved = snapshot[side] || {};
+      detector[side] = {
+        sum: saved.sum || 0,
+        startedAt: saved.startedAt ? new Date(saved.startedAt) : null,
+        values: Array.isArray(saved.values) ? saved.values : [],
+      };
+    }
+    return detector;
+  }
+}
+
+export { CusumDetector, config as changePointConfig };
@@ -0,0 +1,101 @@
+/**
+ * HTTP Check
+ *
+ * One timed HTTP request plus assertions on the response, shared by the
+ * active probes:
+ * - Never throws: network errors and timeouts come back as a failed result
+ * - The body is kept as text; JSON is parsed only when an assertion needs it
+ * - The error names the first assertion that failed
+ */
+
+import axios from 'axios';
+
+// Longest response body kept for assertions (and error messages)
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Read a value from parsed JSON by dot path ("data.items.0.id"; "" is the root)
+ */
+export function getJsonPath(value, path) {
+  if (!path) return value;
+  return path.split('.').reduce((current, key) => (current === null || current === undefined ? undefined : current[key]), value);
+}
+
+const parseJson = (text) => {
+  try {
+    return { json: JSON.parse(text) };
+  } catch {
+    return { error: 'response body is not valid JSON' };
+  }
+};
+
+const describe = (value) => (value === undefined ? 'undefined' : JSON.stringify(value));
+
+/**
+ * Check a response against { expectedStatus, bodyContains, jsonAssertions }
+ *
+ * Returns: an error message for the first failed assertion, or null when all pass
+ */
+export function checkResponse({ statusCode, body }, { expectedStatus = [200], bodyContains, jsonAssertions = [] } = {}) {
+  if (expectedStatus.length > 0 && !expectedStatus.includes(statusCode)) {
+    return `expected status ${expectedStatus.join(' or ')}, got ${statusCode}`;
+  }
+
+  if (bodyContains && !body.includes(bodyContains)) {
+    return `response body does not contain "${bodyContains}"`;
+  }
+
+  if (jsonAssertions.length > 0) {
+    const { json, error } = parseJson(body);
+    if (error) return error;
+
+    for (const { path, equals } of jsonAssertions) {
+      const actual = getJsonPath(json, path);
+      if (JSON.stringify(actual) !== JSON.stringify(equals)) {
+        return `${path || '(body)'} expected ${describe(equals)}, got ${describe(actual)}`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Send one request and time it
+ *
+ * @param {object} request - { method, url, headers, body, timeoutMs }
+ * @returns {object} { statusCode, body, headers, latencyMs, error } (statusCode null on network errors)
+ */
+export async function sendRequest({ method = 'GET', url, headers = {}, body, timeoutMs = 5000 }) {
+  const startTime = Date.now();
+
+  try {
+    const response = await axios.request({
+      method,
+      url,
+      headers,
+      data: body,
+      timeout: timeoutMs,
+      maxContentLength: MAX_BODY_BYTES,
+      responseType: 'text',
+      transformResponse: [(data) => data], // keep the raw text
+      validateStatus: () => true // any status is a result, not an error
+    });
+
+    return {
+      statusCode: response.status,
+      body: typeof response.data === 'string' ? response.data : '',
+      headers: response.headers,
+      latencyMs: Date.now() - startTime,
+      error: null
+    };
+  } catch (error) {
+    return {
+      statusCode: null,
+      body: '',
+      headers: {},
+      latencyMs: Date.now() - startTime,
+      error: error.code === 'ECONNABORTED' ? `timed out after ${timeoutMs}ms` : error.code || error.message
+    };
+  }
+}
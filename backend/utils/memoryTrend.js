@@ -0,0 +1,102 @@
+/**
+ * Long-horizon memory trend analysis
+ *
+ * Fits a least-squares line through per-minute memory averages and
+ * projects when the service will reach its memory ceiling:
+ * - Slope in MB per hour
+ * - R² to tell a steady climb from GC sawtooth noise
+ * - Projected exhaustion time against the ceiling
+ */
+
+/**
+ * Least-squares fit of y = intercept + slope · x
+ *
+ * Returns: { slope, intercept, rSquared } or null for fewer than 2 points
+ */
+export function linearRegression(points) {
+  const n = points.length;
+  if (n < 2) return null;
+
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  for (const { x, y } of points) {
+    sxx += (x - meanX) ** 2;
+    sxy += (x - meanX) * (y - meanY);
+    syy += (y - meanY) ** 2;
+  }
+
+  if (sxx === 0) return null;
+
+  const slope = sxy / sxx;
+  const intercept = meanY - slope * meanX;
+  // A perfectly flat series explains itself completely
+  const rSquared = syy === 0 ? 1 : (sxy * sxy) / (sxx * syy);
+
+  return { slope, intercept, rSquared };
+}
+
+/**
+ * Project memory growth of a service
+ *
+ * @param {Array} samples - [{ timestamp: Date, memoryUsage: MB }] ordered by time
+ * @param {object} options
+ * @param {number} options.ceilingMb - Memory available to the service
+ * @param {number} options.minSpanMinutes - Shortest history worth trusting
+ * @param {number} options.minSlopeMbPerHour - Growth below this is ignored
+ * @param {number} options.minRSquared - Required goodness of fit
+ * @param {number} options.horizonHours - Only exhaustion within this horizon is suspicious
+ * @returns {object|null} Forecast, or null when there isn't enough history
+ */
+export function projectMemoryExhaustion(samples, {
+  ceilingMb,
+  minSpanMinutes = 20,
+  minSlopeMbPerHour = 5,
+  minRSquared = 0.8,
+  horizonHours = 24
+}) {
+  if (samples.length < 2) return null;
+
+  const start = samples[0].timestamp.getTime();
+  const end = samples[samples.length - 1].timestamp.getTime();
+  const spanMinutes = (end - start) / 60000;
+  if (spanMinutes < minSpanMinutes) return null;
+
+  // x in hours since the first sample keeps the slope in MB/hour
+  const fit = linearRegression(samples.map(s => ({
+    x: (s.timestamp.getTime() - start) / 3600000,
+    y: s.memoryUsage
+  })));
+  if (!fit) return null;
+
+  const nowHours = (end - start) / 3600000;
+  const currentMb = fit.intercept + fit.slope * nowHours;
+
+  let projectedExhaustionAt = null;
+  if (fit.slope > 0 && currentMb < ceilingMb) {
+    const hoursLeft = (ceilingMb - currentMb) / fit.slope;
+    projectedExhaustionAt = new Date(end + hoursLeft * 3600000);
+  } else if (currentMb >= ceilingMb) {
+    projectedExhaustionAt = new Date(end);
+  }
+
+  const hoursToExhaustion = projectedExhaustionAt ? (projectedExhaustionAt.getTime() - end) / 3600000 : null;
+  const leakSuspected = fit.slope >= minSlopeMbPerHour &&
+    fit.rSquared >= minRSquared &&
+    hoursToExhaustion !== null &&
+    hoursToExhaustion <= horizonHours;
+
+  return {
+    slopeMbPerHour: fit.slope,
+    rSquared: fit.rSquared,
+    currentMb,
+    ceilingMb,
+    windowMinutes: Math.round(spanMinutes),
+    sampleCount: samples.length,
+    projectedExhaustionAt,
+    leakSuspected
+  };
+}
@@ -0,0 +1,329 @@
+/**
+ * OpenTelemetry (OTLP) metrics mapping
+ *
+ * Turns an ExportMetricsServiceRequest (OTLP/JSON or decoded protobuf)
+ * into the same samples the HealthAgent sends to /ingest/metrics:
+ * - service.name resource attribute → serviceName
+ * - HTTP server duration histograms → latency, error rate, request counts
+ * - Process/V8 heap metrics → memoryUsage
+ *
+ * Cumulative series are converted to per-export deltas using the last
+ * value seen for each series.
+ */
+
+import { decodeMessage, ProtoWriter } from './protobuf.js';
+
+const TEMPORALITY_DELTA = 1;
+const TEMPORALITY_CUMULATIVE = 2;
+
+// Preferred first: the stable semantic convention (seconds), then the legacy one (ms)
+const DURATION_METRICS = ['http.server.request.duration', 'http.server.duration'];
+
+// Heap / memory metrics in bytes, first match wins
+const MEMORY_METRICS = ['v8js.memory.heap.used', 'process.runtime.nodejs.memory.heap.used', 'process.memory.usage'];
+
+const STATUS_CODE_ATTRIBUTES = ['http.response.status_code', 'http.status_code'];
+
+// Subset of opentelemetry/proto/metrics/v1 needed for the mapping
+const SCHEMAS = {
+  ExportMetricsServiceRequest: { 1: ['resourceMetrics', 'ResourceMetrics', true] },
+  ResourceMetrics: { 1: ['resource', 'Resource'], 2: ['scopeMetrics', 'ScopeMetrics', true], 3: ['schemaUrl', 'string'] },
+  Resource: { 1: ['attributes', 'KeyValue', true] },
+  KeyValue: { 1: ['key', 'string'], 2: ['value', 'AnyValue'] },
+  AnyValue: {
+    1: ['stringValue', 'string'],
+    2: ['boolValue', 'bool'],
+    3: ['intValue', 'int64'],
+    4: ['doubleValue', 'double'],
+    5: ['arrayValue', 'ArrayValue'],
+    6: ['kvlistValue', 'KeyValueList'],
+    7: ['bytesValue', 'bytes']
+  },
+  ArrayValue: { 1: ['values', 'AnyValue', true] },
+  KeyValueList: { 1: ['values', 'KeyValue', true] },
+  ScopeMetrics: { 1: ['scope', 'InstrumentationScope'], 2: ['metrics', 'Metric', true] },
+  InstrumentationScope: { 1: ['name', 'string'], 2: ['version', 'string'] },
+  Metric: {
+    1: ['name', 'string'],
+    2: ['description', 'string'],
+    3: ['unit', 'string'],
+    5: ['gauge', 'Gauge'],
+    7: ['sum', 'Sum'],
+    9: ['histogram', 'Histogram']
+  },
+  Gauge: { 1: ['dataPoints', 'NumberDataPoint', true] },
+  Sum: { 1: ['dataPoints', 'NumberDataPoint', true], 2: ['aggregationTemporality', 'enum'], 3: ['isMonotonic', 'bool'] },
+  Histogram: { 1: ['dataPoints', 'HistogramDataPoint', true], 2: ['aggregationTemporality', 'enum'] },
+  NumberDataPoint: {
+    7: ['attributes', 'KeyValue', true],
+    2: ['startTimeUnixNano', 'fixed64'],
+    3: ['timeUnixNano', 'fixed64'],
+    4: ['asDouble', 'double'],
+    6: ['asInt', 'sfixed64']
+  },
+  HistogramDataPoint: {
+    9: ['attributes', 'KeyValue', true],
+    2: ['startTimeUnixNano', 'fixed64'],
+    3: ['timeUnixNano', 'fixed64'],
+    4: ['count', 'fixed64'],
+    5: ['sum', 'double'],
+    6: ['bucketCounts', 'fixed64', true],
+    7: ['explicitBounds', 'double', true],
+    11: ['min', 'double'],
+    12: ['max', 'double']
+  }
+};
+
+/**
+ * Decode a protobuf ExportMetricsServiceRequest into OTLP/JSON shape
+ */
+export function decodeExportMetricsRequest(buffer) {
+  return decodeMessage(buffer, SCHEMAS, 'ExportMetricsServiceRequest');
+}
+
+/**
+ * Encode an ExportMetricsServiceResponse (partial success is optional)
+ */
+export function encodeExportMetricsResponse({ rejectedDataPoints = 0, errorMessage = '' } = {}) {
+  const response = new ProtoWriter();
+  if (rejectedDataPoints > 0 || errorMessage) {
+    const partial = new ProtoWriter();
+    if (rejectedDataPoints > 0) partial.varint(1, rejectedDataPoints);
+    if (errorMessage) partial.string(2, errorMessage);
+    response.message(1, partial);
+  }
+  return response.finish();
+}
+
+/**
+ * Convert an AnyValue to a plain JavaScript value
+ */
+const anyValue = (value) => {
+  if (!value) return undefined;
+  if (value.stringValue !== undefined) return value.stringValue;
+  if (value.intValue !== undefined) return Number(value.intValue);
+  if (value.doubleValue !== undefined) return value.doubleValue;
+  if (value.boolValue !== undefined) return value.boolValue;
+  if (value.arrayValue) return (value.arrayValue.values || []).map(anyValue);
+  if (value.kvlistValue) return attributesToObject(value.kvlistValue.values);
+  return undefined;
+};
+
+const attributesToObject = (attributes = []) => Object.fromEntries(
+  attributes.map(kv => [kv.key, anyValue(kv.value)])
+);
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+// Unsigned int64 nanoseconds: a decimal string or a non-negative number (or absent)
+const isValidNanos = (value) => {
+  if (isMissing(value)) return true;
+  if (typeof value === 'string') return /^\d+$/.test(value);
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+};
+
+// Nanosecond timestamps arrive as strings (int64) or numbers; validated by isValidNanos first
+const nanosToMillis = (value) => {
+  if (isMissing(value)) return null;
+  if (typeof value === 'string') return Number(BigInt(value) / 1000000n);
+  return Math.floor(value / 1e6);
+};
+
+const hasValidTimes = (point) => isValidNanos(point.timeUnixNano) && isValidNanos(point.startTimeUnixNano);
+
+/**
+ * Drop data points with malformed timestamps, so one bad point rejects
+ * itself instead of the whole export
+ *
+ * Returns: { metrics, rejected } (metrics are copies, the request is untouched)
+ */
+const withoutMalformedPoints = (metrics) => {
+  let rejected = 0;
+  const valid = metrics.map(metric => {
+    const field = ['gauge', 'sum', 'histogram', 'exponentialHistogram', 'summary'].find(f => metric[f]);
+    const points = field ? metric[field].dataPoints || [] : [];
+    const kept = points.filter(hasValidTimes);
+    if (kept.length === points.length) return metric;
+    rejected += points.length - kept.length;
+    return { ...metric, [field]: { ...metric[field], dataPoints: kept } };
+  });
+  return { metrics: valid, rejected };
+};
+
+const toNumber = (value) => (value === undefined || value === null ? 0 : Number(value));
+
+const parseTemporality = (value) => {
+  if (value === TEMPORALITY_DELTA || value === 'AGGREGATION_TEMPORALITY_DELTA') return TEMPORALITY_DELTA;
+  return TEMPORALITY_CUMULATIVE;
+};
+
+// Scale factor from the metric's unit to milliseconds
+const durationScale = (metric) => {
+  const unit = metric.unit || (metric.name === 'http.server.request.duration' ? 's' : 'ms');
+  if (unit === 's') return 1000;
+  if (unit === 'us') return 0.001;
+  return 1;
+};
+
+const isErrorPoint = (attributes) => {
+  if (attributes['error.type']) return true;
+  const statusAttribute = STATUS_CODE_ATTRIBUTES.find(key => attributes[key] !== undefined);
+  return statusAttribute ? Number(attributes[statusAttribute]) >= 400 : false;
+};
+
+const seriesKey = (serviceName, metricName, attributes) => (
+  `${serviceName}|${metricName}|${JSON.stringify(Object.entries(attributes).sort(([a], [b]) => a.localeCompare(b)))}`
+);
+
+/**
+ * Stateful mapper from OTLP export requests to Guardian samples
+ */
+export class OtlpMetricsMapper {
+  constructor() {
+    // Last cumulative value per series: { count, sum, startTime, time }
+    this.cumulative = new Map();
+    // Running request totals for services exporting delta temporality
+    this.deltaTotals = new Map();
+  }
+
+  /**
+   * Map an export request to samples
+   *
+   * @param {object} request - ExportMetricsServiceRequest in OTLP/JSON shape
+   * @param {object} options
+   * @param {function} options.previousTotal - (serviceName) => last known totalRequests
+   * @param {function} options.acceptService - (serviceName) => false to reject a resource before
+   *   its series state is touched (e.g. a service the API key is not valid for)
+   * @returns {object} { samples, rejectedDataPoints, errors }
+   */
+  map(request, { previousTotal = () => 0, acceptService = () => true } = {}) {
+    const samples = [];
+    const errors = [];
+    let rejectedDataPoints = 0;
+
+    for (const resourceMetrics of request.resourceMetrics || []) {
+      const resource = attributesToObject(resourceMetrics.resource?.attributes);
+      const metrics = (resourceMetrics.scopeMetrics || []).flatMap(scope => scope.metrics || []);
+      const serviceName = resource['service.name'];
+
+      if (!serviceName || serviceName.startsWith('unknown_service')) {
+        rejectedDataPoints += countDataPoints(metrics);
+        errors.push('resource without service.name');
+        continue;
+      }
+
+      if (!acceptService(serviceName)) {
+        rejectedDataPoints += countDataPoints(metrics);
+        errors.push(`API key is not valid for service ${serviceName}`);
+        continue;
+      }
+
+      const { metrics: valid, rejected } = withoutMalformedPoints(metrics);
+      if (rejected > 0) {
+        rejectedDataPoints += rejected;
+        errors.push(`${serviceName}: ${rejected} data point(s) with a malformed timeUnixNano or startTimeUnixNano`);
+      }
+
+      const sample = this.mapResource(serviceName, valid, previousTotal);
+      if (sample) {
+        samples.push({ sample, dataPoints: countDataPoints(valid) });
+      }
+    }
+
+    return { samples, rejectedDataPoints, errors };
+  }
+
+  mapResource(serviceName, metrics, previousTotal) {
+    const byName = new Map(metrics.map(m => [m.name, m]));
+    const durationMetric = DURATION_METRICS.map(name => byName.get(name)).find(m => m?.histogram);
+    const memoryMetric = MEMORY_METRICS.map(name => byName.get(name)).find(m => m?.gauge || m?.sum);
+
+    if (!durationMetric && !memoryMetric) return null;
+
+    let count = 0;
+    let sum = 0;
+    let errors = 0;
+    let timestamp = null;
+    let intervalMs = 0;
+    let cumulativeTotal = 0;
+    let temporality = TEMPORALITY_CUMULATIVE;
+
+    if (durationMetric) {
+      const scale = durationScale(durationMetric);
+      temporality = parseTemporality(durationMetric.histogram.aggregationTemporality);
+
+      for (const point of durationMetric.histogram.dataPoints || []) {
+        const attributes = attributesToObject(point.attributes);
+        const pointCount = toNumber(point.count);
+        const pointSum = toNumber(point.sum) * scale;
+        const time = nanosToMillis(point.timeUnixNano);
+        const startTime = nanosToMillis(point.startTimeUnixNano);
+
+        let deltaCount = pointCount;
+        let deltaSum = pointSum;
+        let pointInterval = time && startTime ? time - startTime : 0;
+
+        if (temporality === TEMPORALITY_CUMULATIVE) {
+          cumulativeTotal += pointCount;
+          const key = seriesKey(serviceName, durationMetric.name, attributes);
+          const previous = this.cumulative.get(key);
+          // A lower count or a new start time means the series was reset
+          if (previous && previous.startTime === startTime && pointCount >= previous.count) {
+            deltaCount = pointCount - previous.count;
+            deltaSum = pointSum - previous.sum;
+            pointInterval = time && previous.time ? time - previous.time : pointInterval;
+          }
+          this.cumulative.set(key, { count: pointCount, sum: pointSum, startTime, time });
+        }
+
+        count += deltaCount;
+        sum += deltaSum;
+        if (isErrorPoint(attributes)) errors += deltaCount;
+        if (time && (!timestamp || time > timestamp)) timestamp = time;
+        intervalMs = Math.max(intervalMs, pointInterval);
+      }
+    }
+
+    let memoryUsage = 0;
+    if (memoryMetric) {
+      const points = (memoryMetric.gauge || memoryMetric.sum).dataPoints || [];
+      const bytes = points.reduce((total, p) => total + toNumber(p.asDouble ?? p.asInt), 0);
+      memoryUsage = Math.round(bytes / 1024 / 1024); // MB
+      for (const point of points) {
+        const time = nanosToMillis(point.timeUnixNano);
+        if (time && (!timestamp || time > timestamp)) timestamp = time;
+      }
+    }
+
+    let totalRequests;
+    if (!durationMetric) {
+      // Memory-only export: keep the last known total so no restart is inferred
+      totalRequests = this.deltaTotals.get(serviceName) ?? previousTotal(serviceName);
+    } else if (temporality === TEMPORALITY_CUMULATIVE) {
+      totalRequests = cumulativeTotal;
+    } else {
+      const base = this.deltaTotals.has(serviceName) ? this.deltaTotals.get(serviceName) : previousTotal(serviceName);
+      totalRequests = base + count;
+      this.deltaTotals.set(serviceName, totalRequests);
+    }
+
+    // Normalize to requests per minute like the HealthAgent reports
+    const requestCount = intervalMs >= 1000 ? Math.round((count / intervalMs) * 60000) : count;
+
+    return {
+      serviceName,
+      latency: count > 0 ? Math.round(sum / count) : 0,
+      errorRate: count > 0 ? Math.round((errors / count) * 10000) / 100 : 0,
+      requestCount,
+      totalRequests,
+      memoryUsage,
+      statusCode: 200,
+      timestamp: timestamp || Date.now()
+    };
+  }
+}
+
+const countDataPoints = (metrics) => metrics.reduce((total, m) => {
+  const data = m.gauge || m.sum || m.histogram || m.exponentialHistogram || m.summary;
+  return total + (data?.dataPoints?.length || 0);
+}, 0);
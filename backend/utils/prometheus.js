@@ -0,0 +1,73 @@
+/**
+ * Prometheus text exposition format (version 0.0.4) helpers
+ */
+
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const escapeLabelValue = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/\n/g, '\\n')
+  .replace(/"/g, '\\"');
+
+const formatLabels = (labels = {}) => {
+  const entries = Object.entries(labels).filter(([, v]) => v !== undefined && v !== null);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabelValue(v)}"`).join(',')}}`;
+};
+
+const formatValue = (value) => {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  if (typeof value !== 'number' || isNaN(value)) return 'NaN';
+  return String(value);
+};
+
+/**
+ * Collects metric families and renders them as exposition text
+ */
+export class PrometheusWriter {
+  constructor() {
+    this.families = new Map();
+  }
+
+  /**
+   * Add a sample to a metric family (created on first use)
+   */
+  add(name, type, help, labels, value) {
+    if (!this.families.has(name)) {
+      this.families.set(name, { type, help, samples: [] });
+    }
+    this.families.get(name).samples.push({ labels, value });
+    return this;
+  }
+
+  gauge(name, help, labels, value) {
+    return this.add(name, 'gauge', help, labels, value);
+  }
+
+  counter(name, help, labels, value) {
+    return this.add(name, 'counter', help, labels, value);
+  }
+
+  /**
+   * Declare a family without samples so HELP/TYPE are always exposed
+   */
+  declare(name, type, help) {
+    if (!this.families.has(name)) {
+      this.families.set(name, { type, help, samples: [] });
+    }
+    return this;
+  }
+
+  render() {
+    const lines = [];
+    for (const [name, family] of this.families) {
+      lines.push(`# HELP ${name} ${family.help}`);
+      lines.push(`# TYPE ${name} ${family.type}`);
+      for (const sample of family.samples) {
+        lines.push(`${name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+      }
+    }
+    return `${lines.join('\n')}\n`;
+  }
+}
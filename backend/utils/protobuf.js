@@ -0,0 +1,214 @@
+/**
+ * Minimal Protocol Buffers wire-format codec
+ *
+ * Just enough of the encoding to read OTLP export requests and write
+ * their responses without pulling in generated code:
+ * - Schema-driven decoding into plain objects (OTLP/JSON field names)
+ * - 64-bit integers are returned as decimal strings, like OTLP/JSON
+ * - Packed and unpacked repeated scalars are both accepted
+ * - Unknown fields are skipped
+ */
+
+const WIRE_VARINT = 0;
+const WIRE_FIXED64 = 1;
+const WIRE_LENGTH_DELIMITED = 2;
+const WIRE_FIXED32 = 5;
+
+const textDecoder = new TextDecoder();
+const textEncoder = new TextEncoder();
+
+// Scalar types that may appear packed inside a length-delimited field
+const PACKABLE = new Set(['double', 'fixed64', 'sfixed64', 'int64', 'uint64', 'uint32', 'int32', 'bool', 'enum']);
+
+class ProtoReader {
+  constructor(buffer, start = 0, end = buffer.length) {
+    this.buffer = buffer;
+    this.view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+    this.pos = start;
+    this.end = end;
+  }
+
+  /**
+   * Read a base-128 varint as a BigInt
+   */
+  varint() {
+    let result = 0n;
+    let shift = 0n;
+    while (this.pos < this.end) {
+      const byte = this.buffer[this.pos++];
+      result |= BigInt(byte & 0x7f) << shift;
+      if ((byte & 0x80) === 0) return result;
+      shift += 7n;
+      if (shift > 63n) throw new Error('Malformed varint');
+    }
+    throw new Error('Truncated varint');
+  }
+
+  fixed64() {
+    this.ensure(8);
+    const value = this.view.getBigUint64(this.pos, true);
+    this.pos += 8;
+    return value;
+  }
+
+  double() {
+    this.ensure(8);
+    const value = this.view.getFloat64(this.pos, true);
+    this.pos += 8;
+    return value;
+  }
+
+  fixed32() {
+    this.ensure(4);
+    const value = this.view.getUint32(this.pos, true);
+    this.pos += 4;
+    return value;
+  }
+
+  bytes() {
+    const length = Number(this.varint());
+    this.ensure(length);
+    const start = this.pos;
+    this.pos += length;
+    return { start, end: this.pos };
+  }
+
+  ensure(length) {
+    if (this.pos + length > this.end) throw new Error('Truncated message');
+  }
+
+  skip(wireType) {
+    switch (wireType) {
+      case WIRE_VARINT: this.varint(); break;
+      case WIRE_FIXED64: this.ensure(8); this.pos += 8; break;
+      case WIRE_LENGTH_DELIMITED: this.bytes(); break;
+      case WIRE_FIXED32: this.ensure(4); this.pos += 4; break;
+      default: throw new Error(`Unsupported wire type ${wireType}`);
+    }
+  }
+}
+
+/**
+ * Read one scalar value of the given type
+ */
+function readScalar(reader, type) {
+  switch (type) {
+    case 'double': return reader.double();
+    case 'fixed64': return reader.fixed64().toString();
+    case 'sfixed64': return BigInt.asIntN(64, reader.fixed64()).toString();
+    case 'int64': return BigInt.asIntN(64, reader.varint()).toString();
+    case 'uint64': return reader.varint().toString();
+    case 'int32': return Number(BigInt.asIntN(32, reader.varint()));
+    case 'uint32':
+    case 'enum': return Number(reader.varint());
+    case 'bool': return reader.varint() !== 0n;
+    default: throw new Error(`Unsupported scalar type ${type}`);
+  }
+}
+
+/**
+ * Decode a message using a schema map
+ *
+ * @param {Uint8Array} buffer - Encoded message
+ * @param {object} schemas - { MessageName: { fieldNumber: [name, type, repeated] } }
+ * @param {string} messageName - Root message type
+ */
+export function decodeMessage(buffer, schemas, messageName, start = 0, end = buffer.length) {
+  const schema = schemas[messageName];
+  if (!schema) throw new Error(`Unknown message type ${messageName}`);
+
+  const reader = new ProtoReader(buffer, start, end);
+  const message = {};
+
+  while (reader.pos < reader.end) {
+    const tag = Number(reader.varint());
+    const fieldNumber = tag >>> 3;
+    const wireType = tag & 0x7;
+    const field = schema[fieldNumber];
+
+    if (!field) {
+      reader.skip(wireType);
+      continue;
+    }
+
+    const [name, type, repeated] = field;
+    const values = [];
+
+    if (schemas[type]) {
+      const { start: s, end: e } = reader.bytes();
+      values.push(decodeMessage(buffer, schemas, type, s, e));
+    } else if (type === 'string') {
+      const { start: s, end: e } = reader.bytes();
+      values.push(textDecoder.decode(buffer.subarray(s, e)));
+    } else if (type === 'bytes') {
+      const { start: s, end: e } = reader.bytes();
+      values.push(Buffer.from(buffer.subarray(s, e)).toString('hex'));
+    } else if (wireType === WIRE_LENGTH_DELIMITED && PACKABLE.has(type)) {
+      // Packed repeated scalars
+      const { start: s, end: e } = reader.bytes();
+      const packed = new ProtoReader(buffer, s, e);
+      while (packed.pos < packed.end) {
+        values.push(readScalar(packed, type));
+      }
+    } else {
+      values.push(readScalar(reader, type));
+    }
+
+    if (repeated) {
+      message[name] = (message[name] || []).concat(values);
+    } else {
+      message[name] = values[values.length - 1];
+    }
+  }
+
+  return message;
+}
+
+/**
+ * Tiny encoder for response messages
+ */
+export class ProtoWriter {
+  constructor() {
+    this.chunks = [];
+  }
+
+  static encodeVarint(value) {
+    let v = BigInt(value);
+    const bytes = [];
+    do {
+      let byte = Number(v & 0x7fn);
+      v >>= 7n;
+      if (v > 0n) byte |= 0x80;
+      bytes.push(byte);
+    } while (v > 0n);
+    return Uint8Array.from(bytes);
+  }
+
+  tag(fieldNumber, wireType) {
+    this.chunks.push(ProtoWriter.encodeVarint((fieldNumber << 3) | wireType));
+  }
+
+  varint(fieldNumber, value) {
+    this.tag(fieldNumber, WIRE_VARINT);
+    this.chunks.push(ProtoWriter.encodeVarint(value));
+    return this;
+  }
+
+  bytes(fieldNumber, data) {
+    this.tag(fieldNumber, WIRE_LENGTH_DELIMITED);
+    this.chunks.push(ProtoWriter.encodeVarint(data.length), data);
+    return this;
+  }
+
+  string(fieldNumber, value) {
+    return this.bytes(fieldNumber, textEncoder.encode(value));
+  }
+
+  message(fieldNumber, writer) {
+    return this.bytes(fieldNumber, writer.finish());
+  }
+
+  finish() {
+    return Buffer.concat(this.chunks.map(c => Buffer.from(c)));
+  }
+}
@@ -0,0 +1,39 @@
+/**
+ * In-process counters for the Guardian's own activity
+ *
+ * Exposed in Prometheus text format by GET /metrics. Counters live in
+ * memory and start from zero on every backend restart, which is what
+ * Prometheus expects from a counter.
+ */
+
+const counters = {
+  alertsRaised: new Map(),
+  eventsCreated: new Map(),
+  notificationsSent: new Map(),
+  notificationsFailed: new Map(),
+};
+
+const labelKey = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+/**
+ * Increment a counter for the given label set
+ */
+export function incrementCounter(name, labels = {}, amount = 1) {
+  const counter = counters[name];
+  if (!counter) return;
+
+  const key = labelKey(labels);
+  const entry = counter.get(key);
+  if (entry) {
+    entry.value += amount;
+  } else {
+    counter.set(key, { labels, value: amount });
+  }
+}
+
+/**
+ * Get all samples of a counter: [{ labels, value }]
+ */
+export function getCounterSamples(name) {
+  return [...(counters[name]?.values() || [])];
+}
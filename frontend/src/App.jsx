@@ -3,6 +3,8 @@ import Dashboard from './pages/Dashboard';
 import ServiceDetail from './pages/ServiceDetail';
 import Login from './pages/Login';
 import Settings from './pages/Settings';
+import Topology from './pages/Topology';
+import Synthetics from './pages/Synthetics';
 import PrivateRoute from './components/PrivateRoute';
 import './index.css';
 
@@ -27,6 +29,22 @@ function App() {
                         </PrivateRoute>
                     }
                 />
+                <Route
+                    path="/topology"
+                    element={
+                        <PrivateRoute>
+                            <Topology />
+                        </PrivateRoute>
+                    }
+                />
+                <Route
+                    path="/synthetics"
+                    element={
+                        <PrivateRoute>
+                            <Synthetics />
+                        </PrivateRoute>
+                    }
+                />
                 <Route
                     path="/settings"
                     element={
@@ -4,7 +4,7 @@ import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
 import StatusBadge from './StatusBadge';
 import { Badge } from './ui/badge';
 import { formatTimestamp, getStatusGlow, cn } from '@/lib/utils';
-import { Activity, Clock, AlertTriangle, Zap } from 'lucide-react';
+import { Activity, Clock, AlertTriangle, Zap, Stethoscope } from 'lucide-react';
 
 export default function ServiceCard({ service }) {
     const navigate = useNavigate();
@@ -61,7 +61,13 @@ export default function ServiceCard({ service }) {
                 {service.isAtRisk && (
                     <Badge variant="warning" className="mt-2 w-fit">
                         <AlertTriangle className="w-3 h-3 mr-1" />
-                        At Risk
+                        At Risk{service.rootCause?.serviceName ? ` · root cause: ${service.rootCause.serviceName}` : ''}
+                    </Badge>
+                )}
+                {service.probeStatus?.failing && (
+                    <Badge variant="critical" className="mt-2 w-fit">
+                        <Stethoscope className="w-3 h-3 mr-1" />
+                        Probe failing: {service.probeStatus.failingProbes?.join(', ')}
                     </Badge>
                 )}
                 {service.autoHealingInProgress && (
@@ -73,4 +73,25 @@ export const servicesAPI = {
   }
 };
 
+// Dependencies API
+export const dependenciesAPI = {
+  getGraph: async () => {
+    const response = await api.get('/dependencies');
+    return response.data;
+  }
+};
+
+// Synthetic checks API
+export const syntheticsAPI = {
+  getAll: async () => {
+    const response = await api.get('/synthetics');
+    return response.data;
+  },
+
+  run: async (id) => {
+    const response = await api.post(`/synthetics/${id}/run`);
+    return response.data;
+  }
+};
+
 export default api;
@@ -2,7 +2,7 @@ import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { servicesAPI } from '@/lib/api';
 import ServiceCard from '@/components/ServiceCard';
-import { Activity, RefreshCw, LogOut, Settings } from 'lucide-react';
+import { Activity, RefreshCw, LogOut, Settings, Network, FlaskConical } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 
 export default function Dashboard() {
@@ -66,6 +66,24 @@ export default function Dashboard() {
                                 <Activity className="w-4 h-4 animate-pulse text-neon-green" />
                                 <span>Live</span>
                             </div>
+                            <Button
+                                onClick={() => navigate('/topology')}
+                                variant="outline"
+                                size="sm"
+                                className="border-slate-700 text-slate-300 hover:bg-slate-800 hover:text-white"
+                            >
+                                <Network className="w-4 h-4 mr-2" />
+                                Topology
+                            </Button>
+                            <Button
+                                onClick={() => navigate('/synthetics')}
+                                variant="outline"
+                                size="sm"
+                                className="border-slate-700 text-slate-300 hover:bg-slate-800 hover:text-white"
+                            >
+                                <FlaskConical className="w-4 h-4 mr-2" />
+                                Synthetics
+                            </Button>
                             <Button
                                 onClick={() => navigate('/settings')}
                                 variant="outline"
@@ -4,9 +4,10 @@ import { servicesAPI } from '@/lib/api';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import StatusBadge from '@/components/StatusBadge';
 import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
-import { ArrowLeft, Activity, TrendingUp, AlertTriangle, Clock, Zap } from 'lucide-react';
-import { formatTimestamp, getTrendIcon } from '@/lib/utils';
+import { ArrowLeft, Activity, TrendingUp, AlertTriangle, Clock, Zap, MemoryStick, Route, Cpu, Network, Stethoscope, Wrench, RefreshCw } from 'lucide-react';
+import { formatTimestamp, formatUptime, getTrendIcon } from '@/lib/utils';
 
 export default function ServiceDetail() {
     const { id } = useParams();
@@ -65,11 +66,20 @@ export default function ServiceDetail() {
         );
     }
 
-    const { service, metrics, events, baseline } = data;
+    const { service, metrics, events, routes = [], dependencies = [], probes = [], remediation, baseline } = data;
+
+    // Tail latency is only reported by agents with a latency sketch
+    const hasPercentiles = metrics.some((m) => typeof m.latencyP95 === 'number');
 
     // Use backend-calculated trend (Linear Regression)
     const latencyTrend = service.currentMetrics?.trend || 'stable';
 
+    // Baseline shifts (change-point detection), snapped to the nearest chart point
+    const shiftMarkers = (metric) => events
+        .filter((event) => event.type === 'baseline_shift' && event.metadata?.metric === metric)
+        .map((event) => ({ ...event.metadata, x: nearestTimestamp(metrics, event.metadata.changedAt) }))
+        .filter((marker) => marker.x);
+
     return (
         <div className="min-h-screen gradient-bg">
             <div className="container mx-auto px-4 py-8">
@@ -93,6 +103,11 @@ export default function ServiceDetail() {
                                         Trend: {getTrendIcon(latencyTrend)} {latencyTrend}
                                     </Badge>
                                 )}
+                                {service.droppedSamples > 0 && (
+                                    <Badge variant="outline" className="text-sm border-neon-yellow text-neon-yellow">
+                                        ⚠️ {service.droppedSamples} samples lost while offline
+                                    </Badge>
+                                )}
                             </div>
                         </div>
                         <div className="flex space-x-2">
@@ -113,13 +128,21 @@ export default function ServiceDetail() {
                 </div>
 
                 {/* Current Metrics */}
-                <div className="grid grid-cols-1 md:grid-cols-5 gap-4 mb-8">
+                <div className="grid grid-cols-1 md:grid-cols-6 gap-4 mb-8">
                     <MetricCard
                         icon={<Activity className="w-5 h-5" />}
                         label="Avg Latency"
                         value={`${service.currentMetrics?.avgLatency || 0}ms`}
                         baseline={baseline ? `Baseline: ${baseline.avgLatency.toFixed(0)}ms` : null}
                     />
+                    <MetricCard
+                        icon={<Activity className="w-5 h-5" />}
+                        label="P95 Latency"
+                        value={typeof service.currentMetrics?.latencyP95 === 'number' ? `${service.currentMetrics.latencyP95}ms` : '—'}
+                        baseline={typeof service.currentMetrics?.latencyP99 === 'number'
+                            ? `P99: ${service.currentMetrics.latencyP99}ms · Max: ${service.currentMetrics.latencyMax}ms`
+                            : null}
+                    />
                     <MetricCard
                         icon={<AlertTriangle className="w-5 h-5" />}
                         label="Error Rate"
@@ -181,6 +204,7 @@ export default function ServiceDetail() {
                                             label={{ value: 'Baseline', fill: 'hsl(142.1 76.2% 36.3%)', fontSize: 12 }}
                                         />
                                     )}
+                                    {shiftMarkers('latency').map((marker) => renderShiftLine(marker, 'ms'))}
                                     <Line
                                         type="monotone"
                                         dataKey="latency"
@@ -189,6 +213,29 @@ export default function ServiceDetail() {
                                         dot={false}
                                         name="Latency (ms)"
                                     />
+                                    {hasPercentiles && (
+                                        <Line
+                                            type="monotone"
+                                            dataKey="latencyP95"
+                                            stroke="hsl(38 92% 50%)"
+                                            strokeWidth={1.5}
+                                            dot={false}
+                                            connectNulls
+                                            name="P95 (ms)"
+                                        />
+                                    )}
+                                    {hasPercentiles && (
+                                        <Line
+                                            type="monotone"
+                                            dataKey="latencyP99"
+                                            stroke="hsl(0 84% 60%)"
+                                            strokeWidth={1.5}
+                                            strokeDasharray="4 2"
+                                            dot={false}
+                                            connectNulls
+                                            name="P99 (ms)"
+                                        />
+                                    )}
                                 </LineChart>
                             </ResponsiveContainer>
                         </CardContent>
@@ -230,6 +277,7 @@ export default function ServiceDetail() {
                                             label={{ value: 'Baseline', fill: 'hsl(142.1 76.2% 36.3%)', fontSize: 12 }}
                                         />
                                     )}
+                                    {shiftMarkers('errorRate').map((marker) => renderShiftLine(marker, '%'))}
                                     <Line
                                         type="monotone"
                                         dataKey="errorRate"
@@ -244,6 +292,30 @@ export default function ServiceDetail() {
                     </Card>
                 </div>
 
+                {/* Memory Forecast */}
+                <MemoryForecastCard metrics={metrics} forecast={service.memoryForecast} />
+
+                {/* Runtime (event loop, CPU, GC) */}
+                <RuntimeCard metrics={metrics} runtime={service.runtime} />
+
+                {/* Route Breakdown */}
+                <RouteBreakdownCard routes={routes} />
+
+                {/* Outbound Dependencies */}
+                <DependencyBreakdownCard dependencies={dependencies} />
+
+                {/* Active Probes */}
+                <ProbesCard probes={probes} />
+
+                {/* Remediation */}
+                {remediation && (
+                    <RemediationCard
+                        service={service}
+                        remediation={remediation}
+                        onTriggered={fetchServiceHistory}
+                    />
+                )}
+
                 {/* Events Timeline */}
                 <Card className="animate-fade-in">
                     <CardHeader>
@@ -266,6 +338,31 @@ export default function ServiceDetail() {
     );
 }
 
+// Returned as a plain element: recharts only picks up ReferenceLine as a direct chart child
+function renderShiftLine(marker, unit) {
+    const delta = marker.after - marker.before;
+    return (
+        <ReferenceLine
+            key={marker.changedAt}
+            x={marker.x}
+            stroke="hsl(48 96% 53%)"
+            strokeDasharray="3 3"
+            label={{
+                value: `Shift ${delta >= 0 ? '+' : ''}${delta.toFixed(1)}${unit}`,
+                fill: 'hsl(48 96% 53%)',
+                fontSize: 12,
+                position: 'insideTopLeft',
+            }}
+        />
+    );
+}
+
+function nearestTimestamp(points, timestamp) {
+    const target = new Date(timestamp).getTime();
+    const point = points.find((p) => new Date(p.timestamp).getTime() >= target);
+    return point ? point.timestamp : null;
+}
+
 function MetricCard({ icon, label, value, baseline }) {
     return (
         <Card>
@@ -285,6 +382,535 @@ function MetricCard({ icon, label, value, baseline }) {
     );
 }
 
+function RouteBreakdownCard({ routes }) {
+    return (
+        <Card className="animate-fade-in mb-8">
+            <CardHeader>
+                <CardTitle className="text-lg flex items-center">
+                    <Route className="w-5 h-5 mr-2 text-neon-cyan" />
+                    Routes
+                </CardTitle>
+            </CardHeader>
+            <CardContent>
+                {routes.length === 0 ? (
+                    <p className="text-muted-foreground text-center py-8">No per-route data reported</p>
+                ) : (
+                    <div className="overflow-x-auto">
+                        <table className="w-full text-sm">
+                            <thead>
+                                <tr className="text-left text-muted-foreground border-b border-border">
+                                    <th className="py-2 pr-4 font-medium">Route</th>
+                                    <th className="py-2 pr-4 font-medium text-right">Requests</th>
+                                    <th className="py-2 pr-4 font-medium text-right">Error Rate</th>
+                                    <th className="py-2 pr-4 font-medium text-right">Avg Latency</th>
+                                    <th className="py-2 font-medium text-right">Peak P95</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {routes.map((route) => (
+                                    <tr key={`${route.method} ${route.route}`} className="border-b border-border last:border-0">
+                                        <td className="py-2 pr-4 font-mono">
+                                            <span className="text-muted-foreground mr-2">{route.method}</span>
+                                            {route.route}
+                                        </td>
+                                        <td className="py-2 pr-4 text-right">{route.requestCount}</td>
+                                        <td className={`py-2 pr-4 text-right ${route.errorRate >= 5 ? 'text-neon-red font-semibold' : ''}`}>
+                                            {route.errorRate.toFixed(2)}%
+                                        </td>
+                                        <td className="py-2 pr-4 text-right">{route.avgLatency}ms</td>
+                                        <td className="py-2 text-right">
+                                            {typeof route.peakLatencyP95 === 'number' ? `${route.peakLatencyP95}ms` : '—'}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </CardContent>
+        </Card>
+    );
+}
+
+function DependencyBreakdownCard({ dependencies }) {
+    return (
+        <Card className="animate-fade-in mb-8">
+            <CardHeader>
+                <CardTitle className="text-lg flex items-center">
+                    <Network className="w-5 h-5 mr-2 text-neon-cyan" />
+                    Outbound Dependencies
+                </CardTitle>
+            </CardHeader>
+            <CardContent>
+                {dependencies.length === 0 ? (
+                    <p className="text-muted-foreground text-center py-8">No outbound calls reported</p>
+                ) : (
+                    <div className="overflow-x-auto">
+                        <table className="w-full text-sm">
+                            <thead>
+                                <tr className="text-left text-muted-foreground border-b border-border">
+                                    <th className="py-2 pr-4 font-medium">Target</th>
+                                    <th className="py-2 pr-4 font-medium text-right">Calls</th>
+                                    <th className="py-2 pr-4 font-medium text-right">Error Rate</th>
+                                    <th className="py-2 pr-4 font-medium text-right">Avg Latency</th>
+                                    <th className="py-2 pr-4 font-medium text-right">Last 5m</th>
+                                    <th className="py-2 font-medium text-right">Peak P95</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {dependencies.map((dependency) => (
+                                    <tr key={dependency.target} className="border-b border-border last:border-0">
+                                        <td className="py-2 pr-4 font-mono">
+                                            {dependency.target}
+                                            {dependency.slow && (
+                                                <Badge variant="outline" className="ml-2 text-xs border-neon-yellow text-neon-yellow">
+                                                    Slow
+                                                </Badge>
+                                            )}
+                                        </td>
+                                        <td className="py-2 pr-4 text-right">{dependency.callCount}</td>
+                                        <td className={`py-2 pr-4 text-right ${dependency.errorRate >= 5 ? 'text-neon-red font-semibold' : ''}`}>
+                                            {dependency.errorRate.toFixed(2)}%
+                                        </td>
+                                        <td className="py-2 pr-4 text-right">{dependency.avgLatency}ms</td>
+                                        <td className={`py-2 pr-4 text-right ${dependency.slow ? 'text-neon-yellow font-semibold' : ''}`}>
+                                            {typeof dependency.recentAvgLatency === 'number' ? `${dependency.recentAvgLatency}ms` : '—'}
+                                        </td>
+                                        <td className="py-2 text-right">
+                                            {typeof dependency.peakLatencyP95 === 'number' ? `${dependency.peakLatencyP95}ms` : '—'}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </CardContent>
+        </Card>
+    );
+}
+
+function ProbesCard({ probes }) {
+    return (
+        <Card className="animate-fade-in mb-8">
+            <CardHeader>
+                <CardTitle className="text-lg flex items-center">
+                    <Stethoscope className="w-5 h-5 mr-2 text-neon-cyan" />
+                    Active Probes
+                </CardTitle>
+            </CardHeader>
+            <CardContent>
+                {probes.length === 0 ? (
+                    <p className="text-muted-foreground text-center py-8">No probes configured</p>
+                ) : (
+                    <div className="overflow-x-auto">
+                        <table className="w-full text-sm">
+                            <thead>
+                                <tr className="text-left text-muted-foreground border-b border-border">
+                                    <th className="py-2 pr-4 font-medium">Probe</th>
+                                    <th className="py-2 pr-4 font-medium">Target</th>
+                                    <th className="py-2 pr-4 font-medium">Status</th>
+                                    <th className="py-2 pr-4 font-medium text-right">Code</th>
+                                    <th className="py-2 pr-4 font-medium text-right">Latency</th>
+                                    <th className="py-2 pr-4 font-medium text-right">Success Rate</th>
+                                    <th className="py-2 font-medium">Last Error</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {probes.map((probe) => (
+                                    <tr key={probe.id} className="border-b border-border last:border-0">
+                                        <td className="py-2 pr-4 font-semibold">{probe.name}</td>
+                                        <td className="py-2 pr-4 font-mono">{probe.method} {probe.url || probe.path}</td>
+                                        <td className="py-2 pr-4">
+                                            {!probe.enabled ? (
+                                                <Badge variant="outline" className="text-xs">Disabled</Badge>
+                                            ) : !probe.lastRunAt ? (
+                                                <Badge variant="outline" className="text-xs">Pending</Badge>
+                                            ) : probe.lastSuccess ? (
+                                                <Badge variant="healthy" className="text-xs">Passing</Badge>
+                                            ) : (
+                                                <Badge variant="critical" className="text-xs">
+                                                    Failing{probe.consecutiveFailures > 1 ? ` ×${probe.consecutiveFailures}` : ''}
+                                                </Badge>
+                                            )}
+                                        </td>
+                                        <td className="py-2 pr-4 text-right">{probe.lastStatusCode ?? '—'}</td>
+                                        <td className="py-2 pr-4 text-right">
+                                            {typeof probe.lastLatencyMs === 'number' ? `${probe.lastLatencyMs}ms` : '—'}
+                                        </td>
+                                        <td className={`py-2 pr-4 text-right ${probe.successRate !== null && probe.successRate < 99 ? 'text-neon-yellow font-semibold' : ''}`}>
+                                            {probe.successRate !== null ? `${probe.successRate}%` : '—'}
+                                        </td>
+                                        <td className="py-2 text-neon-red text-xs">{probe.lastSuccess === false ? probe.lastError : ''}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </CardContent>
+        </Card>
+    );
+}
+
+const OUTCOME_VARIANTS = {
+    running: 'warning',
+    verifying: 'warning',
+    recovered: 'healthy',
+    failed: 'critical'
+};
+
+function describeAction(remediation) {
+    switch (remediation.action) {
+        case 'command': return remediation.command;
+        case 'signal': {
+            const target = remediation.target === 'agent'
+                ? `the agent's pid${remediation.agent ? ` (${remediation.agent.pid} on ${remediation.agent.hostname})` : ''}`
+                : remediation.pid ? `pid ${remediation.pid}` : `the pid in ${remediation.pidFile}`;
+            return `${remediation.signal || 'SIGTERM'} to ${target}`;
+        }
+        case 'webhook': return 'POST /admin/restart on the service';
+        case 'http': return `${remediation.method || 'POST'} ${remediation.url}`;
+        default: return null;
+    }
+}
+
+function RemediationCard({ service, remediation, onTriggered }) {
+    const [triggering, setTriggering] = useState(false);
+    const [result, setResult] = useState(null);
+
+    const handleRemediate = async () => {
+        setTriggering(true);
+        setResult(null);
+        try {
+            const response = await servicesAPI.restart(service.id, service.name);
+            setResult({ ok: true, message: response.message });
+        } catch (error) {
+            setResult({ ok: false, message: error.response?.data?.error || error.message });
+        } finally {
+            setTriggering(false);
+            onTriggered();
+        }
+    };
+
+    return (
+        <Card className="animate-fade-in mb-8">
+            <CardHeader>
+                <div className="flex items-center justify-between">
+                    <CardTitle className="text-lg flex items-center">
+                        <Wrench className="w-5 h-5 mr-2 text-neon-cyan" />
+                        Remediation
+                    </CardTitle>
+                    <Button
+                        onClick={handleRemediate}
+                        disabled={triggering || !remediation.action || service.autoHealingInProgress}
+                        variant="outline"
+                        size="sm"
+                        className="border-slate-700 text-slate-300 hover:bg-slate-800 hover:text-white"
+                    >
+                        <RefreshCw className={`w-4 h-4 mr-2 ${triggering || service.autoHealingInProgress ? 'animate-spin' : ''}`} />
+                        {service.autoHealingInProgress ? 'Verifying...' : 'Remediate now'}
+                    </Button>
+                </div>
+            </CardHeader>
+            <CardContent>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm mb-4">
+                    <div>
+                        <p className="text-xs text-muted-foreground">Action</p>
+                        <p className="font-semibold">
+                            {remediation.action || 'None configured'}
+                            {remediation.action && !remediation.auto && (
+                                <Badge variant="outline" className="text-xs ml-2">Manual only</Badge>
+                            )}
+                        </p>
+                        {remediation.action && (
+                            <p className="font-mono text-xs text-muted-foreground break-all">{describeAction(remediation)}</p>
+                        )}
+                    </div>
+                    <div>
+                        <p className="text-xs text-muted-foreground">Agent Process</p>
+                        <p className="font-semibold">
+                            {remediation.agent ? `pid ${remediation.agent.pid}` : '—'}
+                        </p>
+                        {remediation.agent && (
+                            <p className="text-xs text-muted-foreground">{remediation.agent.hostname}</p>
+                        )}
+                    </div>
+                    <div>
+                        <p className="text-xs text-muted-foreground">Configured</p>
+                        <p className="font-semibold">
+                            {remediation.updatedAt ? formatTimestamp(remediation.updatedAt) : '—'}
+                        </p>
+                        {remediation.updatedBy && (
+                            <p className="text-xs text-muted-foreground">by {remediation.updatedBy}</p>
+                        )}
+                    </div>
+                </div>
+
+                {result && (
+                    <p className={`text-sm mb-4 ${result.ok ? 'text-neon-green' : 'text-neon-red'}`}>{result.message}</p>
+                )}
+
+                {remediation.attempts.length === 0 ? (
+                    <p className="text-muted-foreground text-center py-6">No remediation attempts yet</p>
+                ) : (
+                    <div className="overflow-x-auto">
+                        <table className="w-full text-sm">
+                            <thead>
+                                <tr className="text-left text-muted-foreground border-b border-border">
+                                    <th className="py-2 pr-4 font-medium">Started</th>
+                                    <th className="py-2 pr-4 font-medium">Action</th>
+                                    <th className="py-2 pr-4 font-medium">Trigger</th>
+                                    <th className="py-2 pr-4 font-medium">Outcome</th>
+                                    <th className="py-2 pr-4 font-medium">Executor</th>
+                                    <th className="py-2 font-medium">Details</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {remediation.attempts.map((attempt) => (
+                                    <tr key={attempt.id} className="border-b border-border last:border-0">
+                                        <td className="py-2 pr-4">{formatTimestamp(attempt.startedAt)}</td>
+                                        <td className="py-2 pr-4 font-semibold">{attempt.action}</td>
+                                        <td className="py-2 pr-4 text-muted-foreground">
+                                            {attempt.triggeredBy === 'auto' ? 'auto' : attempt.requestedBy || 'manual'}
+                                        </td>
+                                        <td className="py-2 pr-4">
+                                            <Badge variant={OUTCOME_VARIANTS[attempt.outcome]} className="text-xs">
+                                                {attempt.outcome}
+                                            </Badge>
+                                        </td>
+                                        <td className="py-2 pr-4 text-xs">
+                                            {attempt.execution?.detail || '—'}
+                                        </td>
+                                        <td className={`py-2 text-xs ${attempt.outcome === 'failed' ? 'text-neon-red' : 'text-muted-foreground'}`}>
+                                            {attempt.outcome === 'failed'
+                                                ? attempt.failureReason
+                                                : `${attempt.restartObserved ? 'restart seen · ' : ''}${attempt.healthyHeartbeats} healthy heartbeats`}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </CardContent>
+        </Card>
+    );
+}
+
+function RuntimeCard({ metrics, runtime }) {
+    const hasRuntime = metrics.some((m) => m.runtime);
+    const format = (value, unit) => (typeof value === 'number' ? `${value}${unit}` : '—');
+
+    return (
+        <Card className="animate-fade-in mb-8">
+            <CardHeader>
+                <CardTitle className="text-lg flex items-center">
+                    <Cpu className="w-5 h-5 mr-2 text-neon-cyan" />
+                    Runtime
+                </CardTitle>
+            </CardHeader>
+            <CardContent>
+                {!hasRuntime ? (
+                    <p className="text-muted-foreground text-center py-8">No runtime data reported</p>
+                ) : (
+                    <>
+                        <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6 text-sm">
+                            <div>
+                                <p className="text-muted-foreground">Event Loop P99</p>
+                                <p className={`text-xl font-bold ${runtime?.eventLoopDelayP99 >= 100 ? 'text-neon-yellow' : ''}`}>
+                                    {format(runtime?.eventLoopDelayP99, 'ms')}
+                                </p>
+                            </div>
+                            <div>
+                                <p className="text-muted-foreground">CPU</p>
+                                <p className="text-xl font-bold">{format(runtime?.cpuPercent, '%')}</p>
+                            </div>
+                            <div>
+                                <p className="text-muted-foreground">RSS</p>
+                                <p className="text-xl font-bold">{format(runtime?.rssMb, ' MB')}</p>
+                            </div>
+                            <div>
+                                <p className="text-muted-foreground">Active Handles</p>
+                                <p className="text-xl font-bold">{format(runtime?.activeHandles, '')}</p>
+                            </div>
+                            <div>
+                                <p className="text-muted-foreground">GC Pause</p>
+                                <p className="text-xl font-bold">{format(runtime?.gcPauseMs, 'ms')}</p>
+                                {typeof runtime?.gcCount === 'number' && (
+                                    <p className="text-xs text-muted-foreground mt-1">{runtime.gcCount} collections</p>
+                                )}
+                            </div>
+                        </div>
+
+                        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                            <RuntimeChart
+                                title="Event Loop Delay (ms)"
+                                metrics={metrics}
+                                lines={[
+                                    { dataKey: 'runtime.eventLoopDelayP99', name: 'P99', stroke: 'hsl(189 94% 43%)' },
+                                    { dataKey: 'runtime.eventLoopDelayMax', name: 'Max', stroke: 'hsl(0 84% 60%)' },
+                                    { dataKey: 'runtime.gcPauseMs', name: 'GC Pause', stroke: 'hsl(38 92% 50%)' },
+                                ]}
+                            />
+                            <RuntimeChart
+                                title="CPU (% of one core)"
+                                metrics={metrics}
+                                lines={[
+                                    { dataKey: 'runtime.cpuPercent', name: 'CPU (%)', stroke: 'hsl(142.1 76.2% 36.3%)' },
+                                ]}
+                            />
+                            <RuntimeChart
+                                title="Process Memory (MB)"
+                                metrics={metrics}
+                                lines={[
+                                    { dataKey: 'runtime.rssMb', name: 'RSS', stroke: 'hsl(48 96% 53%)' },
+                                    { dataKey: 'runtime.externalMb', name: 'External', stroke: 'hsl(189 94% 43%)' },
+                                ]}
+                            />
+                        </div>
+                    </>
+                )}
+            </CardContent>
+        </Card>
+    );
+}
+
+function RuntimeChart({ title, metrics, lines }) {
+    return (
+        <div>
+            <p className="text-sm text-muted-foreground mb-2">{title}</p>
+            <ResponsiveContainer width="100%" height={200}>
+                <LineChart data={metrics}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="hsl(240 3.7% 15.9%)" />
+                    <XAxis
+                        dataKey="timestamp"
+                        tickFormatter={(ts) => new Date(ts).toLocaleTimeString()}
+                        stroke="hsl(240 5% 64.9%)"
+                        style={{ fontSize: '12px' }}
+                    />
+                    <YAxis
+                        stroke="hsl(240 5% 64.9%)"
+                        style={{ fontSize: '12px' }}
+                    />
+                    <Tooltip
+                        contentStyle={{
+                            backgroundColor: 'hsl(240 10% 3.9%)',
+                            border: '1px solid hsl(240 3.7% 15.9%)',
+                            borderRadius: '8px',
+                        }}
+                        labelFormatter={(ts) => new Date(ts).toLocaleString()}
+                    />
+                    <Legend />
+                    {lines.map((line) => (
+                        <Line
+                            key={line.dataKey}
+                            type="monotone"
+                            dataKey={line.dataKey}
+                            stroke={line.stroke}
+                            strokeWidth={2}
+                            dot={false}
+                            name={line.name}
+                            connectNulls
+                        />
+                    ))}
+                </LineChart>
+            </ResponsiveContainer>
+        </div>
+    );
+}
+
+function MemoryForecastCard({ metrics, forecast }) {
+    const hasTrend = forecast && typeof forecast.slopeMbPerHour === 'number';
+    const exhaustionAt = forecast?.projectedExhaustionAt ? new Date(forecast.projectedExhaustionAt) : null;
+
+    return (
+        <Card className="animate-fade-in mb-8">
+            <CardHeader>
+                <div className="flex items-center justify-between">
+                    <CardTitle className="text-lg flex items-center">
+                        <MemoryStick className="w-5 h-5 mr-2 text-neon-cyan" />
+                        Memory Trend
+                    </CardTitle>
+                    {forecast?.leakSuspected && (
+                        <Badge variant="outline" className="text-sm border-neon-yellow text-neon-yellow">
+                            ⚠️ Leak suspected
+                        </Badge>
+                    )}
+                </div>
+            </CardHeader>
+            <CardContent>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6 text-sm">
+                    <div>
+                        <p className="text-muted-foreground">Growth</p>
+                        <p className="text-xl font-bold">
+                            {hasTrend ? `${forecast.slopeMbPerHour >= 0 ? '+' : ''}${forecast.slopeMbPerHour.toFixed(1)} MB/h` : '—'}
+                        </p>
+                        {hasTrend && (
+                            <p className="text-xs text-muted-foreground mt-1">
+                                R² {forecast.rSquared.toFixed(2)} over {forecast.windowMinutes}m
+                            </p>
+                        )}
+                    </div>
+                    <div>
+                        <p className="text-muted-foreground">Ceiling</p>
+                        <p className="text-xl font-bold">{forecast?.ceilingMb ? `${forecast.ceilingMb} MB` : '—'}</p>
+                    </div>
+                    <div className="col-span-2">
+                        <p className="text-muted-foreground">Projected exhaustion</p>
+                        <p className={`text-xl font-bold ${forecast?.leakSuspected ? 'text-neon-yellow' : ''}`}>
+                            {exhaustionAt
+                                ? `in ${formatUptime(exhaustionAt - Date.now())} (${exhaustionAt.toLocaleString()})`
+                                : hasTrend ? 'Not projected' : 'Collecting history...'}
+                        </p>
+                    </div>
+                </div>
+
+                <ResponsiveContainer width="100%" height={250}>
+                    <LineChart data={metrics}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="hsl(240 3.7% 15.9%)" />
+                        <XAxis
+                            dataKey="timestamp"
+                            tickFormatter={(ts) => new Date(ts).toLocaleTimeString()}
+                            stroke="hsl(240 5% 64.9%)"
+                            style={{ fontSize: '12px' }}
+                        />
+                        <YAxis
+                            stroke="hsl(240 5% 64.9%)"
+                            style={{ fontSize: '12px' }}
+                        />
+                        <Tooltip
+                            contentStyle={{
+                                backgroundColor: 'hsl(240 10% 3.9%)',
+                                border: '1px solid hsl(240 3.7% 15.9%)',
+                                borderRadius: '8px',
+                            }}
+                            labelFormatter={(ts) => new Date(ts).toLocaleString()}
+                        />
+                        <Legend />
+                        {forecast?.leakSuspected && (
+                            <ReferenceLine
+                                y={forecast.ceilingMb}
+                                stroke="hsl(0 84% 60%)"
+                                strokeDasharray="5 5"
+                                label={{ value: 'Ceiling', fill: 'hsl(0 84% 60%)', fontSize: 12 }}
+                            />
+                        )}
+                        <Line
+                            type="monotone"
+                            dataKey="memoryUsage"
+                            stroke="hsl(48 96% 53%)"
+                            strokeWidth={2}
+                            dot={false}
+                            name="Memory (MB)"
+                        />
+                    </LineChart>
+                </ResponsiveContainer>
+            </CardContent>
+        </Card>
+    );
+}
+
 function EventItem({ event }) {
     const severityColors = {
         info: 'border-neon-cyan',
@@ -0,0 +1,229 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { syntheticsAPI } from '@/lib/api';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { ArrowLeft, FlaskConical, RefreshCw, Play } from 'lucide-react';
+import { formatTimestamp } from '@/lib/utils';
+
+const STEP_COLORS = {
+    passed: 'bg-neon-green',
+    failed: 'bg-neon-red',
+    skipped: 'bg-slate-700'
+};
+
+export default function Synthetics() {
+    const navigate = useNavigate();
+    const [checks, setChecks] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [running, setRunning] = useState(null);
+    const [lastUpdate, setLastUpdate] = useState(null);
+
+    const fetchChecks = async () => {
+        try {
+            const response = await syntheticsAPI.getAll();
+            if (response.success) {
+                setChecks(response.data);
+                setLastUpdate(new Date());
+            }
+        } catch (error) {
+            console.error('Error fetching synthetic checks:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleRun = async (id) => {
+        setRunning(id);
+        try {
+            await syntheticsAPI.run(id);
+            await fetchChecks();
+        } catch (error) {
+            console.error('Error running synthetic check:', error);
+        } finally {
+            setRunning(null);
+        }
+    };
+
+    useEffect(() => {
+        fetchChecks();
+
+        // Checks run every 10s at most, so a slower refresh is enough
+        const interval = setInterval(fetchChecks, 5000);
+
+        return () => clearInterval(interval);
+    }, []);
+
+    if (loading) {
+        return (
+            <div className="min-h-screen gradient-bg flex items-center justify-center">
+                <div className="text-center">
+                    <RefreshCw className="w-12 h-12 animate-spin text-neon-green mx-auto mb-4" />
+                    <p className="text-muted-foreground">Loading synthetic checks...</p>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="min-h-screen gradient-bg">
+            <div className="container mx-auto px-4 py-8">
+                {/* Header */}
+                <div className="mb-8 animate-fade-in">
+                    <button
+                        onClick={() => navigate('/')}
+                        className="flex items-center text-muted-foreground hover:text-foreground mb-4 transition-colors"
+                    >
+                        <ArrowLeft className="w-4 h-4 mr-2" />
+                        Back to Dashboard
+                    </button>
+                    <h1 className="text-4xl font-bold flex items-center">
+                        <FlaskConical className="w-9 h-9 mr-3 text-neon-cyan" />
+                        Synthetic Checks
+                    </h1>
+                    <p className="text-muted-foreground mt-2">
+                        Scripted journeys across services with per-step timings • Last updated: {lastUpdate?.toLocaleTimeString()}
+                    </p>
+                </div>
+
+                {checks.length === 0 ? (
+                    <div className="text-center py-12">
+                        <FlaskConical className="w-16 h-16 text-muted-foreground mx-auto mb-4" />
+                        <p className="text-xl text-muted-foreground">No synthetic checks defined yet</p>
+                        <p className="text-sm text-muted-foreground mt-2">
+                            Create one with POST /synthetics
+                        </p>
+                    </div>
+                ) : (
+                    <div className="space-y-6">
+                        {checks.map((check) => (
+                            <CheckCard
+                                key={check.id}
+                                check={check}
+                                running={running === check.id}
+                                onRun={() => handleRun(check.id)}
+                            />
+                        ))}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+function CheckStatus({ check }) {
+    if (!check.enabled) return <Badge variant="outline">Disabled</Badge>;
+    if (check.lastSuccess === null) return <Badge variant="outline">Pending</Badge>;
+    if (check.lastSuccess) return <Badge variant="healthy">Passing</Badge>;
+    return (
+        <Badge variant={check.consecutiveFailures >= check.failureThreshold ? 'critical' : 'warning'}>
+            Failing{check.consecutiveFailures > 1 ? ` ×${check.consecutiveFailures}` : ''}
+        </Badge>
+    );
+}
+
+function CheckCard({ check, running, onRun }) {
+    const run = check.lastRun;
+    const totalMs = run ? Math.max(run.steps.reduce((sum, step) => sum + (step.latencyMs || 0), 0), 1) : 1;
+
+    return (
+        <Card className="animate-fade-in">
+            <CardHeader>
+                <div className="flex items-center justify-between">
+                    <div>
+                        <CardTitle className="text-lg flex items-center gap-3">
+                            {check.name}
+                            <CheckStatus check={check} />
+                        </CardTitle>
+                        {check.description && (
+                            <p className="text-sm text-muted-foreground mt-1">{check.description}</p>
+                        )}
+                    </div>
+                    <div className="flex items-center gap-6 text-sm">
+                        <div className="text-right">
+                            <p className="text-xs text-muted-foreground">Success (24h)</p>
+                            <p className="font-semibold">
+                                {check.stats.successRate !== null ? `${check.stats.successRate}%` : '—'}
+                            </p>
+                        </div>
+                        <div className="text-right">
+                            <p className="text-xs text-muted-foreground">Avg Duration</p>
+                            <p className="font-semibold">
+                                {check.stats.avgDurationMs !== null ? `${check.stats.avgDurationMs}ms` : '—'}
+                            </p>
+                        </div>
+                        <div className="text-right">
+                            <p className="text-xs text-muted-foreground">Last Run</p>
+                            <p className="font-semibold">{check.lastRunAt ? formatTimestamp(check.lastRunAt) : 'never'}</p>
+                        </div>
+                        <Button
+                            onClick={onRun}
+                            disabled={running}
+                            variant="outline"
+                            size="sm"
+                            className="border-slate-700 text-slate-300 hover:bg-slate-800 hover:text-white"
+                        >
+                            {running
+                                ? <RefreshCw className="w-4 h-4 mr-2 animate-spin" />
+                                : <Play className="w-4 h-4 mr-2" />}
+                            Run now
+                        </Button>
+                    </div>
+                </div>
+            </CardHeader>
+            <CardContent>
+                {!run ? (
+                    <p className="text-muted-foreground text-center py-6">Not run yet</p>
+                ) : (
+                    <div className="overflow-x-auto">
+                        <table className="w-full text-sm">
+                            <thead>
+                                <tr className="text-left text-muted-foreground border-b border-border">
+                                    <th className="py-2 pr-4 font-medium">#</th>
+                                    <th className="py-2 pr-4 font-medium">Step</th>
+                                    <th className="py-2 pr-4 font-medium">Request</th>
+                                    <th className="py-2 pr-4 font-medium text-right">Code</th>
+                                    <th className="py-2 pr-4 font-medium text-right">Time</th>
+                                    <th className="py-2 pr-4 font-medium w-1/4">Timeline</th>
+                                    <th className="py-2 font-medium">Error</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {run.steps.map((step, index) => {
+                                    const offset = run.steps.slice(0, index).reduce((sum, s) => sum + (s.latencyMs || 0), 0);
+                                    return (
+                                        <tr key={step.name} className="border-b border-border last:border-0">
+                                            <td className="py-2 pr-4 text-muted-foreground">{index + 1}</td>
+                                            <td className={`py-2 pr-4 font-semibold ${step.status === 'skipped' ? 'text-muted-foreground' : ''}`}>
+                                                {step.name}
+                                                <span className="block text-xs font-normal text-muted-foreground">{step.service}</span>
+                                            </td>
+                                            <td className="py-2 pr-4 font-mono text-xs">{step.method} {step.url || '—'}</td>
+                                            <td className="py-2 pr-4 text-right">{step.statusCode ?? '—'}</td>
+                                            <td className="py-2 pr-4 text-right">
+                                                {typeof step.latencyMs === 'number' ? `${step.latencyMs}ms` : '—'}
+                                            </td>
+                                            <td className="py-2 pr-4">
+                                                <div className="relative h-2 bg-slate-800 rounded">
+                                                    <div
+                                                        className={`absolute h-2 rounded ${STEP_COLORS[step.status]}`}
+                                                        style={{
+                                                            left: `${(offset / totalMs) * 100}%`,
+                                                            width: step.status === 'skipped' ? '0%' : `${Math.max(((step.latencyMs || 0) / totalMs) * 100, 1)}%`
+                                                        }}
+                                                    />
+                                                </div>
+                                            </td>
+                                            <td className="py-2 text-neon-red text-xs">{step.error}</td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </CardContent>
+        </Card>
+    );
+}
@@ -0,0 +1,312 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { dependenciesAPI } from '@/lib/api';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { ArrowLeft, Network, RefreshCw, AlertTriangle } from 'lucide-react';
+
+const STATUS_COLORS = {
+    healthy: 'hsl(142.1 76.2% 36.3%)',
+    warning: 'hsl(48 96% 53%)',
+    critical: 'hsl(0 84% 60%)',
+    analyzing: 'hsl(213 94% 68%)',
+    unknown: 'hsl(240 5% 64.9%)'
+};
+
+const NODE_WIDTH = 170;
+const NODE_HEIGHT = 52;
+const COLUMN_GAP = 120;
+const ROW_GAP = 36;
+const PADDING = 40;
+
+export default function Topology() {
+    const navigate = useNavigate();
+    const [graph, setGraph] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [hovered, setHovered] = useState(null);
+    const [lastUpdate, setLastUpdate] = useState(null);
+
+    const fetchGraph = async () => {
+        try {
+            const response = await dependenciesAPI.getGraph();
+            if (response.success) {
+                setGraph(response.data);
+                setLastUpdate(new Date());
+            }
+        } catch (error) {
+            console.error('Error fetching topology:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        fetchGraph();
+
+        // Same cadence as the dashboard so an incident shows up at once
+        const interval = setInterval(fetchGraph, 1000);
+
+        return () => clearInterval(interval);
+    }, []);
+
+    if (loading) {
+        return (
+            <div className="min-h-screen gradient-bg flex items-center justify-center">
+                <div className="text-center">
+                    <RefreshCw className="w-12 h-12 animate-spin text-neon-green mx-auto mb-4" />
+                    <p className="text-muted-foreground">Loading topology...</p>
+                </div>
+            </div>
+        );
+    }
+
+    const nodes = graph?.nodes || [];
+    const edges = graph?.edges || [];
+    const layout = layoutGraph(nodes, edges);
+
+    // Edges on a path from an at-risk service to its root cause
+    const cascadeEdges = new Set();
+    for (const node of nodes) {
+        const path = node.rootCause?.path || [];
+        for (let i = 0; i < path.length - 1; i++) {
+            cascadeEdges.add(`${path[i]}->${path[i + 1]}`);
+        }
+    }
+    const rootCauses = [...new Set(nodes.map((n) => n.rootCause?.serviceName).filter(Boolean))];
+    const atRisk = nodes.filter((n) => n.isAtRisk);
+
+    const isConnected = (edge) => hovered && (edge.serviceName === hovered || edge.dependsOn === hovered);
+
+    return (
+        <div className="min-h-screen gradient-bg">
+            <div className="container mx-auto px-4 py-8">
+                {/* Header */}
+                <div className="mb-8 animate-fade-in">
+                    <button
+                        onClick={() => navigate('/')}
+                        className="flex items-center text-muted-foreground hover:text-foreground mb-4 transition-colors"
+                    >
+                        <ArrowLeft className="w-4 h-4 mr-2" />
+                        Back to Dashboard
+                    </button>
+                    <h1 className="text-4xl font-bold flex items-center">
+                        <Network className="w-9 h-9 mr-3 text-neon-cyan" />
+                        Service Topology
+                    </h1>
+                    <p className="text-muted-foreground mt-2">
+                        Arrows point from a service to what it depends on • Click a service for details • Last updated: {lastUpdate?.toLocaleTimeString()}
+                    </p>
+                </div>
+
+                {/* Incident Scope */}
+                {rootCauses.length > 0 && (
+                    <Card className="animate-fade-in mb-6 border-neon-red">
+                        <CardContent className="pt-6">
+                            <div className="flex items-start">
+                                <AlertTriangle className="w-6 h-6 mr-3 text-neon-red flex-shrink-0" />
+                                <div>
+                                    <p className="font-semibold text-neon-red">
+                                        Cascading failure from {rootCauses.join(', ')}
+                                    </p>
+                                    <p className="text-sm text-muted-foreground mt-1">
+                                        {atRisk.length} service{atRisk.length === 1 ? '' : 's'} at risk: {atRisk.map((n) => n.name).join(', ')}
+                                    </p>
+                                </div>
+                            </div>
+                        </CardContent>
+                    </Card>
+                )}
+
+                <Card className="animate-fade-in">
+                    <CardHeader>
+                        <div className="flex items-center justify-between">
+                            <CardTitle className="text-lg">Dependency Graph</CardTitle>
+                            <div className="flex items-center gap-2 text-xs">
+                                {Object.entries(STATUS_COLORS).map(([status, color]) => (
+                                    <Badge key={status} variant="outline" className="capitalize" style={{ borderColor: color, color }}>
+                                        {status}
+                                    </Badge>
+                                ))}
+                                <Badge variant="outline" className="border-neon-yellow text-neon-yellow">At risk</Badge>
+                            </div>
+                        </div>
+                    </CardHeader>
+                    <CardContent>
+                        {nodes.length === 0 ? (
+                            <p className="text-muted-foreground text-center py-12">No services registered yet</p>
+                        ) : (
+                            <div className="overflow-x-auto">
+                                <svg
+                                    viewBox={`0 0 ${layout.width} ${layout.height}`}
+                                    className="w-full"
+                                    style={{ minWidth: `${Math.min(layout.width, 900)}px`, maxHeight: '70vh' }}
+                                >
+                                    <defs>
+                                        <marker id="arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+                                            <path d="M 0 0 L 10 5 L 0 10 z" fill="hsl(240 5% 64.9%)" />
+                                        </marker>
+                                        <marker id="arrow-cascade" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+                                            <path d="M 0 0 L 10 5 L 0 10 z" fill={STATUS_COLORS.critical} />
+                                        </marker>
+                                    </defs>
+
+                                    {/* Edges */}
+                                    {edges.map((edge) => {
+                                        const from = layout.positions.get(edge.serviceName);
+                                        const to = layout.positions.get(edge.dependsOn);
+                                        if (!from || !to) return null;
+
+                                        const cascade = cascadeEdges.has(`${edge.serviceName}->${edge.dependsOn}`);
+                                        const dimmed = hovered && !isConnected(edge);
+                                        return (
+                                            <path
+                                                key={edge.id}
+                                                d={edgePath(from, to)}
+                                                fill="none"
+                                                stroke={cascade ? STATUS_COLORS.critical : 'hsl(240 5% 64.9%)'}
+                                                strokeWidth={cascade || isConnected(edge) ? 3 : 1.5}
+                                                strokeDasharray={edge.source === 'learned' ? '6 4' : undefined}
+                                                opacity={dimmed ? 0.15 : 0.9}
+                                                markerEnd={cascade ? 'url(#arrow-cascade)' : 'url(#arrow)'}
+                                                className={cascade ? 'animate-pulse' : undefined}
+                                            >
+                                                <title>
+                                                    {`${edge.serviceName} → ${edge.dependsOn} (${edge.source})`}
+                                                </title>
+                                            </path>
+                                        );
+                                    })}
+
+                                    {/* Nodes */}
+                                    {nodes.map((node) => {
+                                        const { x, y } = layout.positions.get(node.name);
+                                        const color = STATUS_COLORS[node.status] || STATUS_COLORS.unknown;
+                                        const isRootCause = rootCauses.includes(node.name);
+                                        const dimmed = hovered && hovered !== node.name
+                                            && !edges.some((e) => isConnected(e) && (e.serviceName === node.name || e.dependsOn === node.name));
+                                        return (
+                                            <g
+                                                key={node.id}
+                                                transform={`translate(${x}, ${y})`}
+                                                onClick={() => navigate(`/service/${node.id}`)}
+                                                onMouseEnter={() => setHovered(node.name)}
+                                                onMouseLeave={() => setHovered(null)}
+                                                opacity={dimmed ? 0.35 : 1}
+                                                className="cursor-pointer"
+                                            >
+                                                {(node.isAtRisk || isRootCause) && (
+                                                    <rect
+                                                        x={-5}
+                                                        y={-5}
+                                                        width={NODE_WIDTH + 10}
+                                                        height={NODE_HEIGHT + 10}
+                                                        rx={12}
+                                                        fill="none"
+                                                        stroke={isRootCause ? STATUS_COLORS.critical : STATUS_COLORS.warning}
+                                                        strokeWidth={2}
+                                                        strokeDasharray={isRootCause ? undefined : '4 3'}
+                                                        className={isRootCause ? 'animate-pulse' : undefined}
+                                                    />
+                                                )}
+                                                <rect
+                                                    width={NODE_WIDTH}
+                                                    height={NODE_HEIGHT}
+                                                    rx={8}
+                                                    fill="hsl(240 10% 3.9%)"
+                                                    stroke={color}
+                                                    strokeWidth={2}
+                                                />
+                                                <circle cx={16} cy={NODE_HEIGHT / 2} r={6} fill={color} />
+                                                <text x={30} y={22} fill="hsl(0 0% 98%)" fontSize="14" fontWeight="600">
+                                                    {truncate(node.name, 17)}
+                                                </text>
+                                                <text x={30} y={40} fill={color} fontSize="12" className="capitalize">
+                                                    {node.status}{node.isAtRisk ? ' • at risk' : ''}
+                                                </text>
+                                                <title>
+                                                    {node.rootCause
+                                                        ? `${node.name}: root cause ${node.rootCause.serviceName} (${node.rootCause.path.join(' → ')})`
+                                                        : node.name}
+                                                </title>
+                                            </g>
+                                        );
+                                    })}
+                                </svg>
+                            </div>
+                        )}
+                        <p className="text-xs text-muted-foreground mt-4">
+                            Solid edges are declared, dashed edges were learned from agent traffic. Red edges trace at-risk services to their root cause.
+                        </p>
+                    </CardContent>
+                </Card>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Columns by dependency depth: services nothing else needs on the left,
+ * their dependencies further right, leaf dependencies in the last column.
+ */
+function layoutGraph(nodes, edges) {
+    const upstreams = new Map(nodes.map((n) => [n.name, []]));
+    for (const edge of edges) {
+        if (upstreams.has(edge.serviceName) && upstreams.has(edge.dependsOn)) {
+            upstreams.get(edge.serviceName).push(edge.dependsOn);
+        }
+    }
+
+    // Longest chain of dependencies below a service (cycles are cut where they close)
+    const depth = new Map();
+    const visiting = new Set();
+    const depthOf = (name) => {
+        if (depth.has(name)) return depth.get(name);
+        if (visiting.has(name)) return 0;
+        visiting.add(name);
+        const value = Math.max(-1, ...upstreams.get(name).map(depthOf)) + 1;
+        visiting.delete(name);
+        depth.set(name, value);
+        return value;
+    };
+    nodes.forEach((n) => depthOf(n.name));
+
+    const maxDepth = Math.max(0, ...depth.values());
+    const columns = Array.from({ length: maxDepth + 1 }, () => []);
+    for (const node of [...nodes].sort((a, b) => a.name.localeCompare(b.name))) {
+        columns[maxDepth - depth.get(node.name)].push(node.name);
+    }
+
+    const tallest = Math.max(...columns.map((c) => c.length));
+    const height = PADDING * 2 + tallest * NODE_HEIGHT + (tallest - 1) * ROW_GAP;
+    const positions = new Map();
+    columns.forEach((column, col) => {
+        const columnHeight = column.length * NODE_HEIGHT + (column.length - 1) * ROW_GAP;
+        const top = (height - columnHeight) / 2;
+        column.forEach((name, row) => {
+            positions.set(name, {
+                x: PADDING + col * (NODE_WIDTH + COLUMN_GAP),
+                y: top + row * (NODE_HEIGHT + ROW_GAP)
+            });
+        });
+    });
+
+    return {
+        positions,
+        width: PADDING * 2 + columns.length * NODE_WIDTH + (columns.length - 1) * COLUMN_GAP,
+        height
+    };
+}
+
+// Curve from the right side of a service to the left side of its dependency
+function edgePath(from, to) {
+    const startX = from.x + NODE_WIDTH;
+    const startY = from.y + NODE_HEIGHT / 2;
+    const endX = to.x;
+    const endY = to.y + NODE_HEIGHT / 2;
+    const bend = Math.max(40, Math.abs(endX - startX) / 2);
+    return `M ${startX} ${startY} C ${startX + bend} ${startY}, ${endX - bend} ${endY}, ${endX} ${endY}`;
+}
+
+function truncate(text, length) {
+    return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
@@ -1,9 +1,11 @@
 import axios from 'axios';
 
 class HealthAgent {
-  constructor(serviceName, guardianUrl = 'http://localhost:3000') {
+  constructor(serviceName, guardianUrl = 'http://localhost:3000', options = {}) {
     this.serviceName = serviceName;
     this.guardianUrl = guardianUrl;
+    // Per-service ingestion key issued by the Guardian (POST /services/:id/keys)
+    this.apiKey = options.apiKey || process.env.HEALTH_AGENT_API_KEY || null;
     this.metrics = {
       requests: [],
       errors: 0,
@@ -126,13 +128,16 @@ class HealthAgent {
       }
 
       await axios.post(`${this.guardianUrl}/ingest/metrics`, payload, {
-        timeout: 3000
+        timeout: 3000,
+        headers: this.apiKey ? { 'X-API-Key': this.apiKey } : {}
       });
 
     } catch (error) {
       // Silently fail to avoid flooding logs
       if (error.code === 'ECONNREFUSED') {
         // Guardian backend not running yet
+      } else if (error.response?.status === 401 || error.response?.status === 403) {
+        console.error(`Metrics rejected for ${this.serviceName}: missing or invalid API key (set HEALTH_AGENT_API_KEY)`);
       } else {
         console.error(`Failed to send metrics: ${error.message}`);
       }
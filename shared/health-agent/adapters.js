@@ -0,0 +1,89 @@
+/**
+ * Framework Adapters
+ *
+ * Hook the HealthAgent into servers other than Express. Each adapter only
+ * times the request and works out the route pattern; counting, latency
+ * sketches and the route cardinality cap all stay in agent.recordRequest():
+ * - Fastify: plugin using the onRequest / onResponse hooks
+ * - Koa: middleware (route from @koa/router / koa-router's _matchedRoute)
+ * - node:http: wrapper around a (req, res) request listener
+ *
+ * A request without a known route pattern is recorded as unmatched.
+ */
+
+const kStartTime = Symbol('healthAgentStartTime');
+
+// Fastify plugin; registered globally so hooks see every route, not just one encapsulated context
+export function createFastifyPlugin(agent) {
+  const plugin = (fastify, options, done) => {
+    fastify.addHook('onRequest', (request, reply, next) => {
+      request[kStartTime] = Date.now();
+      next();
+    });
+
+    fastify.addHook('onResponse', (request, reply, next) => {
+      // routeOptions.url on Fastify 4+, routerPath on 3.x; both are unset for 404s
+      const route = request.routeOptions ? request.routeOptions.url : request.routerPath;
+      agent.recordRequest(Date.now() - request[kStartTime], reply.statusCode, {
+        method: request.method,
+        route: route || undefined
+      });
+      next();
+    });
+
+    done();
+  };
+
+  // Same flag fastify-plugin sets, without depending on it
+  plugin[Symbol.for('skip-override')] = true;
+  plugin[Symbol.for('fastify.display-name')] = 'health-agent';
+  return plugin;
+}
+
+// Koa middleware; mount it before the router so it sees errors and the final status
+export function createKoaMiddleware(agent) {
+  return async (ctx, next) => {
+    const startTime = Date.now();
+    let statusCode;
+
+    try {
+      await next();
+      statusCode = ctx.status;
+    } catch (error) {
+      // Koa's error handler sets the status after the middleware chain unwinds
+      statusCode = error.status || error.statusCode || 500;
+      throw error;
+    } finally {
+      agent.recordRequest(Date.now() - startTime, statusCode, {
+        method: ctx.method,
+        route: ctx._matchedRoute || undefined
+      });
+    }
+  };
+}
+
+/**
+ * Wrap a node:http request listener
+ *
+ * node:http has no router, so routes are unmatched unless options.route
+ * maps a request to its pattern (keep it low-cardinality: '/users/:id', not the raw URL).
+ *
+ * @param {HealthAgent} agent
+ * @param {Function} handler - (req, res) listener passed to http.createServer
+ * @param {object} options
+ * @param {Function} options.route - (req) => route pattern or undefined
+ */
+export function wrapHttpHandler(agent, handler, { route } = {}) {
+  return (req, res) => {
+    const startTime = Date.now();
+
+    res.once('finish', () => {
+      agent.recordRequest(Date.now() - startTime, res.statusCode, {
+        method: req.method,
+        route: route?.(req) || undefined
+      });
+    });
+
+    return handler(req, res);
+  };
+}
@@ -1,14 +1,64 @@
+import os from 'os';
 import axios from 'axios';
+import { LatencySketch } from './latencySketch.js';
+import { RuntimeMonitor } from './runtimeMetrics.js';
+import { createFastifyPlugin, createKoaMiddleware, wrapHttpHandler } from './adapters.js';
+import { instrumentAxios, wrapFetch, instrumentGlobalFetch, instrumentHttp } from './outbound.js';
+
+// Requests that no route handled (404s, static files, middleware-only responses)
+const UNMATCHED_ROUTE = '(unmatched)';
+// Routes beyond the cardinality cap are counted together
+const OTHER_ROUTE = '(other)';
+
+// Parse HEALTH_AGENT_DEPENDENCY_TARGETS ("localhost:5001=auth-service,api.stripe.com=stripe")
+const parseTargets = (value) => Object.fromEntries(
+  (value || '').split(',').map(pair => pair.split('=').map(part => part.trim())).filter(([host, name]) => host && name)
+);
+
+// Offline buffering: samples per batch upload and retry backoff bounds
+const BATCH_SIZE = 100;
+const RETRY_BASE_MS = 2000;
+const RETRY_MAX_MS = 60000;
+
+// Network errors, timeouts, rate limits and server errors are worth retrying; other rejections are not
+const isRetryable = (error) => {
+  const status = error.response?.status;
+  return !status || status >= 500 || status === 408 || status === 429;
+};
 
 class HealthAgent {
-  constructor(serviceName, guardianUrl = 'http://localhost:3000') {
+  constructor(serviceName, guardianUrl = 'http://localhost:3000', options = {}) {
     this.serviceName = serviceName;
     this.guardianUrl = guardianUrl;
+    this.guardianHost = new URL(guardianUrl).host;
+    // Per-service ingestion key issued by the Guardian (POST /services/:id/keys)
+    this.apiKey = options.apiKey || process.env.HEALTH_AGENT_API_KEY || null;
     this.metrics = {
       requests: [],
       errors: 0,
       totalRequests: 0
     };
+    // Latency distribution of the current send interval (reset on every send)
+    this.latencySketch = new LatencySketch();
+    // Per-route stats of the current send interval: "METHOD route" -> { method, route, count, errors, sketch }
+    this.routeStats = new Map();
+    // Routes reported so far; once maxRoutes is reached new ones are folded into OTHER_ROUTE
+    this.knownRoutes = new Set();
+    this.maxRoutes = options.maxRoutes || parseInt(process.env.HEALTH_AGENT_MAX_ROUTES) || 50;
+    // Outbound calls of the current send interval: target -> { count, errors, sketch }
+    this.dependencyStats = new Map();
+    this.knownDependencies = new Set();
+    // host[:port] -> service name; unmapped calls are reported under their host
+    this.dependencyTargets = options.dependencyTargets || parseTargets(process.env.HEALTH_AGENT_DEPENDENCY_TARGETS);
+    // Samples the Guardian couldn't accept yet, oldest first (flushed via the batch endpoint)
+    this.buffer = [];
+    this.bufferSize = options.bufferSize || parseInt(process.env.HEALTH_AGENT_BUFFER_SIZE) || 1000;
+    this.droppedSamples = 0; // Samples lost: buffer overflow or rejected for good by the batch endpoint
+    this.retryAttempt = 0;
+    this.nextRetryAt = 0;
+    this.isFlushing = false;
+    // Event loop, CPU, memory and GC stats of the process (sampled between sends)
+    this.runtimeMonitor = new RuntimeMonitor();
     this.heartbeatInterval = null;
     this.isRunning = false;
   }
@@ -26,8 +76,11 @@ class HealthAgent {
         const duration = Date.now() - startTime;
         const statusCode = res.statusCode;
 
-        // Record metric
-        this.recordRequest(duration, statusCode);
+        // Record metric under the Express route pattern (/download/:fileId, not the raw path)
+        this.recordRequest(duration, statusCode, {
+          method: req.method,
+          route: req.route ? `${req.baseUrl || ''}${req.route.path}` : UNMATCHED_ROUTE
+        });
 
         // Call original end
         originalEnd.apply(res, args);
@@ -37,10 +90,72 @@ class HealthAgent {
     };
   }
 
+  // Fastify plugin: fastify.register(agent.fastifyPlugin())
+  fastifyPlugin() {
+    return createFastifyPlugin(this);
+  }
+
+  // Koa middleware: app.use(agent.koaMiddleware()) before the router
+  koaMiddleware() {
+    return createKoaMiddleware(this);
+  }
+
+  // node:http listener: http.createServer(agent.httpHandler(handler, { route: (req) => ... }))
+  httpHandler(handler, options) {
+    return wrapHttpHandler(this, handler, options);
+  }
+
+  // Express middleware for the Guardian's webhook remediation: app.use(agent.restartWebhook())
+  // GET /admin/restart tells the Guardian the webhook exists; POST answers 202, then calls restart().
+  // The default restart exits, for processes a supervisor (systemd, pm2, Docker) starts again.
+  restartWebhook({ restart = () => process.exit(0), token = process.env.HEALTH_AGENT_RESTART_TOKEN } = {}) {
+    return (req, res, next) => {
+      if (req.path !== '/admin/restart' || !['GET', 'POST'].includes(req.method)) return next();
+
+      // Unauthenticated restarts are never offered
+      if (!token) {
+        return res.status(503).json({ success: false, error: 'Restart webhook disabled (set HEALTH_AGENT_RESTART_TOKEN)' });
+      }
+      if (req.get('authorization') !== `Bearer ${token}`) {
+        return res.status(401).json({ success: false, error: 'Unauthorized' });
+      }
+
+      if (req.method === 'GET') {
+        return res.json({ success: true, service: this.serviceName, restart: 'available' });
+      }
+
+      console.warn(`🔁 Restart of ${this.serviceName} requested by the Guardian`);
+      res.on('finish', () => setImmediate(restart));
+      res.status(202).json({ success: true, message: `Restarting ${this.serviceName}` });
+    };
+  }
+
+  // Record outbound calls made with this axios instance; returns an eject function
+  instrumentAxios(instance) {
+    return instrumentAxios(this, instance);
+  }
+
+  // fetch that records its calls (defaults to the global fetch)
+  wrapFetch(fetchImpl) {
+    return wrapFetch(this, fetchImpl);
+  }
+
+  // Replace globalThis.fetch; returns a restore function
+  instrumentFetch() {
+    return instrumentGlobalFetch(this);
+  }
+
+  // Patch http/https request() and get(); returns a restore function
+  instrumentHttp() {
+    return instrumentHttp(this);
+  }
+
   // Record individual request metrics
-  recordRequest(duration, statusCode) {
+  recordRequest(duration, statusCode, { method = '*', route = UNMATCHED_ROUTE } = {}) {
     this.metrics.totalRequests++;
-    
+    this.latencySketch.add(duration);
+    this.recordRoute(method, route, duration, statusCode >= 400);
+
     // Keep last 60 requests for rolling average
     this.metrics.requests.push({
       duration,
@@ -58,6 +173,86 @@ class HealthAgent {
     }
   }
 
+  // Add a request to the per-route stats, respecting the route cardinality cap
+  recordRoute(method, route, duration, isError) {
+    let key = `${method} ${route}`;
+    if (!this.knownRoutes.has(key)) {
+      if (this.knownRoutes.size < this.maxRoutes) {
+        this.knownRoutes.add(key);
+      } else {
+        method = '*';
+        route = OTHER_ROUTE;
+        key = `${method} ${route}`;
+      }
+    }
+
+    if (!this.routeStats.has(key)) {
+      this.routeStats.set(key, { method, route, count: 0, errors: 0, sketch: new LatencySketch() });
+    }
+    const stats = this.routeStats.get(key);
+    stats.count++;
+    if (isError) stats.errors++;
+    stats.sketch.add(duration);
+  }
+
+  // Record an outbound call; errors are failed connections/timeouts and 5xx answers
+  recordDependency(url, duration, { statusCode, error = false } = {}) {
+    // The agent's own uploads go through the same clients
+    if (url.host === this.guardianHost) return;
+
+    let target = this.dependencyTargets[url.host] || this.dependencyTargets[url.hostname] || url.host;
+    if (!this.knownDependencies.has(target)) {
+      if (this.knownDependencies.size < this.maxRoutes) {
+        this.knownDependencies.add(target);
+      } else {
+        target = OTHER_ROUTE;
+      }
+    }
+
+    if (!this.dependencyStats.has(target)) {
+      this.dependencyStats.set(target, { count: 0, errors: 0, sketch: new LatencySketch() });
+    }
+    const stats = this.dependencyStats.get(target);
+    stats.count++;
+    if (error || statusCode >= 500) stats.errors++;
+    stats.sketch.add(duration);
+  }
+
+  // Per-dependency summary of the current interval, busiest first
+  calculateDependencyMetrics() {
+    return [...this.dependencyStats.entries()]
+      .sort(([, a], [, b]) => b.count - a.count)
+      .map(([target, { count, errors, sketch }]) => {
+        const latency = sketch.summary();
+        return {
+          target,
+          callCount: count,
+          errorCount: errors,
+          avgLatency: Math.round(latency.avg),
+          latencyP95: Math.round(latency.p95),
+          latencyMax: Math.round(latency.max)
+        };
+      });
+  }
+
+  // Per-route summary of the current interval, busiest routes first
+  calculateRouteMetrics() {
+    return [...this.routeStats.values()]
+      .sort((a, b) => b.count - a.count)
+      .map(({ method, route, count, errors, sketch }) => {
+        const latency = sketch.summary();
+        return {
+          method,
+          route,
+          requestCount: count,
+          errorCount: errors,
+          avgLatency: Math.round(latency.avg),
+          latencyP95: Math.round(latency.p95),
+          latencyMax: Math.round(latency.max)
+        };
+      });
+  }
+
   // Calculate current metrics
   calculateMetrics() {
     const now = Date.now();
@@ -99,34 +294,140 @@ class HealthAgent {
     return Math.round(usage.heapUsed / 1024 / 1024); // MB
   }
 
+  // Queue a sample for a later batch upload, discarding the oldest when full
+  enqueue(payload) {
+    this.buffer.push(payload);
+    if (this.buffer.length > this.bufferSize) {
+      this.buffer.shift();
+      this.droppedSamples++;
+    }
+  }
+
+  // Exponential backoff with full jitter, so agents don't retry in lockstep after a backend restart
+  scheduleRetry() {
+    if (this.retryAttempt === 0) {
+      console.warn(`Guardian unreachable - buffering metrics for ${this.serviceName}`);
+    }
+    const delay = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** this.retryAttempt);
+    this.retryAttempt++;
+    this.nextRetryAt = Date.now() + Math.random() * delay;
+  }
+
+  // Upload buffered samples in order, one batch at a time
+  async flushBuffer() {
+    if (this.isFlushing || this.buffer.length === 0 || Date.now() < this.nextRetryAt) return;
+
+    this.isFlushing = true;
+    let flushed = 0;
+    let batchSize = BATCH_SIZE;
+    try {
+      while (this.buffer.length > 0) {
+        const batch = this.buffer.slice(0, batchSize);
+        try {
+          await axios.post(`${this.guardianUrl}/ingest/metrics/batch`, { samples: batch }, {
+            timeout: 10000,
+            headers: this.apiKey ? { 'X-API-Key': this.apiKey } : {}
+          });
+        } catch (error) {
+          // Over the Guardian's body size limit (large route/dependency breakdowns): halve and resend
+          if (error.response?.status === 413 && batch.length > 1) {
+            batchSize = Math.ceil(batch.length / 2);
+            continue;
+          }
+          if (isRetryable(error)) {
+            this.scheduleRetry();
+            return;
+          }
+
+          // Rejected for good (400: every sample invalid or past retention) - nothing to retry
+          this.buffer.splice(0, batch.length);
+          this.droppedSamples += batch.length;
+          if (error.response?.status !== 400) throw error;
+          continue;
+        }
+
+        this.buffer.splice(0, batch.length);
+        flushed += batch.length;
+        this.retryAttempt = 0;
+        this.nextRetryAt = 0;
+      }
+    } finally {
+      this.isFlushing = false;
+      if (flushed > 0) {
+        console.log(`📤 Flushed ${flushed} buffered samples for ${this.serviceName}`);
+      }
+    }
+  }
+
   // Send metrics to Guardian backend
   async sendMetrics() {
     try {
       const metrics = this.calculateMetrics();
 
+      // Tail latency of the requests since the last send
+      const sketch = this.latencySketch;
+      this.latencySketch = new LatencySketch();
+      const latency = sketch.summary();
+      const routes = this.calculateRouteMetrics();
+      this.routeStats = new Map();
+      const dependencies = this.calculateDependencyMetrics();
+      this.dependencyStats = new Map();
+
       const payload = {
         serviceName: this.serviceName,
+        // Only used if the sample ends up buffered; live samples are stamped by the Guardian
+        timestamp: Date.now(),
         latency: metrics.avgLatency,
         errorRate: metrics.errorRate,
         statusCode: 200,
         memoryUsage: metrics.memoryUsage,
         requestCount: metrics.requestCount,
-        totalRequests: this.metrics.totalRequests
+        totalRequests: this.metrics.totalRequests,
+        ...(latency && {
+          latencyP50: Math.round(latency.p50),
+          latencyP90: Math.round(latency.p90),
+          latencyP95: Math.round(latency.p95),
+          latencyP99: Math.round(latency.p99),
+          latencyMax: Math.round(latency.max)
+        }),
+        ...(routes.length > 0 && { routes }),
+        ...(dependencies.length > 0 && { dependencies }),
+        runtime: this.runtimeMonitor.collect(),
+        droppedSamples: this.droppedSamples,
+        // Lets the Guardian signal this process and notice when it was replaced
+        pid: process.pid,
+        hostname: os.hostname()
       };
 
       console.log('DEBUG: totalRequests value:', this.metrics.totalRequests);
       console.log('DEBUG: payload constructed:', JSON.stringify(payload));
 
-      await axios.post(`${this.guardianUrl}/ingest/metrics`, payload, {
-        timeout: 3000
-      });
+      // Keep order: while anything is buffered, new samples queue behind it
+      if (this.buffer.length > 0 || Date.now() < this.nextRetryAt) {
+        this.enqueue(payload);
+        await this.flushBuffer();
+        return;
+      }
+
+      try {
+        await axios.post(`${this.guardianUrl}/ingest/metrics`, payload, {
+          timeout: 3000,
+          headers: this.apiKey ? { 'X-API-Key': this.apiKey } : {}
+        });
+      } catch (error) {
+        if (!isRetryable(error)) throw error;
+        this.enqueue(payload);
+        this.scheduleRetry();
+      }
 
       // console.log(`📊 Metrics sent for ${this.serviceName}: ${metrics.avgLatency}ms, ${metrics.errorRate}% errors`);
 
     } catch (error) {
       // Silently fail to avoid flooding logs
       if (error.code === 'ECONNREFUSED') {
-        // Guardian backend not running yet
+        // Guardian backend not running yet (the sample was buffered)
+      } else if (error.response?.status === 401 || error.response?.status === 403) {
+        console.error(`Metrics rejected for ${this.serviceName}: missing or invalid API key (set HEALTH_AGENT_API_KEY)`);
       } else {
         console.error(`Failed to send metrics: ${error.message}`);
       }
@@ -141,6 +442,7 @@ class HealthAgent {
     }
 
     this.isRunning = true;
+    this.runtimeMonitor.start();
     console.log(`💚 Health Agent started for ${this.serviceName}`);
     console.log(`📡 Sending heartbeat every 2 seconds to ${this.guardianUrl}`);
 
@@ -158,6 +460,7 @@ class HealthAgent {
     if (this.heartbeatInterval) {
       clearInterval(this.heartbeatInterval);
       this.heartbeatInterval = null;
+      this.runtimeMonitor.stop();
       this.isRunning = false;
       console.log(`Health Agent stopped for ${this.serviceName}`);
     }
@@ -170,14 +473,19 @@ class HealthAgent {
       serviceName: this.serviceName,
       isRunning: this.isRunning,
       totalRequests: this.metrics.totalRequests,
+      bufferedSamples: this.buffer.length,
+      droppedSamples: this.droppedSamples,
       currentMetrics: metrics
     };
   }
 }
 
+export { LatencySketch, RuntimeMonitor, createFastifyPlugin, createKoaMiddleware, wrapHttpHandler };
+export { instrumentAxios, wrapFetch, instrumentGlobalFetch, instrumentHttp };
+
 // Factory function for easy integration
-export const createHealthAgent = (serviceName, guardianUrl) => {
-  return new HealthAgent(serviceName, guardianUrl);
+export const createHealthAgent = (serviceName, guardianUrl, options) => {
+  return new HealthAgent(serviceName, guardianUrl, options);
 };
 
 export default HealthAgent;
@@ -0,0 +1,127 @@
+/**
+ * Latency Sketch
+ *
+ * Mergeable log-bucketed histogram (DDSketch-style) for latency percentiles:
+ * - Bucket i counts values in (γ^(i-1), γ^i], with γ = (1 + α) / (1 - α)
+ * - Every quantile is answered within relative error α (1% by default)
+ * - Memory grows with the log of the value range, not with the request count
+ * - Sketches with the same α merge by adding bucket counts, so per-interval
+ *   or per-route sketches combine without keeping raw samples
+ */
+
+export class LatencySketch {
+  constructor({ relativeAccuracy = 0.01 } = {}) {
+    this.relativeAccuracy = relativeAccuracy;
+    this.gamma = (1 + relativeAccuracy) / (1 - relativeAccuracy);
+    this.logGamma = Math.log(this.gamma);
+    this.clear();
+  }
+
+  clear() {
+    this.buckets = new Map(); // bucket index -> count
+    this.zeroCount = 0; // durations of 0ms (or below)
+    this.count = 0;
+    this.sum = 0;
+    this.min = Infinity;
+    this.max = -Infinity;
+  }
+
+  add(value) {
+    if (typeof value !== 'number' || isNaN(value)) return;
+
+    if (value <= 0) {
+      this.zeroCount++;
+    } else {
+      const index = Math.ceil(Math.log(value) / this.logGamma);
+      this.buckets.set(index, (this.buckets.get(index) || 0) + 1);
+    }
+
+    this.count++;
+    this.sum += value;
+    this.min = Math.min(this.min, value);
+    this.max = Math.max(this.max, value);
+  }
+
+  merge(other) {
+    if (other.relativeAccuracy !== this.relativeAccuracy) {
+      throw new Error('Cannot merge latency sketches with different relative accuracy');
+    }
+
+    for (const [index, count] of other.buckets) {
+      this.buckets.set(index, (this.buckets.get(index) || 0) + count);
+    }
+    this.zeroCount += other.zeroCount;
+    this.count += other.count;
+    this.sum += other.sum;
+    this.min = Math.min(this.min, other.min);
+    this.max = Math.max(this.max, other.max);
+    return this;
+  }
+
+  /**
+   * Value at quantile q (0..1), or null when empty
+   */
+  quantile(q) {
+    if (this.count === 0) return null;
+
+    const rank = q * (this.count - 1);
+    if (rank < this.zeroCount) return Math.max(this.min, 0);
+
+    let seen = this.zeroCount;
+    const indexes = [...this.buckets.keys()].sort((a, b) => a - b);
+    for (const index of indexes) {
+      seen += this.buckets.get(index);
+      if (seen > rank) {
+        // Midpoint of the bucket in relative terms, clamped to what was observed
+        const value = (2 * Math.pow(this.gamma, index)) / (this.gamma + 1);
+        return Math.min(Math.max(value, this.min), this.max);
+      }
+    }
+    return this.max;
+  }
+
+  /**
+   * Percentiles of everything added so far, or null when empty
+   *
+   * Returns: { count, avg, p50, p90, p95, p99, max }
+   */
+  summary() {
+    if (this.count === 0) return null;
+    return {
+      count: this.count,
+      avg: this.sum / this.count,
+      p50: this.quantile(0.5),
+      p90: this.quantile(0.9),
+      p95: this.quantile(0.95),
+      p99: this.quantile(0.99),
+      max: this.max
+    };
+  }
+
+  toJSON() {
+    return {
+      relativeAccuracy: this.relativeAccuracy,
+      zeroCount: this.zeroCount,
+      count: this.count,
+      sum: this.sum,
+      min: this.count > 0 ? this.min : null,
+      max: this.count > 0 ? this.max : null,
+      buckets: Object.fromEntries(this.buckets)
+    };
+  }
+
+  static fromJSON(data) {
+    const sketch = new LatencySketch({ relativeAccuracy: data.relativeAccuracy });
+    for (const [index, count] of Object.entries(data.buckets || {})) {
+      sketch.buckets.set(Number(index), count);
+    }
+    sketch.zeroCount = data.zeroCount || 0;
+    sketch.count = data.count || 0;
+    sketch.sum = data.sum || 0;
+    sketch.min = data.min ?? Infinity;
+    sketch.max = data.max ?? -Infinity;
+    return sketch;
+  }
+}
+
+export default LatencySketch;
@@ -0,0 +1,145 @@
+/**
+ * Outbound Instrumentation
+ *
+ * Times the calls a service makes to its dependencies and hands each one to
+ * agent.recordDependency(url, duration, { statusCode, error }):
+ * - axios: request/response interceptors on an instance
+ * - fetch: wrapper around a fetch implementation (or the global one)
+ * - node:http / node:https: patched request() and get()
+ *
+ * Instrument one layer per client: axios goes through http.request, so
+ * patching both records every axios call twice.
+ */
+
+import http from 'http';
+import https from 'https';
+import { syncBuiltinESMExports } from 'module';
+
+const kStartTime = Symbol('healthAgentStartTime');
+
+// Parse whatever a client was given into a URL (null when it can't be resolved)
+const toUrl = (input, base) => {
+  try {
+    if (input instanceof URL) return input;
+    if (typeof input === 'string') return new URL(input, base);
+    if (input && typeof input.url === 'string') return new URL(input.url, base); // fetch Request
+  } catch {
+    // Relative URL without a base
+  }
+  return null;
+};
+
+// Same, for http.request's (options) form
+const optionsToUrl = (options, defaultProtocol) => {
+  const protocol = options.protocol || defaultProtocol;
+  const host = options.hostname || (options.host || 'localhost').replace(/:\d+$/, '');
+  const port = options.port ? `:${options.port}` : '';
+  return toUrl(`${protocol}//${host}${port}`);
+};
+
+export function instrumentAxios(agent, instance) {
+  const requestId = instance.interceptors.request.use((config) => {
+    config[kStartTime] = Date.now();
+    return config;
+  });
+
+  const record = (config, statusCode, error) => {
+    if (!config?.[kStartTime]) return;
+    const url = toUrl(config.url, config.baseURL);
+    if (url) agent.recordDependency(url, Date.now() - config[kStartTime], { statusCode, error });
+  };
+
+  const responseId = instance.interceptors.response.use(
+    (response) => {
+      record(response.config, response.status);
+      return response;
+    },
+    (error) => {
+      record(error.config, error.response?.status, !error.response);
+      return Promise.reject(error);
+    }
+  );
+
+  return () => {
+    instance.interceptors.request.eject(requestId);
+    instance.interceptors.response.eject(responseId);
+  };
+}
+
+export function wrapFetch(agent, fetchImpl = globalThis.fetch) {
+  return async (input, init) => {
+    const startTime = Date.now();
+    const url = toUrl(input);
+
+    try {
+      const response = await fetchImpl(input, init);
+      if (url) agent.recordDependency(url, Date.now() - startTime, { statusCode: response.status });
+      return response;
+    } catch (error) {
+      if (url) agent.recordDependency(url, Date.now() - startTime, { error: true });
+      throw error;
+    }
+  };
+}
+
+// Replace globalThis.fetch; returns a function that puts the original back
+export function instrumentGlobalFetch(agent) {
+  const original = globalThis.fetch;
+  if (typeof original !== 'function') return () => {};
+
+  globalThis.fetch = wrapFetch(agent, original);
+  return () => {
+    globalThis.fetch = original;
+  };
+}
+
+// Patch request() and get() of node:http and node:https; returns a function that restores them
+export function instrumentHttp(agent) {
+  const restores = [[http, 'http:'], [https, 'https:']].map(([module, protocol]) => {
+    const originalRequest = module.request;
+    const originalGet = module.get;
+
+    const request = (...args) => {
+      const startTime = Date.now();
+      const url = typeof args[0] === 'string' || args[0] instanceof URL
+        ? toUrl(args[0])
+        : optionsToUrl(args[0] || {}, protocol);
+      const req = originalRequest.apply(module, args);
+      if (!url) return req;
+
+      let recorded = false;
+      const record = (result) => {
+        if (recorded) return;
+        recorded = true;
+        agent.recordDependency(url, Date.now() - startTime, result);
+      };
+
+      req.once('response', (res) => {
+        res.once('end', () => record({ statusCode: res.statusCode }));
+        res.once('close', () => record({ statusCode: res.statusCode }));
+      });
+      req.once('error', () => record({ error: true }));
+      return req;
+    };
+
+    module.request = request;
+    // http.get calls the module-internal request(), so it has to be patched separately
+    module.get = (...args) => {
+      const req = request(...args);
+      req.end();
+      return req;
+    };
+
+    return () => {
+      module.request = originalRequest;
+      module.get = originalGet;
+    };
+  });
+  // Let `import { request } from 'http'` see the patched functions too
+  syncBuiltinESMExports();
+
+  return () => {
+    restores.forEach(restore => restore());
+    syncBuiltinESMExports();
+  };
+}
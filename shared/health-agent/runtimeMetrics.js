@@ -0,0 +1,104 @@
+import { monitorEventLoopDelay, PerformanceObserver } from 'perf_hooks';
+
+/**
+ * Runtime Monitor
+ *
+ * Process-level signals that usually move before request latency does,
+ * collected with built-in Node APIs and reset on every collect():
+ * - Event loop delay percentiles (perf_hooks.monitorEventLoopDelay)
+ * - CPU usage of the process as a percentage of one core
+ * - RSS and external (Buffer / native) memory
+ * - Active handles (sockets, timers, servers)
+ * - GC pauses (count, total and longest pause)
+ */
+
+const NS_PER_MS = 1e6;
+const BYTES_PER_MB = 1024 * 1024;
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+export class RuntimeMonitor {
+  constructor({ resolution = 20 } = {}) {
+    this.resolution = resolution; // event loop sampling interval in ms
+    this.eventLoop = null;
+    this.gcObserver = null;
+    this.resetInterval();
+  }
+
+  resetInterval() {
+    this.gc = { count: 0, pauseMs: 0, maxPauseMs: 0 };
+    this.lastCpu = process.cpuUsage();
+    this.lastCollectAt = process.hrtime.bigint();
+  }
+
+  start() {
+    if (this.eventLoop) return;
+
+    this.eventLoop = monitorEventLoopDelay({ resolution: this.resolution });
+    this.eventLoop.enable();
+
+    this.gcObserver = new PerformanceObserver((list) => {
+      for (const entry of list.getEntries()) {
+        this.gc.count++;
+        this.gc.pauseMs += entry.duration;
+        this.gc.maxPauseMs = Math.max(this.gc.maxPauseMs, entry.duration);
+      }
+    });
+    this.gcObserver.observe({ entryTypes: ['gc'] });
+
+    this.resetInterval();
+  }
+
+  stop() {
+    this.eventLoop?.disable();
+    this.gcObserver?.disconnect();
+    this.eventLoop = null;
+    this.gcObserver = null;
+  }
+
+  // Number of handles keeping the process alive (getActiveResourcesInfo needs Node 17+)
+  countActiveHandles() {
+    if (typeof process.getActiveResourcesInfo === 'function') {
+      return process.getActiveResourcesInfo().length;
+    }
+    return process._getActiveHandles?.().length ?? null;
+  }
+
+  /**
+   * Metrics since the previous collect(); event loop and GC stats are null until start()
+   */
+  collect() {
+    const now = process.hrtime.bigint();
+    const elapsedMicros = Number(now - this.lastCollectAt) / 1000;
+    const cpu = process.cpuUsage(this.lastCpu);
+    const memory = process.memoryUsage();
+
+    // The histogram records the full timer interval; report only the delay beyond it
+    const delayMs = (ns) => round(Math.max(0, ns / NS_PER_MS - this.resolution));
+    const eventLoop = this.eventLoop && this.eventLoop.count > 0 ? {
+      eventLoopDelayMean: delayMs(this.eventLoop.mean),
+      eventLoopDelayP50: delayMs(this.eventLoop.percentile(50)),
+      eventLoopDelayP99: delayMs(this.eventLoop.percentile(99)),
+      eventLoopDelayMax: delayMs(this.eventLoop.max)
+    } : {};
+
+    const metrics = {
+      ...eventLoop,
+      cpuPercent: elapsedMicros > 0 ? round(((cpu.user + cpu.system) / elapsedMicros) * 100, 1) : 0,
+      rssMb: round(memory.rss / BYTES_PER_MB, 1),
+      externalMb: round(memory.external / BYTES_PER_MB, 1),
+      activeHandles: this.countActiveHandles(),
+      ...(this.gcObserver && {
+        gcCount: this.gc.count,
+        gcPauseMs: round(this.gc.pauseMs),
+        gcMaxPauseMs: round(this.gc.maxPauseMs)
+      })
+    };
+
+    this.eventLoop?.reset();
+    this.resetInterval();
+    return metrics;
+  }
+}
+
+export default RuntimeMonitor;